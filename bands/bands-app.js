@@ -0,0 +1,217 @@
+/**
+ * /bands/ controller — weight-table meds as band charts, with a row editor.
+ *
+ * Each med dosed from a weight table gets a card: its rows drawn as bands
+ * over 0–WeightBands.CHART_MAX_LB, gaps and overlaps between rows marked on
+ * the chart and listed (WeightBands.issues), and where its calculationText
+ * disagrees with the rows (WeightBands.compareText). The row editor redraws
+ * the card as rows are typed; Save stores the rows as a local catalog edit
+ * through MedCatalog (validated like the /calc/ catalog editor), Revert
+ * drops it.
+ */
+
+(function () {
+    'use strict';
+
+    const list = document.getElementById('bands-list');
+
+    function escapeHtml(s) {
+        return String(s)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Position on the chart, as a percentage of its width
+    function chartPercent(lb) {
+        return Math.min(Math.max(lb, 0), WeightBands.CHART_MAX_LB) / WeightBands.CHART_MAX_LB * 100;
+    }
+
+    function renderChart(med, rows) {
+        const bands = rows
+            .filter(row => Number.isFinite(row.minLb) && row.maxLb > row.minLb && row.minLb < WeightBands.CHART_MAX_LB)
+            .map(row => {
+                const left = chartPercent(row.minLb);
+                const width = chartPercent(row.maxLb) - left;
+                const classes = ['band'];
+                if (row.maxLb > WeightBands.CHART_MAX_LB) classes.push('band-open');
+                else if (row.maxInclusive) classes.push('band-inclusive');
+                const title = `${WeightBands.rowText(row)}: ${WeightBands.valueText(med, row.value)}`;
+                return `<div class="${classes.join(' ')}" style="left: ${left}%; width: ${width}%" title="${escapeHtml(title)}">${escapeHtml(row.value)}</div>`;
+            });
+        const issues = WeightBands.issues(rows)
+            .filter(issue => issue.fromLb < WeightBands.CHART_MAX_LB)
+            .map(issue => {
+                const left = chartPercent(issue.fromLb);
+                return `<div class="band-issue band-${issue.type}" style="left: ${left}%; width: ${chartPercent(issue.toLb) - left}%" title="${escapeHtml(issue.message)}"></div>`;
+            });
+        const ticks = [];
+        for (let lb = 0; lb <= WeightBands.CHART_MAX_LB; lb += 5) {
+            ticks.push(`<span style="left: ${chartPercent(lb)}%">${lb}${lb === WeightBands.CHART_MAX_LB ? ' lb' : ''}</span>`);
+        }
+        return `
+            <div class="band-track">${bands.join('')}${issues.join('')}</div>
+            <div class="band-axis">${ticks.join('')}</div>
+        `;
+    }
+
+    // Spec problems first (invalid rows, gaps, overlaps), then text disagreements
+    function findingsFor(med, rows) {
+        const calc = { type: 'weightTable', rows };
+        const invalid = MedCalculator.validateSpec(calc);
+        if (invalid.length) return invalid.map(message => ({ kind: 'spec', message }));
+        return [
+            ...WeightBands.issues(rows).map(issue => ({ kind: 'spec', message: issue.message })),
+            ...WeightBands.compareText({ ...med, calc }).map(finding => ({ kind: 'text', ...finding }))
+        ];
+    }
+
+    function renderFindings(findings) {
+        if (!findings.length) return '';
+        const items = findings.map(finding => `
+                <li class="band-finding-${finding.kind}">${escapeHtml(finding.message)}${finding.line ? ` <span class="band-finding-line">(“${escapeHtml(finding.line)}”)</span>` : ''}</li>`);
+        return `<ul class="band-findings">${items.join('')}</ul>`;
+    }
+
+    function renderHeading(med, findings) {
+        const edited = MedCatalog.isEdited(med.id) ? ' · edited on this device' : '';
+        const summary = findings.length
+            ? `<small class="band-flagged">${findings.length} ${findings.length === 1 ? 'finding' : 'findings'}</small>`
+            : '<small>No findings</small>';
+        return `${escapeHtml(med.name)} ${summary}<small>${escapeHtml(med.unit)}${edited}</small>`;
+    }
+
+    function renderEditorRow(row) {
+        const max = row.maxLb === Infinity ? '' : row.maxLb;
+        return `
+                <tr>
+                    <td><input type="text" inputmode="decimal" data-field="minLb" value="${escapeHtml(row.minLb)}" aria-label="From lb"></td>
+                    <td><input type="text" inputmode="decimal" data-field="maxLb" value="${escapeHtml(max)}" placeholder="No limit" aria-label="To lb"></td>
+                    <td><input type="checkbox" data-field="maxInclusive"${row.maxInclusive ? ' checked' : ''} aria-label="Includes upper weight"></td>
+                    <td><input type="text" data-field="value" value="${escapeHtml(row.value)}" aria-label="Dose"></td>
+                    <td><button type="button" class="btn btn-secondary btn-small" data-band-action="remove-row" aria-label="Remove row">×</button></td>
+                </tr>`;
+    }
+
+    function renderMed(med) {
+        const rows = med.calc.rows;
+        const findings = findingsFor(med, rows);
+        return `
+            <section class="band-med" data-med-id="${med.id}">
+                <h2>${renderHeading(med, findings)}</h2>
+                <div class="band-chart">${renderChart(med, rows)}</div>
+                <div class="band-findings-slot">${renderFindings(findings)}</div>
+                <p class="band-text">${escapeHtml(med.calculationText || '')}</p>
+                <details class="band-editor">
+                    <summary>Edit rows</summary>
+                    <table class="band-rows">
+                        <thead>
+                            <tr><th>From lb</th><th>To lb</th><th>Includes</th><th>Dose (${escapeHtml(med.unit)})</th><th></th></tr>
+                        </thead>
+                        <tbody>${rows.map(renderEditorRow).join('')}</tbody>
+                    </table>
+                    <p class="band-errors" hidden></p>
+                    <div class="band-actions">
+                        <button type="button" class="btn btn-secondary btn-small" data-band-action="add-row">Add row</button>
+                        <button type="button" class="btn btn-primary btn-small" data-band-action="save">Save</button>
+                        <button type="button" class="btn btn-secondary btn-small" data-band-action="revert"${MedCatalog.isEdited(med.id) ? '' : ' hidden'}>Revert to built-in</button>
+                        <span class="band-status"></span>
+                    </div>
+                </details>
+            </section>
+        `;
+    }
+
+    function renderAll() {
+        const meds = WeightBands.meds();
+        list.innerHTML = meds.length
+            ? meds.map(renderMed).join('')
+            : '<p class="bands-intro">No medications are dosed from a weight table.</p>';
+    }
+
+    // Rows as typed: a blank upper weight is an unbounded row. Tablet doses
+    // stay text ('½'); other doses are numbers when they parse as one.
+    function readRows(section, med) {
+        return Array.from(section.querySelectorAll('.band-rows tbody tr')).map(tr => {
+            const field = (name) => tr.querySelector(`[data-field="${name}"]`);
+            const max = field('maxLb').value.trim();
+            const value = field('value').value.trim();
+            const row = {
+                minLb: parseFloat(field('minLb').value),
+                maxLb: max === '' ? Infinity : parseFloat(max),
+                value: med.unit !== 'tablet' && value !== '' && !isNaN(Number(value)) ? Number(value) : value
+            };
+            if (field('maxInclusive').checked) row.maxInclusive = true;
+            return row;
+        });
+    }
+
+    // Redraw a card from its editor rows, before they're saved
+    function preview(section, status = '') {
+        const med = MedsData.byId(section.dataset.medId);
+        const rows = readRows(section, med);
+        const findings = findingsFor(med, rows);
+        section.querySelector('h2').innerHTML = renderHeading(med, findings);
+        section.querySelector('.band-chart').innerHTML = renderChart(med, rows);
+        section.querySelector('.band-findings-slot').innerHTML = renderFindings(findings);
+        section.querySelector('.band-errors').hidden = true;
+        section.querySelector('.band-status').textContent = status;
+    }
+
+    // Re-render a card from the catalog, keeping its editor open
+    function replaceCard(section, status) {
+        const med = MedsData.byId(section.dataset.medId);
+        section.outerHTML = renderMed(med);
+        const fresh = list.querySelector(`[data-med-id="${med.id}"]`);
+        fresh.querySelector('.band-editor').open = true;
+        fresh.querySelector('.band-status').textContent = status;
+    }
+
+    function save(section) {
+        const med = MedsData.byId(section.dataset.medId);
+        const calc = { type: 'weightTable', rows: readRows(section, med) };
+        const { errors, saved } = MedCatalog.save({ ...MedCatalog.editable(med), calc });
+        if (errors.length) {
+            const errorsEl = section.querySelector('.band-errors');
+            errorsEl.hidden = false;
+            errorsEl.textContent = errors.map(e => `⚠ ${e}`).join('\n');
+            return;
+        }
+        replaceCard(section, MedCatalog.statusText(`Saved ${med.name}`, saved));
+    }
+
+    renderAll();
+
+    list.addEventListener('input', (e) => {
+        const section = e.target.closest('.band-med');
+        if (section) preview(section);
+    });
+
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-band-action]');
+        if (!button) return;
+        const section = button.closest('.band-med');
+        const med = MedsData.byId(section.dataset.medId);
+        switch (button.dataset.bandAction) {
+            case 'add-row': {
+                const rows = readRows(section, med);
+                const last = rows[rows.length - 1];
+                const start = last && Number.isFinite(last.maxLb) ? last.maxLb : '';
+                section.querySelector('.band-rows tbody').insertAdjacentHTML('beforeend', renderEditorRow({ minLb: start, maxLb: '', value: '' }));
+                preview(section);
+                break;
+            }
+            case 'remove-row':
+                button.closest('tr').remove();
+                preview(section);
+                break;
+            case 'save':
+                save(section);
+                break;
+            case 'revert':
+                replaceCard(section, MedCatalog.statusText(`Reverted ${med.name}`, MedCatalog.remove(med.id)));
+                break;
+        }
+    });
+})();
@@ -2,8 +2,33 @@
  * /calc/ controller — wires the weight input to the meds table.
  *
  * The table is built once on load. On weight changes only the dose cells
- * are re-rendered (cheap; ~16 cells). Weight is persisted in localStorage
- * under its own key so refreshes / returns keep the value.
+ * are re-rendered (cheap; ~16 cells). Weight can be entered in any
+ * WeightUnits unit; it's persisted in grams in localStorage under its own
+ * key so refreshes / returns keep the value. The unit choice and the
+ * syringe mL doses are rounded to (Syringes) are shared with the intake form.
+ *
+ * The suspension panel works out a dissolved-tablet batch for mg meds sold
+ * as tablets: its concentration, the mL dose for the entered weight and
+ * how many doses one batch yields.
+ *
+ * The fluid plan panel turns an estimated dehydration into one day of SQ
+ * fluids for the entered weight (FluidTherapy): maintenance plus deficit,
+ * split into doses.
+ *
+ * The litter panel takes several weights at once (one per line or comma,
+ * optionally named "Tom: 900") and shows every med's dose for each kitten
+ * with the total across the litter. Its weights are persisted in grams
+ * like the single weight.
+ *
+ * The meds table can be searched and filtered by category; starred
+ * favorites (persisted) are listed first. Meds with a label dose range
+ * show the low-end dose with the doses at both ends.
+ *
+ * The catalog panel edits a med or adds one (MedCatalog validates the
+ * change and stores it on this device, for the intake form too) and
+ * imports/exports the whole catalog as CSV or JSON. Every panel is
+ * re-rendered from the updated catalog. The catalog version printed on
+ * intake records is shown under the table with its change log.
  */
 
 (function () {
@@ -11,10 +36,53 @@
 
     const KG_PER_LB = 0.45359237;
     const STORAGE_KEY = 'calc-weight-grams';
+    const BATCH_STORAGE_KEY = 'calc-batch-weights';
+    const FAVORITES_KEY = 'calc-favorites';
 
     const weightInput = document.getElementById('calc-weight');
+    const unitSelect = document.getElementById('calc-weight-unit');
+    const syringeSelect = document.getElementById('calc-syringe');
     const weightDisplay = document.getElementById('calc-weight-display');
     const tbody = document.getElementById('meds-tbody');
+    const suspensionMed = document.getElementById('suspension-med');
+    const suspensionInputs = {
+        tabletMg: document.getElementById('suspension-tablet-mg'),
+        tablets: document.getElementById('suspension-tablets'),
+        waterMl: document.getElementById('suspension-water-ml')
+    };
+    const suspensionResult = document.getElementById('suspension-result');
+    const fluidsDehydration = document.getElementById('fluids-dehydration');
+    const fluidsResult = document.getElementById('fluids-result');
+    const fluidsWarning = document.getElementById('fluids-warning');
+    const batchInput = document.getElementById('batch-weights');
+    const batchErrors = document.getElementById('batch-errors');
+    const batchMatrix = document.getElementById('batch-matrix');
+    const searchInput = document.getElementById('calc-search');
+    const categoryFilters = document.getElementById('calc-categories');
+    const emptyMessage = document.getElementById('meds-empty');
+    const catalogMed = document.getElementById('catalog-med');
+    const catalogFields = {
+        name: document.getElementById('catalog-name'),
+        id: document.getElementById('catalog-id'),
+        category: document.getElementById('catalog-category'),
+        unit: document.getElementById('catalog-unit'),
+        concentration: document.getElementById('catalog-concentration'),
+        calculationText: document.getElementById('catalog-calculation'),
+        calc: document.getElementById('catalog-calc'),
+        notes: document.getElementById('catalog-notes'),
+        warning: document.getElementById('catalog-warning'),
+        reviewed: document.getElementById('catalog-reviewed')
+    };
+    const catalogErrors = document.getElementById('catalog-errors');
+    const catalogStatus = document.getElementById('catalog-status');
+    const catalogSave = document.getElementById('catalog-save');
+    const catalogRemove = document.getElementById('catalog-remove');
+    const catalogImport = document.getElementById('catalog-import');
+    const catalogVersion = document.getElementById('catalog-version-text');
+    const catalogChangelog = document.getElementById('catalog-changelog');
+
+    const favorites = loadFavorites();
+    let activeCategory = '';
 
     function gramsToLb(g) { return g / 1000 / KG_PER_LB; }
 
@@ -22,14 +90,17 @@
         return String(s)
             .replace(/&/g, '&amp;')
             .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;');
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
+    // Favorites first, each group in catalog order
     function renderTable() {
         const meds = MedsData.all();
-        const rows = meds.map(med => `
+        const ordered = [...meds.filter(med => favorites.has(med.id)), ...meds.filter(med => !favorites.has(med.id))];
+        const rows = ordered.map(med => `
             <tr data-med-id="${med.id}">
-                <td class="col-name">${escapeHtml(med.name)}</td>
+                <td class="col-name"><button type="button" class="favorite-btn" data-favorite="${med.id}" aria-pressed="${favorites.has(med.id)}" aria-label="Favorite ${escapeHtml(med.name)}">★</button>${escapeHtml(med.name)}<small class="med-meta">${escapeHtml(MedsData.explain(med))}</small>${med.reviewed ? `<small class="med-meta">Reviewed ${escapeHtml(med.reviewed)}</small>` : ''}</td>
                 <td class="col-conc">${escapeHtml(med.concentration || '')}</td>
                 <td class="col-calc calc-text">${escapeHtml(med.calculationText || '')}</td>
                 <td class="col-dose dose-cell" data-dose-cell="${med.id}"></td>
@@ -46,8 +117,73 @@
         return parts.join('');
     }
 
+    function renderCategoryFilters() {
+        const buttons = [{ id: '', label: 'All' }, ...MedsData.categories()];
+        categoryFilters.innerHTML = buttons
+            .map(c => `<button type="button" data-category="${c.id}" aria-pressed="${c.id === activeCategory}">${escapeHtml(c.label)}</button>`)
+            .join('');
+    }
+
+    // Text a search matches: name, concentration, category, ingredients,
+    // drug class, route (abbreviation and label) and indications
+    function searchText(med) {
+        const category = MedsData.categories().find(c => c.id === med.category);
+        return [med.name, med.concentration, category && category.label, ...(med.ingredients || []),
+            med.drugClass, med.route, MedsData.routes()[med.route], ...(med.indications || [])]
+            .filter(Boolean).join(' ').toLowerCase();
+    }
+
+    function applyFilters() {
+        const query = searchInput.value.trim().toLowerCase();
+        let shown = 0;
+        for (const row of tbody.querySelectorAll('tr[data-med-id]')) {
+            const med = MedsData.byId(row.dataset.medId);
+            const matches = (!activeCategory || med.category === activeCategory)
+                && (!query || searchText(med).includes(query));
+            row.hidden = !matches;
+            if (matches) shown++;
+        }
+        emptyMessage.hidden = shown > 0;
+    }
+
+    function loadFavorites() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(FAVORITES_KEY) || '[]');
+            return new Set(Array.isArray(saved) ? saved.filter(id => MedsData.byId(id)) : []);
+        } catch (e) {
+            return new Set();
+        }
+    }
+
+    function saveFavorites() {
+        try {
+            localStorage.setItem(FAVORITES_KEY, JSON.stringify([...favorites]));
+        } catch (e) {
+            // non-fatal
+        }
+    }
+
+    function renderUnitOptions() {
+        const preferred = WeightUnits.loadPreferred();
+        unitSelect.innerHTML = WeightUnits.UNITS
+            .map(u => `<option value="${u.value}"${u.value === preferred ? ' selected' : ''}>${escapeHtml(u.label)}</option>`)
+            .join('');
+        weightInput.placeholder = WeightUnits.byValue(preferred).placeholder;
+    }
+
+    function renderSyringeOptions() {
+        const preferred = Syringes.loadPreferred();
+        syringeSelect.innerHTML = Syringes.CHOICES
+            .map(c => `<option value="${c.value}"${c.value === preferred ? ' selected' : ''}>Syringe: ${escapeHtml(c.label)}</option>`)
+            .join('');
+    }
+
+    function currentGrams() {
+        return WeightUnits.parse(weightInput.value, unitSelect.value);
+    }
+
     function updateDoses() {
-        const grams = parseFloat(weightInput.value);
+        const grams = currentGrams();
 
         if (!grams || grams <= 0) {
             weightDisplay.textContent = '';
@@ -59,30 +195,357 @@
         }
 
         const weightLb = gramsToLb(grams);
-        weightDisplay.textContent = `${weightLb.toFixed(2)} lb`;
+        // Show the weight in the unit not typed: grams for lb entries, lb otherwise
+        weightDisplay.textContent = unitSelect.value.startsWith('lb')
+            ? `${Math.round(grams)} g`
+            : `${weightLb.toFixed(2)} lb`;
 
         for (const med of MedsData.all()) {
             const cell = tbody.querySelector(`[data-dose-cell="${med.id}"]`);
             if (!cell) continue;
-            const result = MedCalculator.compute(med, weightLb);
-            cell.textContent = result.displayValue;
+            const result = MedCalculator.compute(med, weightLb, { syringe: syringeSelect.value });
+            const breakdown = MedCalculator.breakdownText(result.breakdown);
+            const tablets = MedCalculator.tabletText(result.tablets);
+            const suspension = MedCalculator.suspensionText(result.suspension);
+            const range = MedCalculator.rangeText(result.range);
+            const warnings = [result.syringe, result.tablets].filter(r => r && r.warning).map(r => r.warning);
+            cell.innerHTML = escapeHtml(result.displayValue)
+                + (result.syringe ? `<small class="dose-syringe">${escapeHtml(result.syringe.label)} syringe</small>` : '')
+                + (breakdown ? `<small class="dose-breakdown">${escapeHtml(breakdown)}</small>` : '')
+                + (tablets ? `<small class="dose-tablets">≈ ${escapeHtml(tablets)}</small>` : '')
+                + (suspension ? `<small class="dose-suspension">or ${escapeHtml(suspension)}</small>` : '')
+                + (range ? `<small class="dose-range">Range ${escapeHtml(range)}</small>` : '')
+                + warnings.map(w => `<small class="warning">⚠ ${escapeHtml(w)}</small>`).join('');
             cell.classList.toggle('out-of-range', result.isOutOfRange);
         }
     }
 
+    // mg meds sold as tablets: the ones a suspension can be made from
+    function suspensionMeds() {
+        return MedsData.all().filter(med => med.unit === 'mg' && med.strength
+            && med.strength.per === 'tablet' && typeof med.strength.mg === 'number');
+    }
+
+    function renderSuspensionOptions() {
+        const meds = suspensionMeds();
+        const preferred = meds.find(med => med.suspension) || meds[0];
+        suspensionMed.innerHTML = meds
+            .map(med => `<option value="${med.id}"${med === preferred ? ' selected' : ''}>${escapeHtml(med.name)}</option>`)
+            .join('');
+        applySuspensionDefaults();
+    }
+
+    // Start from the med's tablet strength and its recipe, if it has one
+    function applySuspensionDefaults() {
+        const med = MedsData.byId(suspensionMed.value);
+        if (!med) return;
+        const recipe = med.suspension || {};
+        suspensionInputs.tabletMg.value = String(med.strength.mg);
+        suspensionInputs.tablets.value = String(recipe.tablets || 1);
+        suspensionInputs.waterMl.value = recipe.waterMl ? String(recipe.waterMl) : '';
+    }
+
+    function updateSuspension() {
+        const med = MedsData.byId(suspensionMed.value);
+        const recipe = {
+            tabletMg: parseFloat(suspensionInputs.tabletMg.value),
+            tablets: parseFloat(suspensionInputs.tablets.value),
+            waterMl: parseFloat(suspensionInputs.waterMl.value)
+        };
+        const rows = [];
+
+        if (!med || !(recipe.tabletMg > 0 && recipe.tablets > 0 && recipe.waterMl > 0)) {
+            rows.push(['Concentration', 'Enter tablet strength, tablets and water']);
+        } else {
+            const mgPerMl = recipe.tablets * recipe.tabletMg / recipe.waterMl;
+            rows.push(['Concentration', `${+mgPerMl.toFixed(2)} mg/mL`]);
+
+            const grams = currentGrams();
+            const result = grams > 0 ? MedCalculator.compute(med, gramsToLb(grams), { syringe: syringeSelect.value }) : null;
+            const dose = result && !result.isOutOfRange
+                ? MedCalculator.suspension(recipe, result.value, gramsToLb(grams), syringeSelect.value)
+                : null;
+
+            if (!result) {
+                rows.push(['Dose', 'Enter a weight']);
+            } else if (!dose) {
+                rows.push(['Dose', result.displayValue]);
+            } else {
+                const ml = dose.syringe ? dose.ml.toFixed(dose.syringe.decimals) : dose.ml.toFixed(2);
+                const syringe = dose.syringe ? ` on a ${dose.syringe.label} syringe` : '';
+                rows.push(['Dose', `${ml} mL (${+(dose.ml * dose.mgPerMl).toFixed(2)} mg · ${+dose.mgPerKg.toFixed(1)} mg/kg)${syringe}`]);
+
+                const perDay = MedCalculator.dosesPerDay(med);
+                const days = Math.floor(dose.dosesPerBatch / perDay);
+                const frequency = MedCalculator.frequencyText(med);
+                rows.push(['One batch', `${dose.dosesPerBatch} ${dose.dosesPerBatch === 1 ? 'dose' : 'doses'}`
+                    + (frequency ? ` · ${days} ${days === 1 ? 'day' : 'days'} ${frequency}` : '')]);
+            }
+        }
+
+        suspensionResult.innerHTML = rows
+            .map(([term, value]) => `<dt>${escapeHtml(term)}</dt><dd>${escapeHtml(value)}</dd>`)
+            .join('');
+    }
+
+    function renderDehydrationOptions() {
+        fluidsDehydration.innerHTML = FluidTherapy.DEHYDRATION_LEVELS
+            .map(level => `<option value="${level.percent}">Dehydration ${escapeHtml(FluidTherapy.levelText(level.percent))}</option>`)
+            .join('');
+    }
+
+    function updateFluids() {
+        const grams = currentGrams();
+        const plan = grams > 0 ? FluidTherapy.plan(gramsToLb(grams), Number(fluidsDehydration.value)) : null;
+        const rows = plan
+            ? [
+                ['Maintenance', `${plan.maintenanceMl} mL/day`],
+                ['Deficit', `${plan.deficitMl} mL`],
+                ['Total', `${plan.dailyMl} mL/day`],
+                ['Per dose', `${plan.perDoseMl} mL SQ` + (plan.dosesPerDay > 1 ? `, ${plan.dosesPerDay}× a day (every ${plan.everyHours}h)` : ', once a day')]
+            ]
+            : [['Total', 'Enter a weight']];
+        fluidsResult.innerHTML = rows
+            .map(([term, value]) => `<dt>${escapeHtml(term)}</dt><dd>${escapeHtml(value)}</dd>`)
+            .join('');
+        fluidsWarning.hidden = !(plan && plan.warning);
+        fluidsWarning.textContent = plan && plan.warning ? `⚠ ${plan.warning}` : '';
+    }
+
+    /**
+     * Read the litter entries: one weight per line or comma, optionally
+     * "name: weight", in the selected unit
+     * @returns {{kittens: Array<{name: string|null, grams: number}>, unreadable: Array<string>}}
+     */
+    function parseBatch(unit) {
+        const kittens = [];
+        const unreadable = [];
+        batchInput.value.split(/[\n,;]+/).map(part => part.trim()).filter(Boolean).forEach(part => {
+            const named = part.match(/^(.*?)\s*:\s*(.+)$/);
+            const grams = WeightUnits.parse(named ? named[2] : part, unit);
+            if (grams > 0) {
+                kittens.push({ name: named ? named[1] : null, grams });
+            } else {
+                unreadable.push(part);
+            }
+        });
+        return { kittens, unreadable };
+    }
+
+    // One dose for every kitten: numeric doses summed, ranges summed end
+    // to end, tablet fractions counted by dose (e.g. '2 × ½ tab')
+    function batchTotal(med, results) {
+        const given = results.filter(r => !r.isOutOfRange);
+        if (given.length === 0) return '—';
+        if (given.every(r => typeof r.value === 'number')) {
+            const sum = given.reduce((total, r) => total + r.value, 0);
+            return `${sum.toFixed(2)} ${med.unit}`;
+        }
+        if (given.every(r => Array.isArray(r.value))) {
+            const [lo, hi] = given.reduce(([a, b], r) => [a + r.value[0], b + r.value[1]], [0, 0]);
+            return `${lo.toFixed(2)}–${hi.toFixed(2)} mL`;
+        }
+        const counts = {};
+        given.forEach(r => { counts[r.displayValue] = (counts[r.displayValue] || 0) + 1; });
+        return Object.entries(counts).map(([display, n]) => (n > 1 ? `${n} × ${display}` : display)).join(', ');
+    }
+
+    function updateBatch() {
+        const { kittens, unreadable } = parseBatch(unitSelect.value);
+        batchErrors.hidden = unreadable.length === 0;
+        batchErrors.textContent = unreadable.length ? `⚠ Couldn't read: ${unreadable.join(', ')}` : '';
+
+        if (kittens.length === 0) {
+            batchMatrix.innerHTML = '';
+            return;
+        }
+
+        const headers = kittens.map((k, i) => `<th>${escapeHtml(k.name || `#${i + 1}`)}<small>${Math.round(k.grams)} g</small></th>`).join('');
+        const rows = MedsData.all().map(med => {
+            const results = kittens.map(k => MedCalculator.compute(med, gramsToLb(k.grams), { syringe: syringeSelect.value }));
+            const cells = results
+                .map(r => `<td${r.isOutOfRange ? ' class="out-of-range"' : ''}>${escapeHtml(r.displayValue)}</td>`)
+                .join('');
+            return `<tr data-batch-med="${med.id}"><th>${escapeHtml(med.name)}</th>${cells}<td class="batch-total">${escapeHtml(batchTotal(med, results))}</td></tr>`;
+        }).join('');
+
+        batchMatrix.innerHTML = `
+            <table class="batch-table">
+                <thead><tr><th>Medication</th>${headers}<th class="batch-total">Total</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    function renderCatalogSelects() {
+        catalogFields.category.innerHTML = MedsData.categories()
+            .map(c => `<option value="${c.id}">${escapeHtml(c.label)}</option>`)
+            .join('');
+        catalogFields.unit.innerHTML = MedCatalog.UNITS
+            .map(unit => `<option value="${unit}">${unit}</option>`)
+            .join('');
+        catalogFields.calc.placeholder = '{ "type": "linear", "mlPerLb": 0.1 }';
+    }
+
+    // "New medication" first, then the catalog with local changes marked
+    function renderCatalogOptions(selectedId) {
+        const options = MedsData.all().map(med => {
+            const mark = MedCatalog.isCustom(med.id) ? ' (added)' : MedCatalog.isEdited(med.id) ? ' (edited)' : '';
+            return `<option value="${med.id}"${med.id === selectedId ? ' selected' : ''}>${escapeHtml(med.name + mark)}</option>`;
+        });
+        catalogMed.innerHTML = ['<option value="">New medication…</option>', ...options].join('');
+        fillCatalogForm();
+    }
+
+    function fillCatalogForm() {
+        const med = MedsData.byId(catalogMed.value);
+        const entry = med ? MedCatalog.editable(med) : {};
+        for (const [field, input] of Object.entries(catalogFields)) {
+            if (field === 'calc') {
+                input.value = MedCatalog.formatSpec(entry.calc);
+            } else if (field === 'category' || field === 'unit') {
+                input.value = entry[field] || input.options[0].value;
+            } else {
+                input.value = entry[field] || '';
+            }
+        }
+        // IDs are kept in saved forms and links, so only new meds get one
+        catalogFields.id.disabled = !!med;
+        catalogFields.id.placeholder = med ? '' : 'From the name';
+
+        const custom = med && MedCatalog.isCustom(med.id);
+        catalogRemove.hidden = !custom && !(med && MedCatalog.isEdited(med.id));
+        catalogRemove.textContent = custom ? 'Delete medication' : 'Revert to built-in';
+        showCatalogErrors([]);
+    }
+
+    function showCatalogErrors(errors) {
+        catalogErrors.hidden = errors.length === 0;
+        catalogErrors.textContent = errors.map(e => `⚠ ${e}`).join('\n');
+    }
+
+    // Version stamp (as printed on intake records) and the changes behind it, newest first
+    function renderCatalogVersion() {
+        catalogVersion.textContent = MedsData.versionText();
+        catalogChangelog.innerHTML = [...MedsData.changelog()].reverse()
+            .map(entry => `<dt>v${entry.version} · ${escapeHtml(entry.date)}</dt><dd>${escapeHtml(entry.changes)}</dd>`)
+            .join('');
+    }
+
+    // Re-render everything that reads the catalog
+    function refreshCatalog(selectedId, status) {
+        renderTable();
+        applyFilters();
+        renderSuspensionOptions();
+        update();
+        renderCatalogOptions(selectedId);
+        renderCatalogVersion();
+        catalogStatus.textContent = status;
+    }
+
+    function saveCatalogEntry() {
+        const isNew = !catalogMed.value;
+        const entry = {};
+        for (const [field, input] of Object.entries(catalogFields)) {
+            if (field !== 'calc') entry[field] = input.value;
+        }
+        try {
+            entry.calc = MedCatalog.parseSpec(catalogFields.calc.value);
+        } catch (e) {
+            showCatalogErrors([e.message]);
+            return;
+        }
+        entry.id = isNew ? (entry.id.trim() || MedCatalog.idFromName(entry.name)) : catalogMed.value;
+        if (isNew && MedsData.byId(entry.id)) {
+            showCatalogErrors([`A medication with ID "${entry.id}" already exists`]);
+            return;
+        }
+
+        const { med, errors, saved } = MedCatalog.save(entry);
+        if (errors.length) {
+            showCatalogErrors(errors);
+            return;
+        }
+        refreshCatalog(med.id, MedCatalog.statusText(`Saved ${med.name}`, saved));
+    }
+
+    function downloadFile(text, filename, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function importCatalog(file) {
+        const format = /\.json$/i.test(file.name) || file.type === 'application/json' ? 'json' : 'csv';
+        file.text().then(text => {
+            const { count, errors, saved } = MedCatalog.importText(text, format);
+            if (errors.length) {
+                catalogStatus.textContent = `Nothing imported from ${file.name}`;
+                showCatalogErrors(errors);
+                return;
+            }
+            refreshCatalog(catalogMed.value, MedCatalog.statusText(`Imported ${count} ${count === 1 ? 'medication' : 'medications'} from ${file.name}`, saved));
+        }).catch(e => {
+            catalogStatus.textContent = `Couldn't read ${file.name}`;
+            showCatalogErrors([e.message]);
+        });
+    }
+
+    function update() {
+        updateDoses();
+        updateSuspension();
+        updateFluids();
+        updateBatch();
+    }
+
     function loadPersisted() {
         try {
             const saved = localStorage.getItem(STORAGE_KEY);
-            if (saved) weightInput.value = saved;
+            if (saved) weightInput.value = WeightUnits.format(parseFloat(saved), unitSelect.value);
         } catch (e) {
             // localStorage may be unavailable; non-fatal.
         }
     }
 
+    // Litter entries in a unit: "name: weight", one per line
+    function formatBatch(kittens, unit) {
+        return kittens
+            .map(k => (k.name ? `${k.name}: ` : '') + WeightUnits.format(k.grams, unit))
+            .join('\n');
+    }
+
+    function loadPersistedBatch() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(BATCH_STORAGE_KEY) || '[]');
+            if (Array.isArray(saved)) batchInput.value = formatBatch(saved.filter(k => k && k.grams > 0), unitSelect.value);
+        } catch (e) {
+            // localStorage may be unavailable or hold bad JSON; non-fatal.
+        }
+    }
+
+    function persistBatch() {
+        try {
+            const { kittens } = parseBatch(unitSelect.value);
+            if (kittens.length > 0) {
+                localStorage.setItem(BATCH_STORAGE_KEY, JSON.stringify(kittens));
+            } else {
+                localStorage.removeItem(BATCH_STORAGE_KEY);
+            }
+        } catch (e) {
+            // non-fatal
+        }
+    }
+
     function persist() {
         try {
-            if (weightInput.value) {
-                localStorage.setItem(STORAGE_KEY, weightInput.value);
+            const grams = currentGrams();
+            if (grams > 0) {
+                localStorage.setItem(STORAGE_KEY, String(grams));
             } else {
                 localStorage.removeItem(STORAGE_KEY);
             }
@@ -92,11 +555,119 @@
     }
 
     renderTable();
+    renderCategoryFilters();
+    renderUnitOptions();
+    renderSyringeOptions();
+    renderSuspensionOptions();
+    renderDehydrationOptions();
+    renderCatalogSelects();
+    renderCatalogOptions('');
+    renderCatalogVersion();
     loadPersisted();
-    updateDoses();
+    loadPersistedBatch();
+    if (batchInput.value) document.getElementById('calc-batch').open = true;
+    update();
+
+    let previousUnit = unitSelect.value;
 
     weightInput.addEventListener('input', () => {
-        updateDoses();
+        weightInput.value = WeightUnits.filterInput(weightInput.value, unitSelect.value);
+        update();
         persist();
     });
+
+    // Re-express the current weight in the new unit
+    unitSelect.addEventListener('change', () => {
+        const grams = WeightUnits.parse(weightInput.value, previousUnit);
+        const batch = parseBatch(previousUnit);
+        previousUnit = unitSelect.value;
+        batchInput.value = [formatBatch(batch.kittens, unitSelect.value), ...batch.unreadable].filter(Boolean).join('\n');
+        WeightUnits.savePreferred(unitSelect.value);
+        weightInput.placeholder = WeightUnits.byValue(unitSelect.value).placeholder;
+        weightInput.value = WeightUnits.format(grams, unitSelect.value);
+        update();
+    });
+
+    syringeSelect.addEventListener('change', () => {
+        Syringes.savePreferred(syringeSelect.value);
+        update();
+    });
+
+    searchInput.addEventListener('input', applyFilters);
+
+    categoryFilters.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-category]');
+        if (!button) return;
+        activeCategory = button.dataset.category;
+        renderCategoryFilters();
+        applyFilters();
+    });
+
+    // Star or unstar a med, then re-sort with favorites on top
+    tbody.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-favorite]');
+        if (!button) return;
+        const id = button.dataset.favorite;
+        if (favorites.has(id)) {
+            favorites.delete(id);
+        } else {
+            favorites.add(id);
+        }
+        saveFavorites();
+        renderTable();
+        updateDoses();
+        applyFilters();
+    });
+
+    fluidsDehydration.addEventListener('change', updateFluids);
+
+    batchInput.addEventListener('input', () => {
+        updateBatch();
+        persistBatch();
+    });
+
+    suspensionMed.addEventListener('change', () => {
+        applySuspensionDefaults();
+        updateSuspension();
+    });
+
+    Object.values(suspensionInputs).forEach(input => {
+        input.addEventListener('input', () => {
+            // Plain decimal numbers, like a gram weight
+            input.value = WeightUnits.filterInput(input.value, 'g');
+            updateSuspension();
+        });
+    });
+
+    catalogMed.addEventListener('change', () => {
+        catalogStatus.textContent = '';
+        fillCatalogForm();
+    });
+
+    catalogSave.addEventListener('click', saveCatalogEntry);
+
+    catalogRemove.addEventListener('click', () => {
+        const med = MedsData.byId(catalogMed.value);
+        if (!med) return;
+        const custom = MedCatalog.isCustom(med.id);
+        if (custom && !confirm(`Delete ${med.name} from this device's catalog?`)) return;
+        const saved = MedCatalog.remove(med.id);
+        refreshCatalog(custom ? '' : med.id, MedCatalog.statusText(custom ? `Deleted ${med.name}` : `Reverted ${med.name}`, saved));
+    });
+
+    document.getElementById('calc-catalog').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-export]');
+        if (!button) return;
+        if (button.dataset.export === 'json') {
+            downloadFile(MedCatalog.toJSON(), 'meds.json', 'application/json');
+        } else {
+            downloadFile(MedCatalog.toCSV(), 'meds.csv', 'text/csv');
+        }
+    });
+
+    catalogImport.addEventListener('change', () => {
+        const file = catalogImport.files[0];
+        catalogImport.value = '';
+        if (file) importCatalog(file);
+    });
 })();
@@ -7,7 +7,13 @@ class AppState {
     constructor() {
         this.state = {
             kittens: [],
-            kittenCounter: 0
+            kittenCounter: 0,
+            // Intake date/time ('YYYY-MM-DDTHH:mm', as in a datetime-local
+            // input). Checklist dates and print headers anchor on it.
+            intakeDate: AppState.toDateTimeLocal(new Date()),
+            // IntakeHistory record id the current cats were opened from or
+            // saved to, or null when they aren't in history yet
+            historyId: null
         };
 
         // Track previous state values for change detection
@@ -116,30 +122,19 @@ class AppState {
             microchip: kittenData.microchip || '',
             weightGrams: kittenData.weightGrams || 0,
             weightLb: kittenData.weightLb || 0,
+            ageWeeks: kittenData.ageWeeks ?? null,
             topical: kittenData.topical || Constants.DEFAULTS.TOPICAL,
             drontalType: kittenData.drontalType || Constants.DRONTAL_TYPE.DRONCIT,
             panacurDays: kittenData.panacurDays ?? Constants.DEFAULTS.PANACUR_DAYS,
             ponazurilDays: kittenData.ponazurilDays ?? Constants.DEFAULTS.PONAZURIL_DAYS,
             ringwormStatus: kittenData.ringwormStatus || Constants.RINGWORM_STATUS.NOT_SCANNED,
             fvrcpStatus: kittenData.fvrcpStatus || Constants.FVRCP_STATUS.UNKNOWN,
-            medicationStatus: kittenData.medicationStatus || {
-                flea: Constants.STATUS.TODO,
-                capstar: Constants.STATUS.TODO,
-                panacur: Constants.STATUS.TODO,
-                ponazuril: Constants.STATUS.TODO,
-                drontal: Constants.STATUS.TODO,
-                nexgard: Constants.STATUS.TODO,
-                pyrantel: Constants.STATUS.TODO
-            },
-            medicationEnabled: kittenData.medicationEnabled || {
-                flea: true,
-                capstar: true,
-                panacur: true,
-                ponazuril: true,
-                drontal: true,
-                nexgard: false,
-                pyrantel: false
-            },
+            medicationStatus: kittenData.medicationStatus ||
+                Object.fromEntries(IntakeProtocol.all().map(row => [row.key, row.defaultStatus])),
+            medicationEnabled: kittenData.medicationEnabled ||
+                Object.fromEntries(IntakeProtocol.all().map(row => [row.key, row.defaultEnabled])),
+            addedMeds: kittenData.addedMeds || [],
+            weightLog: kittenData.weightLog || [],
             ...kittenData
         };
 
@@ -254,6 +249,77 @@ class AppState {
         return this.state.kittenCounter;
     }
 
+    // ==========================================
+    // Intake Date
+    // ==========================================
+
+    /**
+     * @returns {string} Intake date/time as 'YYYY-MM-DDTHH:mm'
+     */
+    getIntakeDateValue() {
+        return this.state.intakeDate;
+    }
+
+    /**
+     * @returns {Date} Intake date/time
+     */
+    getIntakeDate() {
+        return AppState.parseDateTimeLocal(this.state.intakeDate) || new Date();
+    }
+
+    /**
+     * Set the intake date/time. Anything unparseable resets it to now.
+     * @param {string} value - 'YYYY-MM-DDTHH:mm'
+     */
+    setIntakeDate(value) {
+        this.state.intakeDate = AppState.parseDateTimeLocal(value)
+            ? value
+            : AppState.toDateTimeLocal(new Date());
+    }
+
+    // ==========================================
+    // Intake History Record
+    // ==========================================
+
+    /**
+     * @returns {number|null} IntakeHistory record id holding the current cats
+     */
+    getHistoryId() {
+        return this.state.historyId;
+    }
+
+    /**
+     * @param {number|null} id - IntakeHistory record id, or null for cats
+     *   not in history
+     */
+    setHistoryId(id) {
+        this.state.historyId = id || null;
+    }
+
+    /**
+     * Format a Date as a datetime-local value in local time
+     * @param {Date} date
+     * @returns {string} 'YYYY-MM-DDTHH:mm'
+     */
+    static toDateTimeLocal(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Parse a datetime-local value as local time
+     * @param {string} value - 'YYYY-MM-DDTHH:mm'
+     * @returns {Date|null} null if malformed
+     */
+    static parseDateTimeLocal(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value || '');
+        if (!match) return null;
+        const [, year, month, day, hours, minutes] = match.map(Number);
+        const date = new Date(year, month - 1, day, hours, minutes);
+        return isNaN(date.getTime()) || date.getMonth() !== month - 1 ? null : date;
+    }
+
     // Constants
     getOutOfRangeString() {
         return this.constants.outOfRangeString;
@@ -280,8 +346,11 @@ class AppState {
         });
     }
 
-    static updateDateTime() {
-        const now = new Date();
+    /**
+     * Write the intake date/time into the print header
+     * @param {Date} [now] - Date to show (the intake date; defaults to now)
+     */
+    static updateDateTime(now = new Date()) {
         
         // Format date parts
         const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
@@ -313,6 +382,19 @@ class AppState {
         }
     }
 
+    /**
+     * Escape a string for safe interpolation into HTML
+     * @param {string} s - Raw text
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(s) {
+        return String(s)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     static formatDate(date) {
         return date.toLocaleDateString('en-US', {
             month: 'numeric',
@@ -342,6 +424,42 @@ class AppState {
         return status;
     }
 
+    /**
+     * Read the catalog medications added to a kitten via the picker, in form order
+     * @param {string} kittenId - The kitten ID
+     * @returns {Array<{medId: string, status: string, days?: number, dehydration?: number, rangePercent?: number}>}
+     *   `days` only for repeat-dose meds, `dehydration` only for SQ Fluids
+     *   dosed from a fluid plan, `rangePercent` only for meds with a label range
+     */
+    getAddedMedications(kittenId) {
+        const rows = document.querySelectorAll(`#${Constants.ID.addedMeds(kittenId)} .medication-row[data-med-id]`);
+        return Array.from(rows).map(row => {
+            const medId = row.dataset.medId;
+            const checked = row.querySelector(`input[name="${Constants.ID.medStatusName(kittenId, medId)}"]:checked`);
+            const entry = { medId, status: checked ? checked.value : Constants.STATUS.TODO };
+            const days = document.getElementById(Constants.ID.medDays(kittenId, medId));
+            if (days) entry.days = Number(days.value);
+            const dehydration = document.getElementById(Constants.ID.medDehydration(kittenId, medId));
+            if (dehydration && dehydration.value !== '') entry.dehydration = Number(dehydration.value);
+            const rangePoint = document.getElementById(Constants.ID.medRangePoint(kittenId, medId));
+            if (rangePoint) entry.rangePercent = Number(rangePoint.value);
+            return entry;
+        });
+    }
+
+    /**
+     * Read a kitten's weight log from its rendered entries
+     * @param {string} kittenId - The kitten ID
+     * @returns {Array<{date: string, grams: number}>} Sorted by date
+     */
+    getWeightLog(kittenId) {
+        const rows = document.querySelectorAll(`#${Constants.ID.weightLogEntries(kittenId)} .weight-log-entry`);
+        return WeightLog.normalize(Array.from(rows).map(row => ({
+            date: row.dataset.date,
+            grams: parseFloat(row.dataset.grams)
+        })));
+    }
+
     // Data Collection
     collectKittenData() {
         const kittenForms = document.querySelectorAll(`.${Constants.CSS.KITTEN_FORM}`);
@@ -354,51 +472,35 @@ class AppState {
             const microchip = microchipInput ? microchipInput.value.trim() : '';
             const weightGrams = parseFloat(document.getElementById(Constants.ID.weight(kittenId)).value);
             const weightLb = AppState.convertToPounds(weightGrams);
-
-            const topicalRadios = document.querySelectorAll(`input[name="${Constants.ID.topicalName(kittenId)}"]`);
-            let topical = Constants.DEFAULTS.TOPICAL;
-            topicalRadios.forEach(radio => {
-                if (radio.checked) topical = radio.value;
-            });
-
-            // Get dewormer type (Droncit injectable / Drontal tablet)
-            const drontalTypeRadios = document.querySelectorAll(`input[name="${Constants.ID.drontalTypeName(kittenId)}"]`);
-            let drontalType = Constants.DRONTAL_TYPE.DRONCIT;
-            drontalTypeRadios.forEach(radio => {
-                if (radio.checked) drontalType = radio.value;
-            });
+            const ageInput = document.getElementById(Constants.ID.age(kittenId));
+            const ageWeeks = ageInput && parseFloat(ageInput.value) >= 0 ? parseFloat(ageInput.value) : null;
 
             // Get medication statuses using new system
-            const fleaStatus = this.getMedicationStatus(kittenId, 'flea');
-            const capstarStatus = this.getMedicationStatus(kittenId, 'capstar');
-            const panacurStatus = this.getMedicationStatus(kittenId, 'panacur');
-            const ponazurilStatus = this.getMedicationStatus(kittenId, 'ponazuril');
-            const drontalStatus = this.getMedicationStatus(kittenId, 'drontal');
-            const nexgardStatus = this.getMedicationStatus(kittenId, 'nexgard');
-            const pyrantelStatus = this.getMedicationStatus(kittenId, 'pyrantel');
-
-            // Convert status to boolean for backward compatibility
-            const fleaGiven = fleaStatus === Constants.STATUS.DONE;
-
-            const panacurRadios = document.querySelectorAll(`input[name="${Constants.ID.panacurName(kittenId)}"]`);
-            let panacurDays = Constants.DEFAULTS.PANACUR_DAYS;
-            panacurRadios.forEach(radio => {
-                if (radio.checked) panacurDays = parseInt(radio.value);
+            const medicationStatus = {};
+            Constants.MEDICATIONS.forEach(med => {
+                medicationStatus[med] = this.getMedicationStatus(kittenId, med);
             });
 
-            const ponazurilRadios = document.querySelectorAll(`input[name="${Constants.ID.ponazurilName(kittenId)}"]`);
-            let ponazurilDays = Constants.DEFAULTS.PONAZURIL_DAYS;
-            ponazurilRadios.forEach(radio => {
-                if (radio.checked) ponazurilDays = parseInt(radio.value);
+            // Variant choices (topical, dewormer form) and regimen days, stored
+            // under each protocol row's state field
+            const protocolFields = {};
+            IntakeProtocol.all().forEach(row => {
+                if (row.variants) {
+                    const checked = document.querySelector(`input[name="${Constants.ID.variantName(kittenId, row.variants.name)}"]:checked`);
+                    protocolFields[row.variants.field] = checked ? checked.value : row.variants.default;
+                }
+                if (row.duration) {
+                    const checked = document.querySelector(`input[name="${Constants.ID.durationName(kittenId, row.key)}"]:checked`);
+                    const days = checked ? parseInt(checked.value) : row.duration.default;
+                    protocolFields[row.duration.field] = medicationStatus[row.key] === Constants.STATUS.SKIP ? 0 : days;
+                }
             });
 
             // Convert status to boolean for backward compatibility with schedule system
-            const panacurDay1Given = panacurStatus === Constants.STATUS.DONE;
-            const ponazurilDay1Given = ponazurilStatus === Constants.STATUS.DONE;
-            const drontalDay1Given = drontalStatus === Constants.STATUS.DONE;
-            const nexgardDay1Given = nexgardStatus === Constants.STATUS.DONE;
-            const capstarDay1Given = capstarStatus === Constants.STATUS.DONE;
-            const pyrantelDay1Given = pyrantelStatus === Constants.STATUS.DONE;
+            const day1Given = {};
+            Constants.MEDICATIONS.forEach(med => {
+                day1Given[med] = medicationStatus[med] === Constants.STATUS.DONE;
+            });
 
             // Get sex
             const sexRadios = document.querySelectorAll(`input[name="${Constants.ID.sexName(kittenId)}"]`);
@@ -428,31 +530,16 @@ class AppState {
                 sex,
                 weightGrams,
                 weightLb,
-                topical: fleaStatus === Constants.STATUS.SKIP ? Constants.TOPICAL.NONE : topical,
-                drontalType,
-                fleaGiven,
-                panacurDays: panacurStatus === Constants.STATUS.SKIP ? 0 : panacurDays,
-                ponazurilDays: ponazurilStatus === Constants.STATUS.SKIP ? 0 : ponazurilDays,
+                ageWeeks,
+                ...protocolFields,
+                topical: medicationStatus.flea === Constants.STATUS.SKIP ? Constants.TOPICAL.NONE : protocolFields.topical,
+                fleaGiven: medicationStatus.flea === Constants.STATUS.DONE,
                 ringwormStatus,
                 fvrcpStatus,
-                day1Given: {
-                    panacur: panacurDay1Given,
-                    ponazuril: ponazurilDay1Given,
-                    drontal: drontalDay1Given,
-                    nexgard: nexgardDay1Given,
-                    capstar: capstarDay1Given,
-                    pyrantel: pyrantelDay1Given
-                },
-                // New medication status fields
-                medicationStatus: {
-                    flea: fleaStatus,
-                    capstar: capstarStatus,
-                    panacur: panacurStatus,
-                    ponazuril: ponazurilStatus,
-                    drontal: drontalStatus,
-                    nexgard: nexgardStatus,
-                    pyrantel: pyrantelStatus
-                }
+                day1Given,
+                medicationStatus,
+                addedMeds: this.getAddedMedications(kittenId),
+                weightLog: this.getWeightLog(kittenId)
             };
 
             collectedKittens.push(kitten);
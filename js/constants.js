@@ -5,19 +5,15 @@
 
 const Constants = {
     // Medication type keys (lowercase, used in form element IDs)
-    // Order here defines form and results rendering order
-    MEDICATIONS: ['flea', 'capstar', 'drontal', 'panacur', 'ponazuril', 'nexgard', 'pyrantel'],
+    // Order comes from IntakeProtocol and defines form and results rendering order
+    MEDICATIONS: IntakeProtocol.keys(),
 
     // Display names for medications
-    MEDICATION_DISPLAY_NAMES: {
-        flea: 'Flea Med',
-        capstar: 'Capstar',
-        panacur: 'Panacur',
-        ponazuril: 'Ponazuril',
-        drontal: 'Dewormer',
-        nexgard: 'NexGard Combo',
-        pyrantel: 'Pyrantel'
-    },
+    MEDICATION_DISPLAY_NAMES: Object.fromEntries(IntakeProtocol.all().map(row => [row.key, row.label])),
+
+    // Catalog (MedsData) ids already covered by each built-in row. These are
+    // left out of the "Add medication" picker so a med can't appear twice.
+    MEDICATION_CATALOG_IDS: Object.fromEntries(IntakeProtocol.all().map(row => [row.key, IntakeProtocol.catalogIdsFor(row)])),
 
     // Dewormer forms for the Droncit/Drontal row
     DRONTAL_TYPE: {
@@ -40,6 +36,24 @@ const Constants = {
         DELAY: 'delay'
     },
 
+    // Foster checklist dose slots, by number of doses per day. Meds given
+    // more often than three times a day fall back to numbered slots.
+    DOSE_SLOTS: {
+        1: ['daily'],
+        2: ['morning', 'night'],
+        3: ['morning', 'afternoon', 'night']
+    },
+
+    DOSE_SLOT_LABELS: {
+        daily: '',
+        morning: 'AM',
+        afternoon: 'Noon',
+        night: 'PM'
+    },
+
+    // Course lengths offered for repeat-dose meds added via the picker
+    COURSE_DAYS: [1, 2, 3, 4, 5, 6, 7],
+
     // Sex values
     SEX: {
         UNKNOWN: 'unknown',
@@ -64,17 +78,27 @@ const Constants = {
 
     // Validation messages
     MESSAGES: {
-        OUT_OF_RANGE: 'Out of range'
+        OUT_OF_RANGE: 'Out of range',
+        CONTRAINDICATED: 'Contraindicated'
     },
 
     // Main container element IDs
     ELEMENTS: {
         KITTENS_CONTAINER: 'kittens-container',
+        INTAKE_DATETIME: 'intake-datetime',
         RESULTS_SECTION: 'results-section',
         PAGINATION_DOTS: 'pagination-dots',
         NAV_CENTER: 'nav-center',
         FOSTER_CHECKLIST_CONTENT: 'foster-checklist-content',
-        DISPENSE_SUMMARY_CONTENT: 'dispense-summary-content'
+        DISPENSE_SUMMARY_CONTENT: 'dispense-summary-content',
+        PROTOCOL_SETTINGS: 'protocol-settings',
+        PROTOCOL_SELECT: 'protocol-select',
+        PROTOCOL_NAME: 'protocol-name',
+        PROTOCOL_ROWS: 'protocol-rows',
+        SYRINGE_SELECT: 'syringe-select',
+        INTAKE_HISTORY: 'intake-history',
+        HISTORY_SEARCH: 'history-search',
+        HISTORY_LIST: 'history-list'
     },
 
     // CSS class names used in JavaScript
@@ -86,20 +110,39 @@ const Constants = {
         DISABLED: 'disabled',
         STATUS_LIGHT: 'status-light',
         OUT_OF_RANGE: 'out-of-range',
+        CONTRAINDICATED: 'contraindicated',
+        CAUTION: 'caution',
         EMPTY: 'empty'
     },
 
     // localStorage keys
     STORAGE: {
         FORM_DATA: 'cat-intake-form-data',
-        VERSION: '2.0'
+        VERSION: '2.4',
+        PROTOCOLS: 'cat-intake-protocols',
+        // Preferred weight entry unit, shared with /calc/ (see WeightUnits)
+        WEIGHT_UNIT: 'cat-intake-weight-unit',
+        // Syringe setting for rounding mL doses, shared with /calc/ (see Syringes)
+        SYRINGE: 'cat-intake-syringe',
+        // Local edits to the medication catalog, shared with /calc/ (see MedCatalog)
+        MED_CATALOG: 'cat-intake-med-catalog',
+        // IndexedDB archive of past intakes (see IntakeHistory)
+        HISTORY_DB: 'cat-intake-history',
+        HISTORY_DB_VERSION: 1,
+        HISTORY_STORE: 'intakes'
+    },
+
+    // Built-in intake protocol (IntakeProtocol row defaults), always available
+    STANDARD_PROTOCOL: {
+        ID: 'standard',
+        NAME: 'Standard'
     },
 
     // Default values
     DEFAULTS: {
-        PANACUR_DAYS: 5,
-        PONAZURIL_DAYS: 3,
-        TOPICAL: 'revolution',
+        PANACUR_DAYS: IntakeProtocol.byKey('panacur').duration.default,
+        PONAZURIL_DAYS: IntakeProtocol.byKey('ponazuril').duration.default,
+        TOPICAL: IntakeProtocol.byKey('flea').variants.default,
         SEX: 'unknown'
     },
 
@@ -108,10 +151,15 @@ const Constants = {
         // Kitten-level elements
         weight: (kittenId) => `${kittenId}-weight`,
         weightDisplay: (kittenId) => `${kittenId}-weight-display`,
+        weightEntry: (kittenId) => `${kittenId}-weight-entry`,
+        weightUnit: (kittenId) => `${kittenId}-weight-unit`,
+        weightWarning: (kittenId) => `${kittenId}-weight-warning`,
+        age: (kittenId) => `${kittenId}-age`,
         name: (kittenId) => `${kittenId}-name`,
         resultDisplay: (kittenId) => `${kittenId}-result-display`,
         resultHeader: (kittenId) => `${kittenId}-result-header`,
         resultContent: (kittenId) => `${kittenId}-result-content`,
+        resultAlerts: (kittenId) => `${kittenId}-result-alerts`,
 
         // Medication elements (per kitten, per medication)
         medRow: (kittenId, med) => `${kittenId}-${med}-row`,
@@ -119,9 +167,32 @@ const Constants = {
         medStatusLight: (kittenId, med) => `${kittenId}-${med}-status-light`,
         medDose: (kittenId, med) => `${kittenId}-${med}-dose`,
         drontalLabel: (kittenId) => `${kittenId}-drontal-label`,
+        medRemove: (kittenId, med) => `${kittenId}-${med}-remove`,
+
+        // Catalog medications added via the "Add medication" picker
+        addedMeds: (kittenId) => `${kittenId}-added-meds`,
+        addMedBtn: (kittenId) => `${kittenId}-add-med-btn`,
+        addMedPicker: (kittenId) => `${kittenId}-add-med-picker`,
+        // SQ Fluids dehydration estimate (see FluidTherapy)
+        medDehydration: (kittenId, med) => `${kittenId}-${med}-dehydration`,
+        // Point picked in a linear med's label range (see MedCalculator.RANGE_POINTS)
+        medRangePoint: (kittenId, med) => `${kittenId}-${med}-range-point`,
+        // Days a repeat-dose med is given for (see Constants.COURSE_DAYS)
+        medDays: (kittenId, med) => `${kittenId}-${med}-days`,
+        interactionWarnings: (kittenId) => `${kittenId}-interaction-warnings`,
+
+        // Weight log (see WeightLog)
+        weightLogEntries: (kittenId) => `${kittenId}-weight-log-entries`,
+        weightLogChart: (kittenId) => `${kittenId}-weight-log-chart`,
+        weightLogFlag: (kittenId) => `${kittenId}-weight-log-flag`,
+        weightLogDate: (kittenId) => `${kittenId}-weight-log-date`,
+        weightLogGrams: (kittenId) => `${kittenId}-weight-log-grams`,
+        weightLogAdd: (kittenId) => `${kittenId}-weight-log-add`,
 
         // Radio button name patterns (for querySelectorAll)
         medStatusName: (kittenId, med) => `${kittenId}-${med}-status`,
+        variantName: (kittenId, name) => `${kittenId}-${name}`,
+        durationName: (kittenId, med) => `${kittenId}-${med}`,
         topicalName: (kittenId) => `${kittenId}-topical`,
         drontalTypeName: (kittenId) => `${kittenId}-drontal-type`,
         panacurName: (kittenId) => `${kittenId}-panacur`,
@@ -143,9 +214,13 @@ const Constants = {
 Object.freeze(Constants);
 Object.freeze(Constants.MEDICATIONS);
 Object.freeze(Constants.MEDICATION_DISPLAY_NAMES);
+Object.freeze(Constants.MEDICATION_CATALOG_IDS);
 Object.freeze(Constants.DRONTAL_TYPE);
 Object.freeze(Constants.TOPICAL);
 Object.freeze(Constants.STATUS);
+Object.freeze(Constants.DOSE_SLOTS);
+Object.freeze(Constants.DOSE_SLOT_LABELS);
+Object.freeze(Constants.COURSE_DAYS);
 Object.freeze(Constants.SEX);
 Object.freeze(Constants.RINGWORM_STATUS);
 Object.freeze(Constants.FVRCP_STATUS);
@@ -153,6 +228,7 @@ Object.freeze(Constants.MESSAGES);
 Object.freeze(Constants.ELEMENTS);
 Object.freeze(Constants.CSS);
 Object.freeze(Constants.STORAGE);
+Object.freeze(Constants.STANDARD_PROTOCOL);
 Object.freeze(Constants.DEFAULTS);
 Object.freeze(Constants.ID);
 
@@ -1,15 +1,25 @@
 /**
  * Dose Calculator Module - Per-medication dose calculations.
  *
- * Public API is unchanged. Each per-med method now delegates to
+ * The per-med methods keep their signatures; each now delegates to
  * MedCalculator against the MedsData catalog (the single source of truth).
- * Caching behavior is preserved.
+ * Caching behavior is preserved. calculateCatalogDose takes the kitten's
+ * dosing choices as an options object (an addedMeds entry) in place of
+ * the SQ Fluids dehydration % it used to take.
  *
  * Quirk preserved for backwards compatibility: calculateAdvantageIIDose
  * returns 0 (not OUT_OF_RANGE) when the engine reports out-of-range —
  * the previous implementation returned 0 for negative weights. In
  * practice weight is always positive so this never triggers, but
  * Stage 1b is meant to be behaviour-preserving.
+ *
+ * The intake form no longer goes through the per-med methods: it resolves
+ * each IntakeProtocol row with resolveProtocolDose, which reports
+ * out-of-range doses as-is, so Capstar reads Out of range under 2 lb where
+ * the old form always showed 1 tablet (see tests/dose-baseline-test.js).
+ * It and calculateCatalogDose round mL doses to the site's syringe setting
+ * (Syringes) where that module is loaded; the per-med methods stay
+ * unrounded.
  */
 
 class DoseCalculator {
@@ -33,6 +43,107 @@ class DoseCalculator {
     static calculateNexgardDose(weightLb)    { return this._value('nexgard-combo', weightLb); }
     static calculateCapstarDose(weightLb)    { return this._value('capstar',    weightLb); }
 
+    /**
+     * @returns {string|null} Syringe setting to round mL doses to, or null
+     *   (no rounding) where Syringes isn't loaded
+     */
+    static _syringeChoice() {
+        return typeof Syringes !== 'undefined' ? Syringes.loadPreferred() : null;
+    }
+
+    /**
+     * Calculate the dose for any catalog medication (used for meds added via
+     * the "Add medication" picker, which have no dedicated method)
+     * @param {string} medId - MedsData id
+     * @param {number} weightLb - Weight in pounds
+     * @param {number|null} [ageWeeks] - Estimated age, checked against the med's constraints
+     * @param {Object} [choices] - Per-kitten dosing choices: an addedMeds
+     *   entry, `{ medId, status, [days], [dehydration], [rangePercent] }`, of
+     *   which only these two change the dose
+     * @param {number} [choices.dehydration] - SQ Fluids only: estimated dehydration %,
+     *   which doses from a FluidTherapy plan instead of the catalog range
+     * @param {number} [choices.rangePercent] - Point in a linear med's label
+     *   range (0 = low end, the default; 100 = high end)
+     * @returns {object} MedCalculator result ({ value, displayValue, isOutOfRange, warning, contraindication, breakdown, syringe, tablets, suspension, range }),
+     *   plus `fluids` (the FluidTherapy plan) when dosed from one
+     */
+    static calculateCatalogDose(medId, weightLb, ageWeeks = null, { dehydration, rangePercent } = {}) {
+        if (medId === this._fluidsMedId() && dehydration !== undefined && dehydration !== null) {
+            const planned = FluidTherapy.dose(weightLb, dehydration);
+            if (planned) return planned;
+        }
+        return MedCalculator.compute(MedsData.byId(medId), weightLb, { ageWeeks, syringe: this._syringeChoice(), rangePercent });
+    }
+
+    /**
+     * The catalog entry for an added med's dose, with a fluid plan's doses
+     * per day in place of the catalog frequency
+     * @param {string} medId - MedsData id
+     * @param {object} [dose] - calculateCatalogDose() result
+     * @returns {object|null} MedsData entry
+     */
+    static catalogMed(medId, dose) {
+        const med = MedsData.byId(medId);
+        return dose && dose.fluids ? FluidTherapy.withPlan(med, dose.fluids) : med;
+    }
+
+    /**
+     * @returns {string|null} SQ Fluids med id where FluidTherapy is loaded
+     */
+    static _fluidsMedId() {
+        return typeof FluidTherapy !== 'undefined' ? FluidTherapy.MED_ID : null;
+    }
+
+    /**
+     * Resolve an IntakeProtocol row for a weight: the selected product
+     * (variant), its display name and the computed dose
+     * @param {Object} row - IntakeProtocol row
+     * @param {string} variantValue - Selected variant value (ignored for rows without variants)
+     * @param {number} weightLb - Weight in pounds
+     * @param {number|null} [ageWeeks] - Estimated age, checked against the med's constraints
+     * @returns {object} { medId, name, unit, value, isOutOfRange, display, contraindication, breakdown, syringe, tablets, suspension }
+     */
+    static resolveProtocolDose(row, variantValue, weightLb, ageWeeks = null) {
+        const medId = IntakeProtocol.medIdFor(row, variantValue);
+        const med = MedsData.byId(medId);
+        const option = IntakeProtocol.variantOption(row, variantValue);
+        const result = MedCalculator.compute(med, weightLb, { ageWeeks, syringe: this._syringeChoice() });
+        const { syringe } = result;
+
+        return {
+            medId,
+            name: (option && option.name) || (med ? med.name : row.label),
+            unit: med ? med.unit : '',
+            value: result.value,
+            isOutOfRange: result.isOutOfRange,
+            display: result.isOutOfRange
+                ? result.value
+                : (row.doseText || this.formatDose(result.value, med.unit, syringe ? syringe.decimals : 2)),
+            contraindication: result.contraindication || null,
+            breakdown: result.breakdown || null,
+            syringe: syringe || null,
+            tablets: result.tablets || null,
+            suspension: result.suspension || null
+        };
+    }
+
+    /**
+     * Format a single dose value with its unit, as shown on the form,
+     * result card and checklist
+     * @param {*} value - Number, tablet fraction string, or [min, max]
+     * @param {string} unit - 'mL' | 'tablet' | 'mg'
+     * @param {number} [decimals=2] - Decimal places (a syringe's graduation for rounded mL doses)
+     * @returns {string} Display string
+     */
+    static formatDose(value, unit, decimals = 2) {
+        if (value === Constants.MESSAGES.OUT_OF_RANGE || value === Constants.MESSAGES.CONTRAINDICATED) return value;
+        if (Array.isArray(value)) {
+            return `${AppState.formatNumber(value[0], 2)}–${AppState.formatNumber(value[1], 2)} ${unit}`;
+        }
+        if (unit === 'tablet') return `${value} tablet(s)`;
+        return `${AppState.formatNumber(value, decimals)} ${unit}`;
+    }
+
     static calculateAdvantageIIDose(weightLb) {
         const result = MedCalculator.compute(MedsData.byId('advantage-ii'), weightLb);
         return result.isOutOfRange ? 0 : result.value;
@@ -74,42 +185,33 @@ class DoseCalculator {
 
     /**
      * Add calculated doses to a kitten object
-     * @param {object} kitten - Kitten object with weightLb property
-     * @returns {object} Kitten object with doses property added
+     * @param {object} kitten - Kitten object with weightLb (and optional ageWeeks) property
+     * @returns {object} Kitten object with doses property added: one
+     *   resolveProtocolDose() result per IntakeProtocol row key, plus
+     *   `added` (MedCalculator results for picker meds, keyed by MedsData id)
      */
     static addDosesToKitten(kitten) {
-        const doses = this.calculateAllDoses(kitten.weightLb);
+        const doses = {};
+        IntakeProtocol.all().forEach(row => {
+            const variantValue = row.variants ? kitten[row.variants.field] : undefined;
+            doses[row.key] = this.resolveProtocolDose(row, variantValue, kitten.weightLb, kitten.ageWeeks);
+        });
 
-        let topicalDose = 0;
-        if (kitten.topical === 'revolution') {
-            topicalDose = doses.revolution;
-        } else if (kitten.topical === 'advantage') {
-            topicalDose = doses.advantage;
-        }
+        // Catalog meds added via the picker, keyed by MedsData id
+        doses.added = Object.fromEntries((kitten.addedMeds || [])
+            .map(added => [added.medId, this.calculateCatalogDose(added.medId, kitten.weightLb, kitten.ageWeeks, added)]));
 
-        return {
-            ...kitten,
-            doses: {
-                panacur: doses.panacur,
-                ponazuril: doses.ponazuril,
-                topical: topicalDose,
-                // Resolved to the selected dewormer form: tablets for Drontal,
-                // mL for Droncit (the default)
-                drontal: kitten.drontalType === 'drontal' ? doses.drontal : doses.droncit,
-                nexgard: doses.nexgard,
-                capstar: doses.capstar,
-                pyrantel: doses.pyrantel
-            }
-        };
+        return { ...kitten, doses };
     }
 
     /**
-     * Check if a dose value is valid (not out of range)
+     * Check if a dose value is valid (not out of range or contraindicated)
      * @param {*} dose - Dose value to check
-     * @returns {boolean} True if dose is valid, false if out of range
+     * @returns {boolean} True if dose is valid, false if out of range or contraindicated
      */
     static isDoseValid(dose) {
-        return dose !== Constants.MESSAGES.OUT_OF_RANGE && dose !== null && dose !== undefined;
+        return dose !== Constants.MESSAGES.OUT_OF_RANGE && dose !== Constants.MESSAGES.CONTRAINDICATED
+            && dose !== null && dose !== undefined;
     }
 }
 
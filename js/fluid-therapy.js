@@ -0,0 +1,173 @@
+/**
+ * Fluid Therapy Module - SQ fluid plans from an estimated dehydration
+ * Pure functions; reads the SQ Fluids catalog entry for its per-dose limit
+ *
+ * The catalog's SQ Fluids dose is a plain range (5.9–9 mL/lb). A fluid plan
+ * instead works out one day's volume as maintenance plus the deficit from
+ * the estimated dehydration (% of body weight), and splits it into as few
+ * SQ doses as stay under the catalog's top mL/lb, up to MAX_DOSES_PER_DAY.
+ * A day that can't be given that way, and shock-level dehydration, are
+ * flagged for a vet rather than dosed silently.
+ */
+
+const FluidTherapy = {
+    MED_ID: 'sq-fluids',
+
+    // Daily maintenance need, mL per kg of body weight
+    MAINTENANCE_ML_PER_KG_DAY: 60,
+
+    // More SQ doses than this in a day isn't practical for a foster
+    MAX_DOSES_PER_DAY: 3,
+
+    // Per-dose limit when the catalog entry isn't an outputRange
+    DEFAULT_MAX_ML_PER_LB: 9,
+
+    KG_PER_LB: 0.45359237,
+
+    // Estimated dehydration by clinical signs (skin tent, gums, eyes)
+    DEHYDRATION_LEVELS: [
+        { percent: 0, label: 'Under 5%', signs: 'No visible signs' },
+        { percent: 5, label: '5%', signs: 'Gums tacky, skin tent slightly slow' },
+        { percent: 7, label: '7%', signs: 'Skin tent slow to return, dry gums' },
+        { percent: 10, label: '10%', signs: 'Skin tent stays up, sunken eyes' },
+        {
+            percent: 12,
+            label: '12%',
+            signs: 'Weak, cold paws, slow capillary refill',
+            warning: 'Signs of shock: SQ fluids are not enough, see a vet now'
+        }
+    ],
+
+    /**
+     * @param {*} percent - Dehydration estimate
+     * @returns {boolean} True for one of DEHYDRATION_LEVELS
+     */
+    isLevel(percent) {
+        return this.DEHYDRATION_LEVELS.some(level => level.percent === percent);
+    },
+
+    /**
+     * @param {number} percent - Dehydration estimate
+     * @returns {Object|null} DEHYDRATION_LEVELS entry
+     */
+    level(percent) {
+        return this.DEHYDRATION_LEVELS.find(level => level.percent === percent) || null;
+    },
+
+    /**
+     * @param {number} percent - Dehydration estimate
+     * @returns {string} Option label, e.g. '7% — Skin tent slow to return, dry gums'
+     */
+    levelText(percent) {
+        const level = this.level(percent);
+        return level ? `${level.label} — ${level.signs}` : '';
+    },
+
+    /**
+     * Largest single SQ dose, from the catalog's top mL/lb
+     * @param {number} weightLb - Weight in pounds
+     * @returns {number} mL
+     */
+    maxDoseMl(weightLb) {
+        const med = MedsData.byId(this.MED_ID);
+        const perLb = med && med.calc.type === 'outputRange' ? med.calc.mlPerLbMax : this.DEFAULT_MAX_ML_PER_LB;
+        return weightLb * perLb;
+    },
+
+    /**
+     * One day of SQ fluids
+     * @param {number} weightLb - Weight in pounds
+     * @param {number} percent - Dehydration estimate (a DEHYDRATION_LEVELS percent)
+     * @returns {{dehydrationPercent, maintenanceMl, deficitMl, dailyMl, dosesPerDay, everyHours, perDoseMl, warning}|null}
+     *   null without a weight or a known dehydration level. Volumes are
+     *   whole mL; warning is null when the plan needs no vet input.
+     */
+    plan(weightLb, percent) {
+        if (!(weightLb > 0) || !this.isLevel(percent)) return null;
+
+        const weightKg = weightLb * this.KG_PER_LB;
+        const maintenanceMl = weightKg * this.MAINTENANCE_ML_PER_KG_DAY;
+        // 1% dehydration is 10 mL of water per kg
+        const deficitMl = weightKg * percent * 10;
+        const dailyMl = maintenanceMl + deficitMl;
+        // Doses are given in whole mL, so compare against the limit in whole mL
+        const maxDoseMl = Math.round(this.maxDoseMl(weightLb));
+        let dosesPerDay = 1;
+        while (dosesPerDay < this.MAX_DOSES_PER_DAY && Math.round(dailyMl / dosesPerDay) > maxDoseMl) {
+            dosesPerDay++;
+        }
+        const perDoseMl = Math.round(dailyMl / dosesPerDay);
+
+        const warnings = [];
+        const level = this.level(percent);
+        if (level.warning) warnings.push(level.warning);
+        if (perDoseMl > maxDoseMl) {
+            warnings.push(`${perDoseMl} mL per dose is over the ${maxDoseMl} mL SQ limit; check the plan with a vet`);
+        }
+
+        return {
+            dehydrationPercent: percent,
+            maintenanceMl: Math.round(maintenanceMl),
+            deficitMl: Math.round(deficitMl),
+            dailyMl: Math.round(dailyMl),
+            dosesPerDay,
+            everyHours: 24 / dosesPerDay,
+            perDoseMl,
+            warning: warnings.length ? warnings.join('. ') : null
+        };
+    },
+
+    /**
+     * @param {Object} plan - plan() result
+     * @returns {string} e.g. '110 mL/day (54 maintenance + 54 deficit) as 3 × 37 mL', or ''
+     */
+    planText(plan) {
+        if (!plan) return '';
+        const split = plan.dosesPerDay > 1 ? `${plan.dosesPerDay} × ${plan.perDoseMl} mL` : 'a single dose';
+        return `${plan.dailyMl} mL/day (${plan.maintenanceMl} maintenance + ${plan.deficitMl} deficit) as ${split}`;
+    },
+
+    /**
+     * The SQ Fluids dose under a plan, shaped like a MedCalculator result so
+     * form, schedule and dispense code can use it unchanged
+     * @param {number} weightLb - Weight in pounds
+     * @param {number} percent - Dehydration estimate
+     * @returns {Object|null} MedCalculator-style result plus `fluids` (the plan)
+     */
+    dose(weightLb, percent) {
+        const plan = this.plan(weightLb, percent);
+        if (!plan) return null;
+        return {
+            value: plan.perDoseMl,
+            displayValue: `${plan.perDoseMl} mL`,
+            isOutOfRange: false,
+            warning: plan.warning,
+            contraindication: null,
+            breakdown: null,
+            syringe: null,
+            tablets: null,
+            suspension: null,
+            fluids: plan
+        };
+    },
+
+    /**
+     * A med entry whose frequency follows the plan's doses per day, for
+     * MedCalculator.dosesPerDay / frequencyText
+     * @param {Object} med - MedsData entry
+     * @param {Object|null} plan - plan() result
+     * @returns {Object} med, or a copy with the plan's frequency
+     */
+    withPlan(med, plan) {
+        if (!med || !plan) return med;
+        return { ...med, frequency: plan.dosesPerDay > 1 ? { everyHours: plan.everyHours } : undefined };
+    }
+};
+
+// Freeze to prevent modifications
+Object.freeze(FluidTherapy);
+Object.freeze(FluidTherapy.DEHYDRATION_LEVELS);
+FluidTherapy.DEHYDRATION_LEVELS.forEach(level => Object.freeze(level));
+
+// Export to global namespace
+window.FluidTherapy = FluidTherapy;
@@ -7,10 +7,12 @@ class FormManager {
     /**
      * @param {AppState} appState - Reference to the app state
      * @param {DoseCalculator} doseCalculator - Reference to the dose calculator
+     * @param {ProtocolStore} [protocolStore] - Intake protocols; new kittens start from the active one
      */
-    constructor(appState, doseCalculator) {
+    constructor(appState, doseCalculator, protocolStore) {
         this.appState = appState;
         this.doseCalculator = doseCalculator;
+        this.protocolStore = protocolStore || null;
 
         // Initialize sub-modules
         this.pagination = new FormPagination();
@@ -145,7 +147,7 @@ class FormManager {
     // ==========================================
 
     generateKittenFormHTML(kittenId, kittenNumber) {
-        return FormTemplate.generate(kittenId, kittenNumber);
+        return FormTemplate.generate(kittenId, kittenNumber, undefined, WeightUnits.loadPreferred());
     }
 
     // ==========================================
@@ -181,11 +183,13 @@ class FormManager {
         const weightInput = document.getElementById(Constants.ID.weight(kittenId));
 
         const microchipInput = document.getElementById(Constants.ID.microchip(kittenId));
+        const ageWeeks = parseFloat(document.getElementById(Constants.ID.age(kittenId))?.value);
 
         const updates = {
             name: nameInput ? nameInput.value.trim() : '',
             microchip: microchipInput ? microchipInput.value.trim() : '',
-            weightGrams: weightInput ? parseFloat(weightInput.value) || 0 : 0
+            weightGrams: weightInput ? parseFloat(weightInput.value) || 0 : 0,
+            ageWeeks: ageWeeks >= 0 ? ageWeeks : null
         };
 
         // Get topical selection
@@ -252,6 +256,12 @@ class FormManager {
         });
         updates.medicationStatus = medicationStatus;
 
+        // Catalog meds added via the picker
+        updates.addedMeds = this.appState.getAddedMedications(kittenId);
+
+        // Weighings
+        updates.weightLog = this.appState.getWeightLog(kittenId);
+
         this.updateKittenState(kittenId, updates);
     }
 
@@ -267,43 +277,40 @@ class FormManager {
      */
     bindKittenFormEvents(kittenId) {
         this.bindWeightEvents(kittenId);
+        this.bindAgeEvents(kittenId);
         this.bindMedicationToggleEvents(kittenId);
         this.bindMedicationStatusEvents(kittenId);
-        this.bindTopicalEvents(kittenId);
-        this.bindDrontalTypeEvents(kittenId);
+        this.bindVariantEvents(kittenId);
         this.bindRegimenEvents(kittenId);
         this.bindSexEvents(kittenId);
         this.bindRingwormEvents(kittenId);
         this.bindFvrcpEvents(kittenId);
         this.bindNameEvents(kittenId);
         this.bindMicrochipEvents(kittenId);
+        this.bindAddMedicationEvents(kittenId);
+        this.bindWeightLogEvents(kittenId);
 
         // Initialize state from current form values
         this.syncFormToState(kittenId);
-        this.updateDrontalLabel(kittenId);
-        this.updatePyrantelAvailability(kittenId);
+        this.updateVariantLabels(kittenId);
+        this.updateInteractionLocks(kittenId);
     }
 
     /**
-     * Weight input events (filtering, display updates)
-     * Data flow: Input → Filter → State → Render
+     * Weight input events (unit conversion, filtering, display updates).
+     * The entry field takes the weight in the selected unit; it's converted
+     * to grams in the hidden weight input, whose input event drives the rest.
+     * Data flow: Entry → Filter → Grams → State → Render
      */
     bindWeightEvents(kittenId) {
         const weightInput = document.getElementById(Constants.ID.weight(kittenId));
+        const entryInput = document.getElementById(Constants.ID.weightEntry(kittenId));
+        const unitSelect = document.getElementById(Constants.ID.weightUnit(kittenId));
         if (!weightInput) return;
 
-        // Filter input to allow only numbers and periods
-        weightInput.addEventListener('input', (e) => {
-            const filteredValue = e.target.value.replace(/[^0-9.]/g, '');
-            const parts = filteredValue.split('.');
-            if (parts.length > 2) {
-                e.target.value = parts[0] + '.' + parts.slice(1).join('');
-            } else {
-                e.target.value = filteredValue;
-            }
-
+        weightInput.addEventListener('input', () => {
             // Update state first (State as source of truth)
-            const weightGrams = parseFloat(e.target.value) || 0;
+            const weightGrams = parseFloat(weightInput.value) || 0;
             this.updateKittenState(kittenId, {
                 weightGrams,
                 weightLb: AppState.convertToPounds(weightGrams)
@@ -319,34 +326,26 @@ class FormManager {
             this.debouncedAutoSave();
         });
 
-        // Prevent pasting invalid characters
-        weightInput.addEventListener('paste', (e) => {
-            e.preventDefault();
-            const paste = (e.clipboardData || window.clipboardData).getData('text');
-            const filteredPaste = paste.replace(/[^0-9.]/g, '');
-            const parts = filteredPaste.split('.');
-            const validPaste = parts.length > 2 ? parts[0] + '.' + parts.slice(1).join('') : filteredPaste;
-
-            e.target.value = validPaste;
+        if (!entryInput || !unitSelect) return;
 
-            // Update state first
-            const weightGrams = parseFloat(validPaste) || 0;
-            this.updateKittenState(kittenId, {
-                weightGrams,
-                weightLb: AppState.convertToPounds(weightGrams)
-            });
+        // Filter the entry to what the unit allows, then store it as grams
+        entryInput.addEventListener('input', () => {
+            entryInput.value = WeightUnits.filterInput(entryInput.value, unitSelect.value);
+            const grams = WeightUnits.parse(entryInput.value, unitSelect.value);
+            weightInput.value = grams > 0 ? String(grams) : '';
+            weightInput.dispatchEvent(new Event('input', { bubbles: true }));
+        });
 
-            this.renderer.updateWeightDisplay(kittenId);
-            this.renderer.updateResultDisplay(kittenId);
-            this.renderer.updateAllStatusLights(kittenId);
-            if (window.KittenApp && window.KittenApp.resultsDisplay) {
-                window.KittenApp.resultsDisplay.updateResultsAutomatically();
-            }
-            this.autoSaveFormData();
+        // Switching units re-expresses the current weight and becomes the
+        // default for new kittens and /calc/
+        unitSelect.addEventListener('change', () => {
+            WeightUnits.savePreferred(unitSelect.value);
+            entryInput.placeholder = WeightUnits.byValue(unitSelect.value).placeholder;
+            entryInput.value = WeightUnits.format(parseFloat(weightInput.value), unitSelect.value);
         });
 
         // Validation on blur
-        weightInput.addEventListener('blur', () => {
+        entryInput.addEventListener('blur', () => {
             this.validator.validateField(kittenId, 'weight');
             if (window.KittenApp && window.KittenApp.resultsDisplay) {
                 window.KittenApp.resultsDisplay.updateResultsAutomatically();
@@ -379,9 +378,7 @@ class FormManager {
                     // Then render
                     this.renderer.updateMedicationRowState(kittenId, med);
                     this.renderer.updateStatusLight(kittenId, med);
-                    if (med === 'drontal') {
-                        this.updatePyrantelAvailability(kittenId);
-                    }
+                    this.updateInteractionLocks(kittenId);
                     this.renderer.updateResultDisplay(kittenId);
                     if (window.KittenApp && window.KittenApp.resultsDisplay) {
                         window.KittenApp.resultsDisplay.updateResultsAutomatically();
@@ -421,135 +418,104 @@ class FormManager {
     }
 
     /**
-     * Topical type events (Revolution / Advantage)
+     * Variant choice events (e.g. Revolution / Advantage, Droncit / Drontal)
+     * for every IntakeProtocol row that offers variants
      * Data flow: Radio → State → Render
      */
-    bindTopicalEvents(kittenId) {
-        const topicalRadios = document.querySelectorAll(`input[name="${Constants.ID.topicalName(kittenId)}"]`);
-        topicalRadios.forEach(radio => {
-            radio.addEventListener('change', () => {
-                // Update state first
-                this.updateKittenState(kittenId, { topical: radio.value });
+    bindVariantEvents(kittenId) {
+        IntakeProtocol.all().filter(row => row.variants).forEach(row => {
+            const radios = document.querySelectorAll(`input[name="${Constants.ID.variantName(kittenId, row.variants.name)}"]`);
+            radios.forEach(radio => {
+                radio.addEventListener('change', () => {
+                    // Update state first
+                    this.updateKittenState(kittenId, { [row.variants.field]: radio.value });
 
-                // Then render
-                this.renderer.updateResultDisplay(kittenId);
-                this.renderer.updateStatusLight(kittenId, 'flea');
-                if (window.KittenApp && window.KittenApp.resultsDisplay) {
-                    window.KittenApp.resultsDisplay.updateResultsAutomatically();
-                }
-                this.autoSaveFormData();
+                    // Then render
+                    this.updateVariantLabels(kittenId);
+                    this.updateInteractionLocks(kittenId);
+                    this.renderer.updateStatusLight(kittenId, row.key);
+                    this.renderer.updateResultDisplay(kittenId);
+                    if (window.KittenApp && window.KittenApp.resultsDisplay) {
+                        window.KittenApp.resultsDisplay.updateResultsAutomatically();
+                    }
+                    this.autoSaveFormData();
+                });
             });
         });
     }
 
     /**
-     * Dewormer type events (Droncit injectable / Drontal tablet)
-     * Data flow: Radio → State → Render
+     * Update row labels that depend on the selected variant, e.g. the
+     * dewormer row names its active ingredient(s): Droncit is praziquantel
+     * only, Drontal tablets add pyrantel pamoate.
      */
-    bindDrontalTypeEvents(kittenId) {
-        const typeRadios = document.querySelectorAll(`input[name="${Constants.ID.drontalTypeName(kittenId)}"]`);
-        typeRadios.forEach(radio => {
-            radio.addEventListener('change', () => {
-                // Update state first
-                this.updateKittenState(kittenId, { drontalType: radio.value });
+    updateVariantLabels(kittenId) {
+        IntakeProtocol.all().filter(row => row.variants).forEach(row => {
+            const label = document.getElementById(`${kittenId}-${row.key}-label`);
+            if (!label) return;
 
-                // Then render
-                this.updateDrontalLabel(kittenId);
-                this.updatePyrantelAvailability(kittenId);
-                this.renderer.updateStatusLight(kittenId, 'drontal');
-                this.renderer.updateResultDisplay(kittenId);
-                if (window.KittenApp && window.KittenApp.resultsDisplay) {
-                    window.KittenApp.resultsDisplay.updateResultsAutomatically();
-                }
-                this.autoSaveFormData();
-            });
+            const value = document.querySelector(`input[name="${Constants.ID.variantName(kittenId, row.variants.name)}"]:checked`)?.value;
+            label.textContent = IntakeProtocol.variantOption(row, value).rowLabel || row.label;
         });
     }
 
     /**
-     * Update the dewormer row label to name the active ingredient(s):
-     * Droncit is praziquantel only, Drontal tablets add pyrantel pamoate.
+     * Lock out intake rows that a 'block' interaction rule rules out given
+     * the kitten's other selections (e.g. Drontal tablets already contain
+     * Pyrantel, so the Pyrantel row is locked while Drontal is active).
+     * Rules live in MedsData.interactions(); see MedInteractions.locks.
      */
-    updateDrontalLabel(kittenId) {
-        const label = document.getElementById(Constants.ID.drontalLabel(kittenId));
-        if (!label) return;
+    updateInteractionLocks(kittenId) {
+        const locks = MedInteractions.locks(this.renderer.getSelectedMedIds(kittenId));
 
-        const drontalType = document.querySelector(`input[name="${Constants.ID.drontalTypeName(kittenId)}"]:checked`)?.value
-            || Constants.DRONTAL_TYPE.DRONCIT;
-        label.textContent = drontalType === Constants.DRONTAL_TYPE.DRONTAL
-            ? 'Praziquantel + Pyrantel'
-            : 'Praziquantel';
-    }
+        IntakeProtocol.all().filter(row => !row.variants).forEach(row => {
+            const toggle = document.getElementById(Constants.ID.medEnabled(kittenId, row.key));
+            if (!toggle) return;
 
-    /**
-     * Enable/disable the Pyrantel row based on the dewormer selection.
-     * Drontal tablets already contain Pyrantel, so the two are never given
-     * together — lock Pyrantel out while Drontal (tablet) is active.
-     */
-    updatePyrantelAvailability(kittenId) {
-        const pyrantelToggle = document.getElementById(Constants.ID.medEnabled(kittenId, 'pyrantel'));
-        if (!pyrantelToggle) return;
+            const rule = locks.get(row.medId);
+            const blocked = !!rule;
 
-        const drontalToggle = document.getElementById(Constants.ID.medEnabled(kittenId, 'drontal'));
-        const drontalType = document.querySelector(`input[name="${Constants.ID.drontalTypeName(kittenId)}"]:checked`)?.value
-            || Constants.DRONTAL_TYPE.DRONCIT;
-        const blocked = !!(drontalToggle && drontalToggle.checked) && drontalType === Constants.DRONTAL_TYPE.DRONTAL;
-
-        if (blocked && pyrantelToggle.checked) {
-            // Uncheck via a change event so existing handlers sync state,
-            // status lights, results, and auto-save.
-            pyrantelToggle.checked = false;
-            pyrantelToggle.dispatchEvent(new Event('change'));
-        }
+            if (blocked && toggle.checked) {
+                // Uncheck via a change event so existing handlers sync state,
+                // status lights, results, and auto-save.
+                toggle.checked = false;
+                toggle.dispatchEvent(new Event('change'));
+            }
 
-        pyrantelToggle.disabled = blocked;
-        document.querySelectorAll(`input[name="${Constants.ID.medStatusName(kittenId, 'pyrantel')}"]`)
-            .forEach(input => { input.disabled = blocked; });
+            toggle.disabled = blocked;
+            document.querySelectorAll(`input[name="${Constants.ID.medStatusName(kittenId, row.key)}"]`)
+                .forEach(input => { input.disabled = blocked; });
 
-        const row = document.getElementById(Constants.ID.medRow(kittenId, 'pyrantel'));
-        if (row) row.classList.toggle('locked', blocked);
+            const rowEl = document.getElementById(Constants.ID.medRow(kittenId, row.key));
+            if (rowEl) rowEl.classList.toggle('locked', blocked);
 
-        // Explain the lockout in place of the "Single Dose" label
-        const optionLabel = document.querySelector(`#${Constants.ID.medRow(kittenId, 'pyrantel')} .option-label`);
-        if (optionLabel) {
-            optionLabel.textContent = blocked ? 'Included in Drontal' : 'Single Dose';
-        }
+            // Explain the lockout in place of the fixed option label
+            const optionLabel = document.querySelector(`#${Constants.ID.medRow(kittenId, row.key)} .option-label`);
+            if (optionLabel) {
+                optionLabel.textContent = blocked ? (rule.lockLabel || rule.reason) : FormTemplate.fixedOptionLabel(row);
+            }
+        });
     }
 
     /**
-     * Regimen events (Panacur/Ponazuril days)
+     * Regimen events (days) for every IntakeProtocol row with a duration choice
      * Data flow: Radio → State → Render
      */
     bindRegimenEvents(kittenId) {
-        // Panacur regimen
-        const panacurRadios = document.querySelectorAll(`input[name="${Constants.ID.panacurName(kittenId)}"]`);
-        panacurRadios.forEach(radio => {
-            radio.addEventListener('change', () => {
-                // Update state first
-                this.updateKittenState(kittenId, { panacurDays: parseInt(radio.value) });
-
-                // Then render
-                this.renderer.updateResultDisplay(kittenId);
-                if (window.KittenApp && window.KittenApp.resultsDisplay) {
-                    window.KittenApp.resultsDisplay.updateResultsAutomatically();
-                }
-                this.autoSaveFormData();
-            });
-        });
-
-        // Ponazuril regimen
-        const ponazurilRadios = document.querySelectorAll(`input[name="${Constants.ID.ponazurilName(kittenId)}"]`);
-        ponazurilRadios.forEach(radio => {
-            radio.addEventListener('change', () => {
-                // Update state first
-                this.updateKittenState(kittenId, { ponazurilDays: parseInt(radio.value) });
+        IntakeProtocol.all().filter(row => row.duration).forEach(row => {
+            const radios = document.querySelectorAll(`input[name="${Constants.ID.durationName(kittenId, row.key)}"]`);
+            radios.forEach(radio => {
+                radio.addEventListener('change', () => {
+                    // Update state first
+                    this.updateKittenState(kittenId, { [row.duration.field]: parseInt(radio.value) });
 
-                // Then render
-                this.renderer.updateResultDisplay(kittenId);
-                if (window.KittenApp && window.KittenApp.resultsDisplay) {
-                    window.KittenApp.resultsDisplay.updateResultsAutomatically();
-                }
-                this.autoSaveFormData();
+                    // Then render
+                    this.renderer.updateResultDisplay(kittenId);
+                    if (window.KittenApp && window.KittenApp.resultsDisplay) {
+                        window.KittenApp.resultsDisplay.updateResultsAutomatically();
+                    }
+                    this.autoSaveFormData();
+                });
             });
         });
     }
@@ -614,6 +580,38 @@ class FormManager {
         });
     }
 
+    /**
+     * Estimated age input events (rechecks weight for age and
+     * age-restricted meds)
+     * Data flow: Input → Filter → State → Render
+     */
+    bindAgeEvents(kittenId) {
+        const ageInput = document.getElementById(Constants.ID.age(kittenId));
+        if (!ageInput) return;
+
+        ageInput.addEventListener('input', (e) => {
+            const filteredValue = e.target.value.replace(/[^0-9.]/g, '');
+            const parts = filteredValue.split('.');
+            e.target.value = parts.length > 2 ? parts[0] + '.' + parts.slice(1).join('') : filteredValue;
+
+            const ageWeeks = parseFloat(e.target.value);
+            this.updateKittenState(kittenId, { ageWeeks: ageWeeks >= 0 ? ageWeeks : null });
+
+            this.renderer.updateWeightDisplay(kittenId);
+            this.renderer.updateResultDisplay(kittenId);
+            this.renderer.updateAllStatusLights(kittenId);
+            if (window.KittenApp && window.KittenApp.resultsDisplay) {
+                window.KittenApp.resultsDisplay.updateResultsAutomatically();
+            }
+            this.debouncedAutoSave();
+        });
+
+        ageInput.addEventListener('blur', () => {
+            this.validator.validateField(kittenId, 'age');
+            this.autoSaveFormData();
+        });
+    }
+
     /**
      * Name input events
      * Data flow: Input → State → Render
@@ -765,12 +763,234 @@ class FormManager {
         return numeric15 ? numeric15.rawValue : barcodes[0].rawValue;
     }
 
+    // ==========================================
+    // Added Catalog Medications
+    // ==========================================
+
+    /**
+     * "+ Add medication" button and picker events
+     * Data flow: Pick → DOM row → State → Render
+     */
+    bindAddMedicationEvents(kittenId) {
+        const addBtn = document.getElementById(Constants.ID.addMedBtn(kittenId));
+        const picker = document.getElementById(Constants.ID.addMedPicker(kittenId));
+        if (!addBtn || !picker) return;
+
+        addBtn.addEventListener('click', () => {
+            if (!picker.hidden) {
+                picker.hidden = true;
+                return;
+            }
+            picker.innerHTML = FormTemplate.generateAddMedicationOptions(this.getAvailableCatalogMeds(kittenId));
+            picker.hidden = false;
+        });
+
+        picker.addEventListener('click', (e) => {
+            const option = e.target.closest('.add-medication-option');
+            if (!option) return;
+            picker.hidden = true;
+            this.addMedication(kittenId, option.dataset.medId);
+        });
+    }
+
+    /**
+     * Catalog meds that can still be added to a kitten: everything in MedsData
+     * except meds covered by a built-in row and meds already added.
+     * @param {string} kittenId - The kitten ID
+     * @returns {Array} MedsData entries
+     */
+    getAvailableCatalogMeds(kittenId) {
+        const builtIn = Object.values(Constants.MEDICATION_CATALOG_IDS).flat();
+        const added = this.appState.getAddedMedications(kittenId).map(({ medId }) => medId);
+        return MedsData.all().filter(med => !builtIn.includes(med.id) && !added.includes(med.id));
+    }
+
+    /**
+     * Insert an added-medication row and bind its events (DOM only).
+     * Used by restore and copy paths, which sync state themselves.
+     * @param {string} kittenId - The kitten ID
+     * @param {string} medId - MedsData id
+     * @param {string} status - 'todo' or 'done'
+     * @param {Object} [choices] - { [days], [dehydration], [rangePercent] }
+     *   from a saved or copied addedMeds entry
+     * @returns {boolean} Whether a row was inserted
+     */
+    insertAddedMedication(kittenId, medId, status = Constants.STATUS.TODO, { days = 1, dehydration = null, rangePercent = 0 } = {}) {
+        const container = document.getElementById(Constants.ID.addedMeds(kittenId));
+        const med = MedsData.byId(medId);
+        if (!container || !med || document.getElementById(Constants.ID.medRow(kittenId, medId))) {
+            return false;
+        }
+
+        container.insertAdjacentHTML('beforeend', FormTemplate.generateAddedMedRow(kittenId, med, status, {
+            days: Constants.COURSE_DAYS.includes(days) ? days : 1,
+            dehydration: FluidTherapy.isLevel(dehydration) ? dehydration : null,
+            rangePercent: MedCalculator.RANGE_POINTS.some(point => point.percent === rangePercent) ? rangePercent : 0
+        }));
+
+        document.querySelectorAll(`input[name="${Constants.ID.medStatusName(kittenId, medId)}"]`).forEach(radio => {
+            radio.addEventListener('change', () => this._onAddedMedicationsChanged(kittenId, medId));
+        });
+
+        [Constants.ID.medDays(kittenId, medId), Constants.ID.medDehydration(kittenId, medId), Constants.ID.medRangePoint(kittenId, medId)].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.addEventListener('change', () => this._onAddedMedicationsChanged(kittenId, medId));
+        });
+
+        const removeBtn = document.getElementById(Constants.ID.medRemove(kittenId, medId));
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => this.removeAddedMedication(kittenId, medId));
+        }
+        return true;
+    }
+
+    /**
+     * Add a catalog medication to a kitten (user action)
+     * @param {string} kittenId - The kitten ID
+     * @param {string} medId - MedsData id
+     */
+    addMedication(kittenId, medId) {
+        if (this.insertAddedMedication(kittenId, medId)) {
+            this._onAddedMedicationsChanged(kittenId, medId);
+        }
+    }
+
+    /**
+     * Remove a catalog medication from a kitten (user action)
+     * @param {string} kittenId - The kitten ID
+     * @param {string} medId - MedsData id
+     */
+    removeAddedMedication(kittenId, medId) {
+        const row = document.getElementById(Constants.ID.medRow(kittenId, medId));
+        if (!row) return;
+        row.remove();
+        this._onAddedMedicationsChanged(kittenId);
+    }
+
+    /**
+     * Sync added meds to state and re-render after an add/remove/status change
+     * @param {string} kittenId - The kitten ID
+     * @param {string} [medId] - Med whose status light needs refreshing
+     */
+    _onAddedMedicationsChanged(kittenId, medId) {
+        this.updateKittenState(kittenId, { addedMeds: this.appState.getAddedMedications(kittenId) });
+
+        if (medId) this.renderer.updateStatusLight(kittenId, medId);
+        this.updateInteractionLocks(kittenId);
+        this.renderer.updateResultDisplay(kittenId);
+        if (window.KittenApp && window.KittenApp.resultsDisplay) {
+            window.KittenApp.resultsDisplay.updateResultsAutomatically();
+        }
+        this.autoSaveFormData();
+    }
+
+    // ==========================================
+    // Weight Log
+    // ==========================================
+
+    /**
+     * Weight log add / remove events
+     * Data flow: Entry → DOM list → State → latest weight → Render
+     */
+    bindWeightLogEvents(kittenId) {
+        const dateInput = document.getElementById(Constants.ID.weightLogDate(kittenId));
+        const gramsInput = document.getElementById(Constants.ID.weightLogGrams(kittenId));
+        const addBtn = document.getElementById(Constants.ID.weightLogAdd(kittenId));
+        const list = document.getElementById(Constants.ID.weightLogEntries(kittenId));
+        if (!dateInput || !gramsInput || !addBtn || !list) return;
+
+        dateInput.value = AppState.toDateTimeLocal(new Date()).slice(0, 10);
+
+        const add = () => {
+            const grams = parseFloat(gramsInput.value);
+            if (!(grams > 0) || !dateInput.value) {
+                gramsInput.focus();
+                return;
+            }
+            this.addWeightEntry(kittenId, dateInput.value, grams);
+            gramsInput.value = '';
+        };
+
+        addBtn.addEventListener('click', add);
+        gramsInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                add();
+            }
+        });
+
+        list.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-weight-date]');
+            if (removeBtn) this.removeWeightEntry(kittenId, removeBtn.dataset.weightDate);
+        });
+    }
+
+    /**
+     * Render a weight log without touching the weight field (DOM only).
+     * Used by the restore path.
+     * @param {string} kittenId - The kitten ID
+     * @param {Array} entries - { date, grams } entries
+     */
+    setWeightLog(kittenId, entries) {
+        this.renderer.renderWeightLog(kittenId, WeightLog.normalize(entries));
+    }
+
+    /**
+     * Log a weighing (user action). The first weighing also logs the
+     * weight entered at intake, so the log starts from it.
+     * @param {string} kittenId - The kitten ID
+     * @param {string} date - 'YYYY-MM-DD'
+     * @param {number} grams - Weight in grams
+     */
+    addWeightEntry(kittenId, date, grams) {
+        let entries = this.appState.getWeightLog(kittenId);
+        const intakeGrams = parseFloat(document.getElementById(Constants.ID.weight(kittenId))?.value);
+        if (entries.length === 0 && intakeGrams > 0) {
+            entries = WeightLog.add(entries, { date: this.appState.getIntakeDateValue().slice(0, 10), grams: intakeGrams });
+        }
+
+        this.setWeightLog(kittenId, WeightLog.add(entries, { date, grams }));
+        this._onWeightLogChanged(kittenId);
+    }
+
+    /**
+     * Remove a weighing (user action)
+     * @param {string} kittenId - The kitten ID
+     * @param {string} date - Date of the entry to remove
+     */
+    removeWeightEntry(kittenId, date) {
+        const entries = this.appState.getWeightLog(kittenId).filter(entry => entry.date !== date);
+        this.setWeightLog(kittenId, entries);
+        this._onWeightLogChanged(kittenId);
+    }
+
+    /**
+     * Sync the log to state and make its latest weighing the kitten's
+     * weight, so doses recompute from it
+     * @param {string} kittenId - The kitten ID
+     */
+    _onWeightLogChanged(kittenId) {
+        const entries = this.appState.getWeightLog(kittenId);
+        this.updateKittenState(kittenId, { weightLog: entries });
+        this.renderer.updateResultDisplay(kittenId);
+
+        const latest = WeightLog.latest(entries);
+        const weightInput = document.getElementById(Constants.ID.weight(kittenId));
+        if (latest && weightInput && parseFloat(weightInput.value) !== latest.grams) {
+            // The weight field's input handler updates state, doses and results
+            weightInput.value = String(latest.grams);
+            weightInput.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        this.autoSaveFormData();
+    }
+
     // ==========================================
     // Kitten Management
     // ==========================================
 
     /**
-     * Add a new kitten form
+     * Add a new kitten form. Meds start from the active intake protocol;
+     * any kitten after the first then copies the first kitten's settings.
      */
     addKitten() {
         const container = document.getElementById(Constants.ELEMENTS.KITTENS_CONTAINER);
@@ -781,7 +1001,8 @@ class FormManager {
         kittenForm.className = Constants.CSS.KITTEN_FORM;
         kittenForm.id = kittenId;
 
-        kittenForm.innerHTML = FormTemplate.generate(kittenId, kittenCounter);
+        const settings = this.protocolStore ? this.protocolStore.getActiveSettings() : null;
+        kittenForm.innerHTML = FormTemplate.generate(kittenId, kittenCounter, settings, WeightUnits.loadPreferred());
 
         container.appendChild(kittenForm);
 
@@ -874,8 +1095,8 @@ class FormManager {
             const targetDrontalType = document.getElementById(`${targetId}-drontal-type-${sourceDrontalType.value}`);
             if (targetDrontalType) targetDrontalType.checked = true;
         }
-        this.updateDrontalLabel(targetId);
-        this.updatePyrantelAvailability(targetId);
+        this.updateVariantLabels(targetId);
+        this.updateInteractionLocks(targetId);
 
         // Copy Panacur Duration
         const sourcePanacur = document.querySelector(`input[name="${sourceId}-panacur"]:checked`);
@@ -911,6 +1132,14 @@ class FormManager {
             }
         }
 
+        // Copy catalog meds added via the picker
+        this.appState.getAddedMedications(sourceId).forEach(added => {
+            const { medId, status } = added;
+            if (this.insertAddedMedication(targetId, medId, status, added)) {
+                this.renderer.updateStatusLight(targetId, medId);
+            }
+        });
+
         // Sync state from copied DOM values (State as source of truth)
         this.syncFormToState(targetId);
 
@@ -959,7 +1188,7 @@ class FormManager {
         // Delegates to the new unified event binding
         this.bindMedicationToggleEvents(kittenId);
         this.bindMedicationStatusEvents(kittenId);
-        this.bindTopicalEvents(kittenId);
+        this.bindVariantEvents(kittenId);
         this.bindRegimenEvents(kittenId);
         this.bindRingwormEvents(kittenId);
         this.bindFvrcpEvents(kittenId);
@@ -16,6 +16,8 @@ class FormRenderer {
 
     /**
      * Update the weight display for a kitten (shows grams → pounds conversion)
+     * and the age-for-weight warning below it. Also re-expresses the weight
+     * in the entry field when it was set some other way (restore, weight log).
      * @param {string} kittenId - The kitten ID
      */
     updateWeightDisplay(kittenId) {
@@ -25,6 +27,13 @@ class FormRenderer {
         if (!weightInput || !display) return;
 
         const grams = parseFloat(weightInput.value);
+        const entryInput = document.getElementById(Constants.ID.weightEntry(kittenId));
+        const unitSelect = document.getElementById(Constants.ID.weightUnit(kittenId));
+        if (entryInput && unitSelect) {
+            const entered = WeightUnits.parse(entryInput.value, unitSelect.value);
+            const matches = grams > 0 ? entered === grams : !(entered > 0);
+            if (!matches) entryInput.value = WeightUnits.format(grams, unitSelect.value);
+        }
         if (grams > 0) {
             const pounds = AppState.convertToPounds(grams);
             display.textContent = `${AppState.formatNumber(grams)} g = ${AppState.formatNumber(pounds, 2)} lb`;
@@ -32,6 +41,79 @@ class FormRenderer {
         } else {
             display.style.display = 'none';
         }
+
+        const warningEl = document.getElementById(Constants.ID.weightWarning(kittenId));
+        if (warningEl) {
+            const warning = WeightLog.ageWeightWarning(this._getAgeWeeks(kittenId), grams);
+            warningEl.hidden = !warning;
+            warningEl.textContent = warning ? `⚠ ${warning}` : '';
+        }
+    }
+
+    /**
+     * @param {string} kittenId - The kitten ID
+     * @returns {number|null} Estimated age in weeks, or null if not entered
+     */
+    _getAgeWeeks(kittenId) {
+        const ageInput = document.getElementById(Constants.ID.age(kittenId));
+        const age = ageInput ? parseFloat(ageInput.value) : NaN;
+        return age >= 0 ? age : null;
+    }
+
+    /**
+     * Clinical alerts for the printed record: weight implausible for age,
+     * the most recent weight loss in the weight log, and med interactions
+     * @param {string} kittenId - The kitten ID
+     * @param {number} grams - Current weight
+     * @param {Array<Object>} [interactions] - MedInteractions.check() findings
+     * @returns {Array<string>}
+     */
+    _getKittenAlerts(kittenId, grams, interactions = []) {
+        const alerts = [];
+        const ageWarning = WeightLog.ageWeightWarning(this._getAgeWeeks(kittenId), grams);
+        if (ageWarning) alerts.push(ageWarning);
+
+        const lastLoss = WeightLog.losses(this.appState.getWeightLog(kittenId)).pop();
+        if (lastLoss) {
+            alerts.push(`Lost ${AppState.formatNumber(lastLoss.lostGrams)} g since ${WeightLog.formatDate(lastLoss.from.date)}`);
+        }
+
+        interactions.forEach(finding => alerts.push(MedInteractions.describe(finding)));
+        return alerts;
+    }
+
+    /**
+     * Render a kitten's weight log: entries with change since the previous
+     * weighing, the growth chart, and a flag if the kitten has lost weight
+     * @param {string} kittenId - The kitten ID
+     * @param {Array} entries - Normalized WeightLog entries
+     */
+    renderWeightLog(kittenId, entries) {
+        const list = document.getElementById(Constants.ID.weightLogEntries(kittenId));
+        const chart = document.getElementById(Constants.ID.weightLogChart(kittenId));
+        const flag = document.getElementById(Constants.ID.weightLogFlag(kittenId));
+        if (!list) return;
+
+        list.innerHTML = entries.map((entry, i) => {
+            const change = i > 0 ? entry.grams - entries[i - 1].grams : null;
+            const changeText = change === null ? '' : ` (${change >= 0 ? '+' : '−'}${AppState.formatNumber(Math.abs(change))} g)`;
+            return `
+                <li class="weight-log-entry${change < 0 ? ' loss' : ''}" data-date="${entry.date}" data-grams="${entry.grams}">
+                    <span>${WeightLog.formatDate(entry.date)}: ${AppState.formatNumber(entry.grams)} g${changeText}</span>
+                    <button type="button" class="med-remove-btn" data-weight-date="${entry.date}" aria-label="Remove weighing">×</button>
+                </li>
+            `;
+        }).join('');
+
+        if (chart) chart.innerHTML = WeightLog.chartSvg(entries);
+
+        if (flag) {
+            const lastLoss = WeightLog.losses(entries).pop();
+            flag.hidden = !lastLoss;
+            flag.textContent = lastLoss
+                ? `⚠ Lost ${AppState.formatNumber(lastLoss.lostGrams)} g since ${WeightLog.formatDate(lastLoss.from.date)}`
+                : '';
+        }
     }
 
     /**
@@ -53,7 +135,9 @@ class FormRenderer {
     }
 
     /**
-     * Update status light color based on status selection
+     * Update status light color based on status selection. A med that is
+     * contraindicated for the kitten's age or weight gets its reason as
+     * the light's tooltip.
      * @param {string} kittenId - The kitten ID
      * @param {string} medType - The medication type
      */
@@ -63,6 +147,7 @@ class FormRenderer {
         const toggleCheckbox = document.getElementById(Constants.ID.medEnabled(kittenId, medType));
 
         if (!statusLight) return;
+        statusLight.removeAttribute('title');
 
         // Check if there's a valid weight
         const weightInput = document.getElementById(Constants.ID.weight(kittenId));
@@ -74,45 +159,35 @@ class FormRenderer {
             return;
         }
 
-        // Check if this medication is out of range
+        // Check if this medication is out of range or contraindicated
         const weightLb = AppState.convertToPounds(grams);
-        const outOfRangeString = Constants.MESSAGES.OUT_OF_RANGE;
-        let isOutOfRange = false;
-
-        if (medType === 'flea') {
-            // Check both Revolution and Advantage based on selection
-            const topicalRadios = document.querySelectorAll(`input[name="${Constants.ID.topicalName(kittenId)}"]`);
-            let topical = Constants.TOPICAL.REVOLUTION;
-            topicalRadios.forEach(radio => {
-                if (radio.checked) topical = radio.value;
-            });
-            const dose = topical === Constants.TOPICAL.REVOLUTION
-                ? DoseCalculator.calculateRevolutionDose(weightLb)
-                : DoseCalculator.calculateAdvantageIIDose(weightLb);
-            isOutOfRange = dose === outOfRangeString || dose === 0;
-        } else if (medType === 'drontal') {
-            const drontalType = this._getDrontalType(kittenId);
-            const dose = drontalType === Constants.DRONTAL_TYPE.DRONTAL
-                ? DoseCalculator.calculateDrontalDose(weightLb)
-                : DoseCalculator.calculateDroncitDose(weightLb);
-            isOutOfRange = dose === outOfRangeString;
-        } else if (medType === 'nexgard') {
-            const dose = DoseCalculator.calculateNexgardDose(weightLb);
-            isOutOfRange = dose === outOfRangeString;
-        } else if (medType === 'capstar') {
-            const dose = DoseCalculator.calculateCapstarDose(weightLb);
-            isOutOfRange = dose === outOfRangeString;
+        const ageWeeks = this._getAgeWeeks(kittenId);
+
+        const row = IntakeProtocol.byKey(medType);
+        let dose;
+        if (row) {
+            const variantValue = row.variants ? this._getVariantValue(kittenId, row) : undefined;
+            dose = DoseCalculator.resolveProtocolDose(row, variantValue, weightLb, ageWeeks);
+        } else {
+            // Catalog medication added via the picker
+            const added = this.appState.getAddedMedications(kittenId).find(m => m.medId === medType);
+            dose = DoseCalculator.calculateCatalogDose(medType, weightLb, ageWeeks, added);
         }
 
-        // If out of range, show gray
-        if (isOutOfRange) {
-            statusLight.className = `${Constants.CSS.STATUS_LIGHT} ${Constants.CSS.OUT_OF_RANGE}`;
+        const { contraindication } = dose;
+        if (contraindication) statusLight.title = contraindication.reason;
+
+        // Contraindicated: red; out of range: gray
+        if (dose.isOutOfRange) {
+            const blocked = dose.value === Constants.MESSAGES.CONTRAINDICATED;
+            statusLight.className = `${Constants.CSS.STATUS_LIGHT} ${blocked ? Constants.CSS.CONTRAINDICATED : Constants.CSS.OUT_OF_RANGE}`;
             return;
         }
+        const cautionClass = contraindication ? ` ${Constants.CSS.CAUTION}` : '';
 
         // If medication is disabled, show skip color
         if (toggleCheckbox && !toggleCheckbox.checked) {
-            statusLight.className = `${Constants.CSS.STATUS_LIGHT} ${Constants.STATUS.SKIP}`;
+            statusLight.className = `${Constants.CSS.STATUS_LIGHT} ${Constants.STATUS.SKIP}${cautionClass}`;
             return;
         }
 
@@ -121,7 +196,7 @@ class FormRenderer {
             if (radio.checked) status = radio.value;
         });
 
-        statusLight.className = `${Constants.CSS.STATUS_LIGHT} ${status}`;
+        statusLight.className = `${Constants.CSS.STATUS_LIGHT} ${status}${cautionClass}`;
     }
 
     /**
@@ -133,6 +208,7 @@ class FormRenderer {
         const statusRadios = document.querySelectorAll(`input[name="${Constants.ID.ringwormName(kittenId)}"]`);
 
         if (!statusLight) return;
+        statusLight.removeAttribute('title');
 
         // Check if there's a valid weight
         const weightInput = document.getElementById(Constants.ID.weight(kittenId));
@@ -168,6 +244,7 @@ class FormRenderer {
         const statusRadios = document.querySelectorAll(`input[name="${Constants.ID.fvrcpName(kittenId)}"]`);
 
         if (!statusLight) return;
+        statusLight.removeAttribute('title');
 
         // Check if there's a valid weight
         const weightInput = document.getElementById(Constants.ID.weight(kittenId));
@@ -202,6 +279,9 @@ class FormRenderer {
         Constants.MEDICATIONS.forEach(med => {
             this.updateStatusLight(kittenId, med);
         });
+        this.appState.getAddedMedications(kittenId).forEach(({ medId }) => {
+            this.updateStatusLight(kittenId, medId);
+        });
         this.updateRingwormStatusLight(kittenId);
         this.updateFvrcpStatusLight(kittenId);
     }
@@ -226,6 +306,41 @@ class FormRenderer {
         return status;
     }
 
+    /**
+     * MedsData ids of the meds currently selected on a kitten's form
+     * @param {string} kittenId - The kitten ID
+     * @returns {Array<string>}
+     */
+    getSelectedMedIds(kittenId) {
+        const kitten = {
+            medicationStatus: {},
+            addedMeds: this.appState.getAddedMedications(kittenId)
+        };
+        IntakeProtocol.all().forEach(row => {
+            kitten.medicationStatus[row.key] = this.getMedicationStatus(kittenId, row.key);
+            if (row.variants) kitten[row.variants.field] = this._getVariantValue(kittenId, row);
+        });
+        return MedInteractions.selectedMedIds(kitten);
+    }
+
+    /**
+     * Show conflicts and duplicate therapy among the kitten's selected meds
+     * under the medication grid
+     * @param {string} kittenId - The kitten ID
+     * @returns {Array<Object>} MedInteractions.check() findings
+     */
+    renderInteractionWarnings(kittenId) {
+        const findings = MedInteractions.check(this.getSelectedMedIds(kittenId));
+        const container = document.getElementById(Constants.ID.interactionWarnings(kittenId));
+        if (container) {
+            container.hidden = findings.length === 0;
+            container.innerHTML = findings
+                .map(finding => `<div class="interaction-warning ${finding.severity}">⚠ ${AppState.escapeHtml(MedInteractions.describe(finding))}</div>`)
+                .join('');
+        }
+        return findings;
+    }
+
     /**
      * Update the result display for a kitten (all dose information)
      * @param {string} kittenId - The kitten ID
@@ -251,12 +366,22 @@ class FormRenderer {
         const microchipInput = document.getElementById(Constants.ID.microchip(kittenId));
         const microchip = microchipInput ? microchipInput.value.trim() : '';
         const mcSuffix = microchip ? ` \u00B7 MC ${microchip}` : '';
+        const ageWeeks = this._getAgeWeeks(kittenId);
+        const ageSuffix = ageWeeks !== null ? ` \u00B7 ~${AppState.formatNumber(ageWeeks)} wk` : '';
         const headerElement = doseHeader.querySelector('.kitten-info');
         if (grams > 0) {
             const weightLb = AppState.convertToPounds(grams);
-            headerElement.textContent = `${nameWithSex} - ${AppState.formatNumber(grams)} g (${AppState.formatNumber(weightLb, 2)} lb)${mcSuffix}`;
+            headerElement.textContent = `${nameWithSex} - ${AppState.formatNumber(grams)} g (${AppState.formatNumber(weightLb, 2)} lb)${ageSuffix}${mcSuffix}`;
         } else {
-            headerElement.textContent = `${nameWithSex}${mcSuffix}`;
+            headerElement.textContent = `${nameWithSex}${ageSuffix}${mcSuffix}`;
+        }
+
+        const interactions = this.renderInteractionWarnings(kittenId);
+        const alertsElement = document.getElementById(Constants.ID.resultAlerts(kittenId));
+        if (alertsElement) {
+            alertsElement.innerHTML = this._getKittenAlerts(kittenId, grams, interactions)
+                .map(alert => `<div class="kitten-alert">⚠ ${AppState.escapeHtml(alert)}</div>`)
+                .join('');
         }
 
         if (!grams || grams <= 0) {
@@ -268,34 +393,24 @@ class FormRenderer {
 
         const weightLb = AppState.convertToPounds(grams);
 
-        // Get selected topical type (Revolution or Advantage)
-        const topicalRadios = document.querySelectorAll(`input[name="${kittenId}-topical"]`);
-        let topical = Constants.TOPICAL.REVOLUTION;
-        topicalRadios.forEach(radio => {
-            if (radio.checked) topical = radio.value;
-        });
-
-        // Get selected dewormer type (Droncit injectable or Drontal tablet)
-        const drontalType = this._getDrontalType(kittenId);
-
         // Get medication statuses
         const statuses = {};
         Constants.MEDICATIONS.forEach(med => {
             statuses[med] = this.getMedicationStatus(kittenId, med);
         });
 
-        // Get regimen days
-        const panacurDays = this._getRegimenDays(kittenId, 'panacur', Constants.DEFAULTS.PANACUR_DAYS);
-        const ponazurilDays = this._getRegimenDays(kittenId, 'ponazuril', Constants.DEFAULTS.PONAZURIL_DAYS);
+        // Catalog meds added via the picker (status only: they have no toggle)
+        const addedMeds = this.appState.getAddedMedications(kittenId);
 
         // Calculate doses
-        const doses = this._calculateAllDoses(weightLb, topical);
+        const doses = this._calculateAllDoses(kittenId, weightLb);
 
         // Update inline dose displays
-        this._updateInlineDoseDisplays(kittenId, doses, topical, drontalType);
+        this._updateInlineDoseDisplays(kittenId, doses);
+        this._updateAddedDoseDisplays(kittenId, addedMeds, weightLb);
 
         // Build the result display content
-        const content = this._buildDosesSection(doses, topical, drontalType, statuses, panacurDays, ponazurilDays)
+        const content = this._buildDosesSection(kittenId, doses, statuses, addedMeds, weightLb, this._getAgeWeeks(kittenId))
             + this._buildOtherSection(kittenId);
 
         doseDisplay.classList.remove(Constants.CSS.EMPTY);
@@ -315,119 +430,92 @@ class FormRenderer {
             const doseEl = document.getElementById(`${kittenId}-${med}-dose`);
             if (doseEl) doseEl.textContent = '';
         });
+        this.appState.getAddedMedications(kittenId).forEach(({ medId }) => {
+            const doseEl = document.getElementById(Constants.ID.medDose(kittenId, medId));
+            if (doseEl) doseEl.textContent = '';
+        });
     }
 
     /**
-     * Get the selected dewormer type for the Droncit/Drontal row
+     * Get the selected variant value for a protocol row
      * @param {string} kittenId - The kitten ID
-     * @returns {string} 'droncit' (injectable) or 'drontal' (tablet)
+     * @param {Object} row - IntakeProtocol row with variants
+     * @returns {string} Selected value, or the row's default
      */
-    _getDrontalType(kittenId) {
-        const checked = document.querySelector(`input[name="${Constants.ID.drontalTypeName(kittenId)}"]:checked`);
-        return checked ? checked.value : Constants.DRONTAL_TYPE.DRONCIT;
+    _getVariantValue(kittenId, row) {
+        const checked = document.querySelector(`input[name="${Constants.ID.variantName(kittenId, row.variants.name)}"]:checked`);
+        return checked ? checked.value : row.variants.default;
     }
 
     /**
-     * Get regimen days from radio buttons
+     * Get regimen days for a protocol row from its radio buttons
+     * (rows with a single duration option have no radios)
      * @param {string} kittenId - The kitten ID
-     * @param {string} medType - The medication type
-     * @param {number} defaultDays - Default value if not found
+     * @param {Object} row - IntakeProtocol row with a duration
      * @returns {number} Number of days
      */
-    _getRegimenDays(kittenId, medType, defaultDays) {
-        const radios = document.querySelectorAll(`input[name="${kittenId}-${medType}"]`);
-        let days = defaultDays;
-        radios.forEach(radio => {
-            if (radio.checked) days = parseInt(radio.value);
-        });
-        return days;
+    _getRegimenDays(kittenId, row) {
+        const checked = document.querySelector(`input[name="${Constants.ID.durationName(kittenId, row.key)}"]:checked`);
+        return checked ? parseInt(checked.value) : row.duration.default;
     }
 
     /**
-     * Calculate all medication doses
+     * Calculate the dose for every IntakeProtocol row, resolved to the
+     * kitten's selected variants and checked against its age
+     * @param {string} kittenId - The kitten ID
      * @param {number} weightLb - Weight in pounds
-     * @param {string} topical - Topical type (revolution/advantage)
-     * @returns {Object} Object with all calculated doses
-     */
-    _calculateAllDoses(weightLb, topical) {
-        return {
-            panacur: this.doseCalculator.calculatePanacurDose(weightLb),
-            ponazuril: this.doseCalculator.calculatePonazurilDose(weightLb),
-            drontal: this.doseCalculator.calculateDrontalDose(weightLb),
-            droncit: this.doseCalculator.calculateDroncitDose(weightLb),
-            nexgard: this.doseCalculator.calculateNexgardDose(weightLb),
-            revolution: this.doseCalculator.calculateRevolutionDose(weightLb),
-            advantage: this.doseCalculator.calculateAdvantageIIDose(weightLb),
-            capstar: this.doseCalculator.calculateCapstarDose ?
-                this.doseCalculator.calculateCapstarDose(weightLb) : '1 tablet',
-            pyrantel: this.doseCalculator.calculatePyrantelDose(weightLb),
-            outOfRange: Constants.MESSAGES.OUT_OF_RANGE
-        };
+     * @returns {Object} resolveProtocolDose() results keyed by row key
+     */
+    _calculateAllDoses(kittenId, weightLb) {
+        const doses = {};
+        const ageWeeks = this._getAgeWeeks(kittenId);
+        IntakeProtocol.all().forEach(row => {
+            const variantValue = row.variants ? this._getVariantValue(kittenId, row) : undefined;
+            doses[row.key] = this.doseCalculator.resolveProtocolDose(row, variantValue, weightLb, ageWeeks);
+        });
+        return doses;
     }
 
     /**
      * Update inline dose displays in medication rows
      * @param {string} kittenId - The kitten ID
-     * @param {Object} doses - Calculated doses
-     * @param {string} topical - Selected topical type
+     * @param {Object} doses - Resolved doses keyed by row key
      */
-    _updateInlineDoseDisplays(kittenId, doses, topical, drontalType) {
-        const outOfRange = doses.outOfRange;
-
-        // Flea dose
-        const fleaDoseEl = document.getElementById(`${kittenId}-flea-dose`);
-        if (fleaDoseEl) {
-            const dose = topical === Constants.TOPICAL.REVOLUTION ? doses.revolution : doses.advantage;
-            fleaDoseEl.textContent = dose === outOfRange ? outOfRange : `${AppState.formatNumber(dose, 2)} mL`;
-        }
-
-        // Capstar dose
-        const capstarDoseEl = document.getElementById(`${kittenId}-capstar-dose`);
-        if (capstarDoseEl) {
-            capstarDoseEl.textContent = '1 tablet';
-        }
-
-        // Panacur dose
-        const panacurDoseEl = document.getElementById(`${kittenId}-panacur-dose`);
-        if (panacurDoseEl) {
-            panacurDoseEl.textContent = `${AppState.formatNumber(doses.panacur, 2)} mL/day`;
-        }
-
-        // Ponazuril dose
-        const ponazurilDoseEl = document.getElementById(`${kittenId}-ponazuril-dose`);
-        if (ponazurilDoseEl) {
-            ponazurilDoseEl.textContent = `${AppState.formatNumber(doses.ponazuril, 2)} mL/day`;
-        }
+    _updateInlineDoseDisplays(kittenId, doses) {
+        IntakeProtocol.all().forEach(row => {
+            const doseEl = document.getElementById(Constants.ID.medDose(kittenId, row.key));
+            if (!doseEl) return;
+            const dose = doses[row.key];
+            doseEl.textContent = row.duration && !dose.isOutOfRange ? `${dose.display}/day` : dose.display;
+        });
+    }
 
-        // Droncit/Drontal dose (tablet or injectable based on type)
-        const drontalDoseEl = document.getElementById(`${kittenId}-drontal-dose`);
-        if (drontalDoseEl) {
-            if (drontalType === Constants.DRONTAL_TYPE.DRONTAL) {
-                drontalDoseEl.textContent = doses.drontal === outOfRange ? outOfRange : `${doses.drontal} tablet(s)`;
-            } else {
-                drontalDoseEl.textContent = doses.droncit === outOfRange ? outOfRange : `${AppState.formatNumber(doses.droncit, 2)} mL`;
+    /**
+     * Update inline dose displays for catalog meds added via the picker
+     * @param {string} kittenId - The kitten ID
+     * @param {Array} addedMeds - [{ medId, status, [days], [dehydration], [rangePercent] }]
+     * @param {number} weightLb - Weight in pounds
+     */
+    _updateAddedDoseDisplays(kittenId, addedMeds, weightLb) {
+        const ageWeeks = this._getAgeWeeks(kittenId);
+        addedMeds.forEach(added => {
+            const doseEl = document.getElementById(Constants.ID.medDose(kittenId, added.medId));
+            if (doseEl) {
+                doseEl.textContent = this.doseCalculator.calculateCatalogDose(added.medId, weightLb, ageWeeks, added).displayValue;
             }
-        }
-
-        // NexGard Combo dose
-        const nexgardDoseEl = document.getElementById(`${kittenId}-nexgard-dose`);
-        if (nexgardDoseEl) {
-            nexgardDoseEl.textContent = doses.nexgard === outOfRange ? outOfRange : `${AppState.formatNumber(doses.nexgard, 2)} mL`;
-        }
-
-        // Pyrantel dose
-        const pyrantelDoseEl = document.getElementById(`${kittenId}-pyrantel-dose`);
-        if (pyrantelDoseEl) {
-            pyrantelDoseEl.textContent = `${AppState.formatNumber(doses.pyrantel, 2)} mL`;
-        }
+        });
     }
 
     /**
      * Build the Doses section HTML
+     * @param {string} kittenId - The kitten ID
+     * @param {Object} doses - Resolved doses keyed by row key
      * @param {Object} statuses - Medication statuses keyed by med type
+     * @param {Array} addedMeds - Catalog meds added via the picker ([{ medId, status }])
+     * @param {number} weightLb - Weight in pounds
+     * @param {number|null} ageWeeks - Estimated age in weeks
      */
-    _buildDosesSection(doses, topical, drontalType, statuses, panacurDays, ponazurilDays) {
-        const outOfRange = doses.outOfRange;
+    _buildDosesSection(kittenId, doses, statuses, addedMeds = [], weightLb = 0, ageWeeks = null) {
         let content = `
             <div class="collapsible-section">
                 <div class="dose-section-header">
@@ -436,63 +524,28 @@ class FormRenderer {
                 <div class="result-display-content">
         `;
 
-        // Render in Constants.MEDICATIONS order (matches form)
-        Constants.MEDICATIONS.forEach(med => {
-            const status = statuses[med];
+        // Render in IntakeProtocol order (matches form)
+        IntakeProtocol.all().forEach(row => {
+            const status = statuses[row.key];
             if (status === Constants.STATUS.SKIP) return;
 
-            const statusBadge = this._renderStatusBadge(status);
+            const dose = doses[row.key];
+            const doseStr = row.duration && !dose.isOutOfRange
+                ? `${dose.display}/day × ${this._getRegimenDays(kittenId, row)} days`
+                : dose.display;
+            content += this._renderResultItem(dose.name, doseStr, dose, status);
+        });
 
-            if (med === 'flea') {
-                const topicalName = topical === Constants.TOPICAL.REVOLUTION ? 'Revolution' : 'Advantage II';
-                const topicalDose = topical === Constants.TOPICAL.REVOLUTION ? doses.revolution : doses.advantage;
-                content += `
-                    <div class="result-item">
-                        <strong>${topicalName}</strong> <span class="result-item-dose">${topicalDose === outOfRange ? outOfRange : AppState.formatNumber(topicalDose, 2) + ' mL'}</span>${statusBadge}
-                    </div>
-                `;
-            } else if (med === 'capstar') {
-                content += `
-                    <div class="result-item">
-                        <strong>Capstar</strong> <span class="result-item-dose">1 tablet</span>${statusBadge}
-                    </div>
-                `;
-            } else if (med === 'panacur') {
-                content += `
-                    <div class="result-item">
-                        <strong>Panacur</strong> <span class="result-item-dose">${AppState.formatNumber(doses.panacur, 2)} mL/day × ${panacurDays} days</span>${statusBadge}
-                    </div>
-                `;
-            } else if (med === 'ponazuril') {
-                content += `
-                    <div class="result-item">
-                        <strong>Ponazuril</strong> <span class="result-item-dose">${AppState.formatNumber(doses.ponazuril, 2)} mL/day × ${ponazurilDays} days</span>${statusBadge}
-                    </div>
-                `;
-            } else if (med === 'drontal') {
-                const isTablet = drontalType === Constants.DRONTAL_TYPE.DRONTAL;
-                const drontalName = isTablet ? 'Drontal' : 'Droncit';
-                const drontalDose = isTablet ? doses.drontal : doses.droncit;
-                const drontalDoseStr = drontalDose === outOfRange ? outOfRange
-                    : (isTablet ? drontalDose + ' tablet(s)' : AppState.formatNumber(drontalDose, 2) + ' mL');
-                content += `
-                    <div class="result-item">
-                        <strong>${drontalName}</strong> <span class="result-item-dose">${drontalDoseStr}</span>${statusBadge}
-                    </div>
-                `;
-            } else if (med === 'nexgard') {
-                content += `
-                    <div class="result-item">
-                        <strong>NexGard Combo</strong> <span class="result-item-dose">${doses.nexgard === outOfRange ? outOfRange : AppState.formatNumber(doses.nexgard, 2) + ' mL'}</span>${statusBadge}
-                    </div>
-                `;
-            } else if (med === 'pyrantel') {
-                content += `
-                    <div class="result-item">
-                        <strong>Pyrantel</strong> <span class="result-item-dose">${AppState.formatNumber(doses.pyrantel, 2)} mL</span>${statusBadge}
-                    </div>
-                `;
-            }
+        // Catalog meds added via the picker, in the order they were added
+        addedMeds.forEach(added => {
+            const { medId, status } = added;
+            const result = this.doseCalculator.calculateCatalogDose(medId, weightLb, ageWeeks, added);
+            const med = this.doseCalculator.catalogMed(medId, result);
+            if (!med) return;
+            const doseStr = MedCalculator.dosesPerDay(med) > 1 && !result.isOutOfRange
+                ? `${result.displayValue} ${MedCalculator.frequencyText(med)}`
+                : result.displayValue;
+            content += this._renderResultItem(med.name, doseStr, result, status);
         });
 
         content += `
@@ -503,6 +556,49 @@ class FormRenderer {
         return content;
     }
 
+    /**
+     * Render a med's row in the Doses section: the dose with its details,
+     * the status badge, then any warnings
+     * @param {string} name - Med name as shown
+     * @param {string} doseStr - Dose text, with the regimen or frequency
+     * @param {Object} dose - Resolved protocol dose or calculateCatalogDose() result
+     * @param {string} status - One of Constants.STATUS values
+     * @returns {string} HTML
+     */
+    _renderResultItem(name, doseStr, dose, status) {
+        return `
+                    <div class="result-item">
+                        <strong>${AppState.escapeHtml(name)}</strong> <span class="result-item-dose">${doseStr}${this._renderDoseDetails(dose)}</span>${this._renderStatusBadge(status)}${this._renderDoseWarnings(dose)}
+                    </div>
+                `;
+    }
+
+    /**
+     * Render the notes under a dose: syringe, mg breakdown, tablet pieces,
+     * fluid plan and label range, each where the dose has one
+     * @param {Object} dose - Resolved protocol dose or calculateCatalogDose() result
+     * @returns {string} HTML
+     */
+    _renderDoseDetails(dose) {
+        return this._renderSyringe(dose.syringe)
+            + this._renderBreakdown(dose.breakdown)
+            + this._renderTabletOptions(dose)
+            + this._renderFluidPlan(dose.fluids)
+            + this._renderRange(dose.range);
+    }
+
+    /**
+     * Render a dose's contraindication and rounding warnings
+     * @param {Object} dose - Resolved protocol dose or calculateCatalogDose() result
+     * @returns {string} HTML (empty string if none)
+     */
+    _renderDoseWarnings(dose) {
+        return this._renderContraindication(dose.contraindication)
+            + this._renderRoundingWarning(dose.syringe)
+            + this._renderRoundingWarning(dose.tablets)
+            + this._renderRoundingWarning(dose.fluids);
+    }
+
     /**
      * Render a status badge for a medication row
      * @param {string} status - One of Constants.STATUS values
@@ -519,6 +615,78 @@ class FormRenderer {
         return `<span class="med-status med-status-${status}">${label}</span>`;
     }
 
+    /**
+     * Render the mg delivered per dose and effective mg/kg under a dose
+     * @param {Array|null} breakdown - MedCalculator breakdown
+     * @returns {string} HTML (empty string if the med has no mg strength)
+     */
+    _renderBreakdown(breakdown) {
+        const text = MedCalculator.breakdownText(breakdown);
+        return text ? `<small class="dose-breakdown">${AppState.escapeHtml(text)}</small>` : '';
+    }
+
+    /**
+     * Render a fluid plan's daily volume and split under the SQ Fluids dose
+     * @param {Object|null} plan - FluidTherapy plan
+     * @returns {string} HTML (empty string without a plan)
+     */
+    _renderFluidPlan(plan) {
+        return plan ? `<small class="dose-fluids">${AppState.escapeHtml(FluidTherapy.planText(plan))}</small>` : '';
+    }
+
+    /**
+     * Render a label range's low and high doses and the point picked
+     * @param {Object|null} range - MedCalculator `range` result
+     * @returns {string} HTML (empty string for meds without a range)
+     */
+    _renderRange(range) {
+        return range ? `<small class="dose-range">Range ${AppState.escapeHtml(MedCalculator.rangeText(range))}</small>` : '';
+    }
+
+    /**
+     * Render the syringe an mL dose is drawn in under the dose
+     * @param {Object|null} syringe - Syringes.fit() result from MedCalculator
+     * @returns {string} HTML (empty string for doses not drawn by syringe)
+     */
+    _renderSyringe(syringe) {
+        return syringe ? `<small class="dose-syringe">${AppState.escapeHtml(syringe.label)} syringe</small>` : '';
+    }
+
+    /**
+     * Render a warning when rounding to the syringe's marks, or to a
+     * practical piece of a tablet, moves the dose too far (also used for a
+     * fluid plan that needs a vet)
+     * @param {Object|null} rounding - MedCalculator `syringe` or `tablets` result, or a FluidTherapy plan
+     * @returns {string} HTML (empty string if none)
+     */
+    _renderRoundingWarning(rounding) {
+        if (!rounding || !rounding.warning) return '';
+        return `<div class="med-rounding-warning">⚠ ${AppState.escapeHtml(rounding.warning)}</div>`;
+    }
+
+    /**
+     * Render how to give an mg dose: the nearest piece of a tablet and,
+     * for meds with a suspension recipe, the dissolved-tablet alternative
+     * @param {Object} dose - MedCalculator result or resolved protocol dose
+     * @returns {string} HTML (empty string for doses not given as tablets)
+     */
+    _renderTabletOptions(dose) {
+        const tablets = MedCalculator.tabletText(dose.tablets);
+        const suspension = MedCalculator.suspensionText(dose.suspension);
+        return (tablets ? `<small class="dose-tablets">≈ ${AppState.escapeHtml(tablets)}</small>` : '')
+            + (suspension ? `<small class="dose-suspension">or ${AppState.escapeHtml(suspension)}</small>` : '');
+    }
+
+    /**
+     * Render the reason a med is contraindicated or needs caution
+     * @param {Object|null} contraindication - { severity, reason } from MedCalculator
+     * @returns {string} HTML (empty string if none)
+     */
+    _renderContraindication(contraindication) {
+        if (!contraindication) return '';
+        return `<div class="med-contraindication ${contraindication.severity}">⚠ ${AppState.escapeHtml(contraindication.reason)}</div>`;
+    }
+
     /**
      * Build the Other section HTML (ringworm + FVRCP status)
      */
@@ -9,15 +9,19 @@ const FormTemplate = {
      * Generate the complete HTML for a kitten form
      * @param {string} kittenId - The unique kitten ID (e.g., "kitten-1")
      * @param {number} kittenNumber - The display number for the form
+     * @param {Object} [settings] - Starting med values from the active protocol
+     *   (see IntakeProtocol.defaultSettings); defaults to the built-in ones
+     * @param {string} [weightUnit] - Weight entry unit (WeightUnits value)
      * @returns {string} HTML string for the kitten form
      */
-    generate(kittenId, kittenNumber) {
+    generate(kittenId, kittenNumber, settings, weightUnit) {
         return `
             ${kittenNumber > 1 ? `<button type="button" class="btn btn-danger remove" onclick="removeKitten('${kittenId}')">—</button>` : ''}
             <div class="number">${kittenNumber}</div>
             <div class="kitten-form-content">
-                ${this.generateTopSection(kittenId)}
-                ${this.generateMedicationGrid(kittenId)}
+                ${this.generateTopSection(kittenId, weightUnit)}
+                ${this.generateWeightLog(kittenId)}
+                ${this.generateMedicationGrid(kittenId, settings)}
                 <div class="medication-separator"></div>
                 ${this.generateRingwormSection(kittenId)}
                 ${this.generateFvrcpSection(kittenId)}
@@ -27,11 +31,14 @@ const FormTemplate = {
     },
 
     /**
-     * Generate the top section with name and weight inputs
+     * Generate the top section with name and weight inputs. Weight is
+     * typed into an entry field in the selected unit; the hidden
+     * `${kittenId}-weight` input holds the canonical value in grams.
      * @param {string} kittenId - The kitten ID
+     * @param {string} [unit] - Weight entry unit (WeightUnits value)
      * @returns {string} HTML string
      */
-    generateTopSection(kittenId) {
+    generateTopSection(kittenId, unit = WeightUnits.DEFAULT) {
         return `
             <div class="form-grid top">
                 <div class="form-group">
@@ -42,11 +49,15 @@ const FormTemplate = {
 
                 <div class="form-group weight-sex-row">
                     <div class="weight-input-wrapper">
-                        <label for="${kittenId}-weight">Weight (grams)</label>
-                        <input type="text" inputmode="decimal" pattern="[0-9.]*" id="${kittenId}-weight" placeholder="Weight (grams)" name="weight" min="1" step="0.1" required>
+                        <label for="${kittenId}-weight-entry">Weight</label>
+                        <input type="text" inputmode="decimal" id="${kittenId}-weight-entry" placeholder="${WeightUnits.byValue(unit).placeholder}" autocomplete="off" required>
+                        <input type="hidden" id="${kittenId}-weight" name="weight">
                         <div class="error" id="${kittenId}-weight-error"></div>
                         <div class="weight-display" id="${kittenId}-weight-display" style="display: none;"></div>
                     </div>
+                    <select class="weight-unit-select" id="${kittenId}-weight-unit" aria-label="Weight unit">
+                        ${WeightUnits.UNITS.map(u => `<option value="${u.value}"${u.value === unit ? ' selected' : ''}>${u.label}</option>`).join('')}
+                    </select>
                     <div class="radio-group sex-selector">
                         <input type="radio" name="${kittenId}-sex" value="unknown" id="${kittenId}-sex-unknown" checked>
                         <label for="${kittenId}-sex-unknown">–</label>
@@ -56,6 +67,13 @@ const FormTemplate = {
                         <label for="${kittenId}-sex-male">M</label>
                     </div>
                 </div>
+                <div class="weight-warning" id="${kittenId}-weight-warning" hidden></div>
+
+                <div class="form-group age-row">
+                    <label for="${kittenId}-age">Estimated age (weeks)</label>
+                    <input type="text" inputmode="decimal" pattern="[0-9.]*" id="${kittenId}-age" name="age" placeholder="Age (weeks)" autocomplete="off">
+                    <div class="error" id="${kittenId}-age-error"></div>
+                </div>
 
                 <div class="form-group microchip-row">
                     <label for="${kittenId}-microchip">Microchip</label>
@@ -71,287 +89,291 @@ const FormTemplate = {
     },
 
     /**
-     * Generate the medication grid with all medication rows
+     * Generate the collapsible weight log: loss flag, growth chart, entries
+     * (rendered by FormRenderer.renderWeightLog) and an add-weighing row
      * @param {string} kittenId - The kitten ID
      * @returns {string} HTML string
      */
-    generateMedicationGrid(kittenId) {
+    generateWeightLog(kittenId) {
         return `
-            <div class="medication-grid">
-                ${this.generateFleaMedRow(kittenId)}
-                ${this.generateCapstarRow(kittenId)}
-                ${this.generateDrontalRow(kittenId)}
-                ${this.generatePanacurRow(kittenId)}
-                ${this.generatePonazurilRow(kittenId)}
-                ${this.generateNexgardRow(kittenId)}
-                ${this.generatePyrantelRow(kittenId)}
-            </div>
+            <details class="weight-log">
+                <summary>
+                    Weight log
+                    <span class="weight-log-flag" id="${kittenId}-weight-log-flag" hidden></span>
+                </summary>
+                <div class="weight-log-chart" id="${kittenId}-weight-log-chart"></div>
+                <ul class="weight-log-entries" id="${kittenId}-weight-log-entries"></ul>
+                <div class="weight-log-add">
+                    <input type="date" id="${kittenId}-weight-log-date" aria-label="Weighing date">
+                    <input type="text" inputmode="decimal" pattern="[0-9.]*" id="${kittenId}-weight-log-grams" placeholder="Grams" aria-label="Weight (grams)">
+                    <button type="button" class="btn btn-secondary btn-small" id="${kittenId}-weight-log-add">Add</button>
+                </div>
+            </details>
         `;
     },
 
     /**
-     * Generate the flea medication row (Revolution/Advantage selection)
+     * Generate the medication grid with one row per IntakeProtocol entry
      * @param {string} kittenId - The kitten ID
+     * @param {Object} [settings] - Starting med values, keyed by row
      * @returns {string} HTML string
      */
-    generateFleaMedRow(kittenId) {
+    generateMedicationGrid(kittenId, settings) {
+        const rowSettings = IntakeProtocol.normalizeSettings(settings);
         return `
-            <div class="medication-row" id="${kittenId}-flea-row">
-                <div class="medication-labels">
-                    <div class="left">
-                        <label class="toggle-switch">
-                            <input type="checkbox" id="${kittenId}-flea-enabled">
-                            <span class="slider"></span>
-                        </label>
-                        <span class="med-name">Flea Med</span>
-                    </div>
-                    <div class="right">
-                        <span class="status-light hidden" id="${kittenId}-flea-status-light"></span>
-                        <span class="dose-display" id="${kittenId}-flea-dose"></span>
-                    </div>
-                </div>
-                <div class="medication-choices">
-                    <div class="radio-group">
-                        <input type="radio" name="${kittenId}-topical" value="revolution" id="${kittenId}-topical-revolution" checked>
-                        <label for="${kittenId}-topical-revolution">Rev</label>
-                        <input type="radio" name="${kittenId}-topical" value="advantage" id="${kittenId}-topical-advantage">
-                        <label for="${kittenId}-topical-advantage">Adv II</label>
-                    </div>
-                    <div class="radio-group status-control">
-                        <input type="radio" name="${kittenId}-flea-status" value="todo" id="${kittenId}-flea-status-todo" checked>
-                        <label for="${kittenId}-flea-status-todo">To Do</label>
-                        <input type="radio" name="${kittenId}-flea-status" value="delay" id="${kittenId}-flea-status-delay">
-                        <label for="${kittenId}-flea-status-delay">Delay</label>
-                        <input type="radio" name="${kittenId}-flea-status" value="done" id="${kittenId}-flea-status-done">
-                        <label for="${kittenId}-flea-status-done">Done</label>
-                    </div>
-                </div>
+            <div class="medication-grid">
+                ${IntakeProtocol.all().map(row => this.generateMedicationRow(kittenId, row, rowSettings[row.key])).join('')}
+                <div class="added-medications" id="${kittenId}-added-meds"></div>
             </div>
+            <div class="interaction-warnings" id="${kittenId}-interaction-warnings" hidden></div>
+            ${this.generateAddMedicationControl(kittenId)}
         `;
     },
 
     /**
-     * Generate the Capstar row (single dose)
+     * Generate a standard intake medication row from its protocol definition:
+     * toggle + label, a variant or duration control (or a fixed label), and
+     * the status segments
      * @param {string} kittenId - The kitten ID
+     * @param {Object} row - IntakeProtocol row
+     * @param {Object} setting - Starting { enabled, status, [variant], [days] }
      * @returns {string} HTML string
      */
-    generateCapstarRow(kittenId) {
+    generateMedicationRow(kittenId, row, setting) {
+        const key = row.key;
+        const selectedOption = IntakeProtocol.variantOption(row, setting.variant);
+        const label = (selectedOption && selectedOption.rowLabel) || row.label;
+        const labelId = row.variants ? ` id="${kittenId}-${key}-label"` : '';
         return `
-            <div class="medication-row" id="${kittenId}-capstar-row">
+            <div class="medication-row" id="${kittenId}-${key}-row">
                 <div class="medication-labels">
                     <div class="left">
                         <label class="toggle-switch">
-                            <input type="checkbox" id="${kittenId}-capstar-enabled">
+                            <input type="checkbox" id="${kittenId}-${key}-enabled"${setting.enabled ? ' checked' : ''}>
                             <span class="slider"></span>
                         </label>
-                        <span class="med-name">Capstar</span>
+                        <span class="med-name"${labelId}>${label}</span>
                     </div>
                     <div class="right">
-                        <span class="status-light hidden" id="${kittenId}-capstar-status-light"></span>
-                        <span class="dose-display" id="${kittenId}-capstar-dose"></span>
+                        <span class="status-light hidden" id="${kittenId}-${key}-status-light"></span>
+                        <span class="dose-display" id="${kittenId}-${key}-dose"></span>
                     </div>
                 </div>
                 <div class="medication-choices">
-                    <div class="single-option">
-                        <span class="option-label">Single Dose</span>
-                    </div>
-                    <div class="radio-group status-control">
-                        <input type="radio" name="${kittenId}-capstar-status" value="todo" id="${kittenId}-capstar-status-todo" checked>
-                        <label for="${kittenId}-capstar-status-todo">To Do</label>
-                        <input type="radio" name="${kittenId}-capstar-status" value="done" id="${kittenId}-capstar-status-done">
-                        <label for="${kittenId}-capstar-status-done">Done</label>
-                    </div>
+                    ${this.generateRowOptions(kittenId, row, setting)}
+                    ${this.generateStatusControl(kittenId, key, row.statuses, setting.status)}
                 </div>
             </div>
         `;
     },
 
     /**
-     * Generate the Panacur row (5-day regimen)
+     * Generate the left-hand choice of a medication row: variant radios,
+     * duration radios, or a fixed label ("5 Days" / "Single Dose")
      * @param {string} kittenId - The kitten ID
+     * @param {Object} row - IntakeProtocol row
+     * @param {Object} setting - Starting { [variant], [days] }
      * @returns {string} HTML string
      */
-    generatePanacurRow(kittenId) {
+    generateRowOptions(kittenId, row, setting) {
+        if (row.variants) {
+            const name = Constants.ID.variantName(kittenId, row.variants.name);
+            return this.generateRadioGroup(name, row.variants.options.map(o => ({
+                value: o.value,
+                label: o.label,
+                checked: o.value === setting.variant
+            })));
+        }
+        if (row.duration && row.duration.options.length > 1) {
+            const name = Constants.ID.durationName(kittenId, row.key);
+            return this.generateRadioGroup(name, row.duration.options.map(days => ({
+                value: String(days),
+                label: `${days}d`,
+                checked: days === setting.days
+            })));
+        }
         return `
-            <div class="medication-row" id="${kittenId}-panacur-row">
-                <div class="medication-labels">
-                    <div class="left">
-                        <label class="toggle-switch">
-                            <input type="checkbox" id="${kittenId}-panacur-enabled">
-                            <span class="slider"></span>
-                        </label>
-                        <span class="med-name">Panacur</span>
-                    </div>
-                    <div class="right">
-                        <span class="status-light hidden" id="${kittenId}-panacur-status-light"></span>
-                        <span class="dose-display" id="${kittenId}-panacur-dose"></span>
-                    </div>
-                </div>
-                <div class="medication-choices">
                     <div class="single-option">
-                        <span class="option-label">5 Days</span>
-                    </div>
-                    <div class="radio-group status-control">
-                        <input type="radio" name="${kittenId}-panacur-status" value="todo" id="${kittenId}-panacur-status-todo" checked>
-                        <label for="${kittenId}-panacur-status-todo">To Do</label>
-                        <input type="radio" name="${kittenId}-panacur-status" value="done" id="${kittenId}-panacur-status-done">
-                        <label for="${kittenId}-panacur-status-done">Done</label>
-                    </div>
-                </div>
-            </div>
-        `;
+                        <span class="option-label">${this.fixedOptionLabel(row)}</span>
+                    </div>`;
+    },
+
+    /**
+     * Label for a row with no variant or duration choice
+     * @param {Object} row - IntakeProtocol row
+     * @returns {string} e.g. "5 Days" or "Single Dose"
+     */
+    fixedOptionLabel(row) {
+        return row.duration ? `${row.duration.default} Days` : 'Single Dose';
     },
 
     /**
-     * Generate the Ponazuril row (1/3 day regimen)
+     * Generate the To Do / Delay / Done segmented control
      * @param {string} kittenId - The kitten ID
+     * @param {string} med - Row key or MedsData id
+     * @param {Array<string>} statuses - Status values to offer, in order
+     * @param {string} selected - Initially checked status
      * @returns {string} HTML string
      */
-    generatePonazurilRow(kittenId) {
+    generateStatusControl(kittenId, med, statuses, selected) {
+        const labels = { todo: 'To Do', delay: 'Delay', done: 'Done' };
+        const name = Constants.ID.medStatusName(kittenId, med);
         return `
-            <div class="medication-row" id="${kittenId}-ponazuril-row">
-                <div class="medication-labels">
-                    <div class="left">
-                        <label class="toggle-switch">
-                            <input type="checkbox" id="${kittenId}-ponazuril-enabled">
-                            <span class="slider"></span>
-                        </label>
-                        <span class="med-name">Ponazuril</span>
-                    </div>
-                    <div class="right">
-                        <span class="status-light hidden" id="${kittenId}-ponazuril-status-light"></span>
-                        <span class="dose-display" id="${kittenId}-ponazuril-dose"></span>
-                    </div>
-                </div>
-                <div class="medication-choices">
-                    <div class="radio-group">
-                        <input type="radio" name="${kittenId}-ponazuril" value="1" id="${kittenId}-ponazuril-1">
-                        <label for="${kittenId}-ponazuril-1">1d</label>
-                        <input type="radio" name="${kittenId}-ponazuril" value="3" id="${kittenId}-ponazuril-3" checked>
-                        <label for="${kittenId}-ponazuril-3">3d</label>
-                    </div>
                     <div class="radio-group status-control">
-                        <input type="radio" name="${kittenId}-ponazuril-status" value="todo" id="${kittenId}-ponazuril-status-todo" checked>
-                        <label for="${kittenId}-ponazuril-status-todo">To Do</label>
-                        <input type="radio" name="${kittenId}-ponazuril-status" value="done" id="${kittenId}-ponazuril-status-done">
-                        <label for="${kittenId}-ponazuril-status-done">Done</label>
-                    </div>
-                </div>
-            </div>
-        `;
+                        ${statuses.map(status => `
+                        <input type="radio" name="${name}" value="${status}" id="${name}-${status}"${status === selected ? ' checked' : ''}>
+                        <label for="${name}-${status}">${labels[status]}</label>`).join('')}
+                    </div>`;
     },
 
     /**
-     * Generate the Droncit/Drontal row (single dose, injectable or tablet)
-     * @param {string} kittenId - The kitten ID
+     * Generate a plain segmented radio group
+     * @param {string} name - Radio name (also the id prefix)
+     * @param {Array<{value: string, label: string, checked: boolean}>} options
      * @returns {string} HTML string
      */
-    generateDrontalRow(kittenId) {
+    generateRadioGroup(name, options) {
         return `
-            <div class="medication-row" id="${kittenId}-drontal-row">
-                <div class="medication-labels">
-                    <div class="left">
-                        <label class="toggle-switch">
-                            <input type="checkbox" id="${kittenId}-drontal-enabled">
-                            <span class="slider"></span>
-                        </label>
-                        <span class="med-name" id="${kittenId}-drontal-label">Praziquantel</span>
-                    </div>
-                    <div class="right">
-                        <span class="status-light hidden" id="${kittenId}-drontal-status-light"></span>
-                        <span class="dose-display" id="${kittenId}-drontal-dose"></span>
-                    </div>
-                </div>
-                <div class="medication-choices">
                     <div class="radio-group">
-                        <input type="radio" name="${kittenId}-drontal-type" value="droncit" id="${kittenId}-drontal-type-droncit" checked>
-                        <label for="${kittenId}-drontal-type-droncit">Droncit</label>
-                        <input type="radio" name="${kittenId}-drontal-type" value="drontal" id="${kittenId}-drontal-type-drontal">
-                        <label for="${kittenId}-drontal-type-drontal">Drontal</label>
-                    </div>
-                    <div class="radio-group status-control">
-                        <input type="radio" name="${kittenId}-drontal-status" value="todo" id="${kittenId}-drontal-status-todo" checked>
-                        <label for="${kittenId}-drontal-status-todo">To Do</label>
-                        <input type="radio" name="${kittenId}-drontal-status" value="done" id="${kittenId}-drontal-status-done">
-                        <label for="${kittenId}-drontal-status-done">Done</label>
-                    </div>
-                </div>
+                        ${options.map(o => `
+                        <input type="radio" name="${name}" value="${o.value}" id="${name}-${o.value}"${o.checked ? ' checked' : ''}>
+                        <label for="${name}-${o.value}">${o.label}</label>`).join('')}
+                    </div>`;
+    },
+
+    /**
+     * Generate the "+ Add medication" button and its (initially hidden) picker
+     * @param {string} kittenId - The kitten ID
+     * @returns {string} HTML string
+     */
+    generateAddMedicationControl(kittenId) {
+        return `
+            <div class="add-medication">
+                <button type="button" class="add-medication-btn" id="${kittenId}-add-med-btn">+ Add medication</button>
+                <div class="add-medication-picker" id="${kittenId}-add-med-picker" hidden></div>
             </div>
         `;
     },
 
     /**
-     * Generate the NexGard Combo row (single dose)
+     * Generate the picker options for catalog meds not yet on this kitten,
+     * grouped under their MedsData category. Each option's tooltip explains
+     * the med (class, route, indications).
+     * @param {Array} meds - MedsData entries to offer
+     * @returns {string} HTML string
+     */
+    generateAddMedicationOptions(meds) {
+        if (meds.length === 0) {
+            return '<div class="add-medication-empty">All catalog medications added</div>';
+        }
+        return MedsData.categories()
+            .map(category => ({ category, inGroup: meds.filter(med => med.category === category.id) }))
+            .filter(({ inGroup }) => inGroup.length > 0)
+            .map(({ category, inGroup }) => `
+            <div class="add-medication-group">
+                <div class="add-medication-group-label">${AppState.escapeHtml(category.label)}</div>
+                ${inGroup.map(med => `
+                <button type="button" class="add-medication-option" data-med-id="${med.id}" title="${AppState.escapeHtml(MedsData.explain(med))}">${AppState.escapeHtml(med.name)}</button>
+                `).join('')}
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Generate a row for a catalog medication added via the picker.
+     * Mirrors the single-dose built-in rows, with a remove button in place
+     * of the toggle switch.
      * @param {string} kittenId - The kitten ID
+     * @param {Object} med - MedsData entry
+     * @param {string} status - Initial status ('todo' or 'done')
+     * @param {Object} [choices] - Dosing choices for the kitten
+     * @param {number} [choices.days] - Days a repeat-dose med is given for
+     * @param {number|null} [choices.dehydration] - SQ Fluids: estimated dehydration %
+     *   for a fluid plan, or null for the catalog range
+     * @param {number} [choices.rangePercent] - Point in the med's label range
      * @returns {string} HTML string
      */
-    generateNexgardRow(kittenId) {
+    generateAddedMedRow(kittenId, med, status = Constants.STATUS.TODO, { days = 1, dehydration = null, rangePercent = 0 } = {}) {
+        const medId = med.id;
+        // Repeat-dose meds (every 8h, every 24h) are given for a course of days
+        const repeats = !!(med.frequency && med.frequency.everyHours);
+        const optionLabel = repeats ? `Every ${med.frequency.everyHours}h` : 'Single Dose';
+        const daysSelect = repeats ? this.generateDaysSelect(kittenId, medId, days) : '';
+        const rangeSelect = MedCalculator.hasRange(med) ? this.generateRangeSelect(kittenId, medId, rangePercent) : '';
         return `
-            <div class="medication-row" id="${kittenId}-nexgard-row">
+            <div class="medication-row added-medication-row" id="${kittenId}-${medId}-row" data-med-id="${medId}">
                 <div class="medication-labels">
                     <div class="left">
-                        <label class="toggle-switch">
-                            <input type="checkbox" id="${kittenId}-nexgard-enabled">
-                            <span class="slider"></span>
-                        </label>
-                        <span class="med-name">NexGard Combo</span>
+                        <button type="button" class="med-remove-btn" id="${kittenId}-${medId}-remove" aria-label="Remove ${AppState.escapeHtml(med.name)}">×</button>
+                        <span class="med-name" title="${AppState.escapeHtml(MedsData.explain(med))}">${AppState.escapeHtml(med.name)}</span>
                     </div>
                     <div class="right">
-                        <span class="status-light hidden" id="${kittenId}-nexgard-status-light"></span>
-                        <span class="dose-display" id="${kittenId}-nexgard-dose"></span>
+                        <span class="status-light hidden" id="${kittenId}-${medId}-status-light"></span>
+                        <span class="dose-display" id="${kittenId}-${medId}-dose"></span>
                     </div>
                 </div>
                 <div class="medication-choices">
-                    <div class="single-option">
-                        <span class="option-label">Single Dose</span>
-                    </div>
-                    <div class="radio-group status-control">
-                        <input type="radio" name="${kittenId}-nexgard-status" value="todo" id="${kittenId}-nexgard-status-todo" checked>
-                        <label for="${kittenId}-nexgard-status-todo">To Do</label>
-                        <input type="radio" name="${kittenId}-nexgard-status" value="done" id="${kittenId}-nexgard-status-done">
-                        <label for="${kittenId}-nexgard-status-done">Done</label>
-                    </div>
+                    ${medId === FluidTherapy.MED_ID ? this.generateDehydrationSelect(kittenId, medId, dehydration) : `
+                    <div class="single-option${daysSelect ? ' course-option' : ''}${rangeSelect ? ' range-option' : ''}">
+                        <span class="option-label">${optionLabel}</span>${daysSelect}${rangeSelect}
+                    </div>`}
+                    ${this.generateStatusControl(kittenId, medId, [Constants.STATUS.TODO, Constants.STATUS.DONE], status)}
                 </div>
+                ${med.warning ? `<div class="med-warning">⚠ ${AppState.escapeHtml(med.warning)}</div>` : ''}
             </div>
         `;
     },
 
     /**
-     * Generate the Pyrantel row (single dose, liquid)
+     * Generate the SQ Fluids dehydration select: the catalog range, or a
+     * FluidTherapy plan for an estimated dehydration
      * @param {string} kittenId - The kitten ID
+     * @param {string} medId - MedsData id
+     * @param {number|null} dehydration - Selected estimate, or null
      * @returns {string} HTML string
      */
-    generatePyrantelRow(kittenId) {
+    generateDehydrationSelect(kittenId, medId, dehydration) {
+        const options = FluidTherapy.DEHYDRATION_LEVELS.map(level => `
+                <option value="${level.percent}"${level.percent === dehydration ? ' selected' : ''}>Dehydration ${AppState.escapeHtml(FluidTherapy.levelText(level.percent))}</option>`).join('');
         return `
-            <div class="medication-row" id="${kittenId}-pyrantel-row">
-                <div class="medication-labels">
-                    <div class="left">
-                        <label class="toggle-switch">
-                            <input type="checkbox" id="${kittenId}-pyrantel-enabled">
-                            <span class="slider"></span>
-                        </label>
-                        <span class="med-name">Pyrantel</span>
-                    </div>
-                    <div class="right">
-                        <span class="status-light hidden" id="${kittenId}-pyrantel-status-light"></span>
-                        <span class="dose-display" id="${kittenId}-pyrantel-dose"></span>
-                    </div>
-                </div>
-                <div class="medication-choices">
-                    <div class="single-option">
-                        <span class="option-label">Single Dose</span>
-                    </div>
-                    <div class="radio-group status-control">
-                        <input type="radio" name="${kittenId}-pyrantel-status" value="todo" id="${kittenId}-pyrantel-status-todo" checked>
-                        <label for="${kittenId}-pyrantel-status-todo">To Do</label>
-                        <input type="radio" name="${kittenId}-pyrantel-status" value="done" id="${kittenId}-pyrantel-status-done">
-                        <label for="${kittenId}-pyrantel-status-done">Done</label>
-                    </div>
-                </div>
+            <div class="single-option fluids-option">
+                <select class="fluids-dehydration" id="${Constants.ID.medDehydration(kittenId, medId)}" aria-label="Dehydration estimate">
+                    <option value=""${dehydration === null ? ' selected' : ''}>Standard range (no fluid plan)</option>${options}
+                </select>
             </div>
         `;
     },
 
+    /**
+     * Generate the select for how many days a repeat-dose med is given
+     * @param {string} kittenId - The kitten ID
+     * @param {string} medId - MedsData id
+     * @param {number} days - Selected course length (a Constants.COURSE_DAYS value)
+     * @returns {string} HTML string
+     */
+    generateDaysSelect(kittenId, medId, days) {
+        const options = Constants.COURSE_DAYS.map(n => `
+                    <option value="${n}"${n === days ? ' selected' : ''}>for ${n} ${n === 1 ? 'day' : 'days'}</option>`).join('');
+        return `
+                <select class="dose-course-days" id="${Constants.ID.medDays(kittenId, medId)}" aria-label="Days to give">${options}
+                </select>`;
+    },
+
+    /**
+     * Generate the select for the point in a med's label range to dose at
+     * @param {string} kittenId - The kitten ID
+     * @param {string} medId - MedsData id
+     * @param {number} rangePercent - Selected point (a RANGE_POINTS percent)
+     * @returns {string} HTML string
+     */
+    generateRangeSelect(kittenId, medId, rangePercent) {
+        const options = MedCalculator.RANGE_POINTS.map(point => `
+                    <option value="${point.percent}"${point.percent === rangePercent ? ' selected' : ''}>${point.label} of range</option>`).join('');
+        return `
+                <select class="dose-range-point" id="${Constants.ID.medRangePoint(kittenId, medId)}" aria-label="Point in dose range">${options}
+                </select>`;
+    },
+
     /**
      * Generate the ringworm section
      * @param {string} kittenId - The kitten ID
@@ -416,6 +438,8 @@ const FormTemplate = {
             <div class="result-display empty" id="${kittenId}-result-display">
                 <div class="dose-print-header print-only" id="${kittenId}-result-header">
                     <h3 class="kitten-info"></h3>
+                    <div class="kitten-alerts" id="${kittenId}-result-alerts"></div>
+                    <small class="catalog-stamp">${AppState.escapeHtml(MedsData.versionText())}</small>
                 </div>
                 <div id="${kittenId}-result-content">
                     <div class="collapsible-section">
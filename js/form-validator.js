@@ -15,6 +15,11 @@ class FormValidator {
                 required: true,
                 min: 0,
                 message: 'Weight must be greater than 0'
+            },
+            age: {
+                required: false,
+                min: 0,
+                message: 'Age must be a number of weeks'
             }
         };
     }
@@ -22,7 +27,7 @@ class FormValidator {
     /**
      * Validate a specific field for a kitten
      * @param {string} kittenId - The kitten ID
-     * @param {string} fieldName - The field name ('name' or 'weight')
+     * @param {string} fieldName - The field name ('name', 'weight' or 'age')
      * @returns {boolean} True if valid, false otherwise
      */
     validateField(kittenId, fieldName) {
@@ -46,6 +51,13 @@ class FormValidator {
                 isValid = false;
                 errorMessage = this.rules.weight.message;
             }
+        } else if (fieldName === 'age') {
+            // Optional: only check what was entered
+            const age = parseFloat(input.value);
+            if (input.value.trim() && !(age >= 0)) {
+                isValid = false;
+                errorMessage = this.rules.age.message;
+            }
         }
 
         if (isValid) {
@@ -0,0 +1,153 @@
+/**
+ * History Browser Module - Screen for browsing and re-opening archived intakes
+ *
+ * Lists IntakeHistory records newest first, filtered by cat name or
+ * microchip as you type. "Open" hands the record to the onOpen callback
+ * (MainApp.openArchivedIntake), which restores it into the form.
+ */
+
+class HistoryBrowser {
+    /**
+     * @param {IntakeHistory} intakeHistory - Archived intakes
+     * @param {Function} onOpen - Called with a record when the user opens it
+     */
+    constructor(intakeHistory, onOpen) {
+        this.history = intakeHistory;
+        this.onOpen = onOpen;
+        this.records = [];
+        this.bindEvents();
+    }
+
+    get panel() {
+        return document.getElementById(Constants.ELEMENTS.INTAKE_HISTORY);
+    }
+
+    // ==========================================
+    // Open / Close
+    // ==========================================
+
+    open() {
+        const panel = this.panel;
+        if (!panel) return;
+        panel.hidden = false;
+        document.body.classList.add('intake-history-open');
+        window.scrollTo({ top: 0 });
+        this.refresh();
+    }
+
+    close() {
+        const panel = this.panel;
+        if (!panel) return;
+        panel.hidden = true;
+        document.body.classList.remove('intake-history-open');
+    }
+
+    // ==========================================
+    // Rendering
+    // ==========================================
+
+    /**
+     * Reload records matching the search box and render them
+     */
+    async refresh() {
+        const list = document.getElementById(Constants.ELEMENTS.HISTORY_LIST);
+        if (!this.history.isAvailable) {
+            list.innerHTML = '<p class="history-empty">History isn\'t available in this browser.</p>';
+            return;
+        }
+
+        const query = document.getElementById(Constants.ELEMENTS.HISTORY_SEARCH).value;
+        try {
+            this.records = await this.history.list(query);
+        } catch (e) {
+            console.warn('Failed to load intake history:', e);
+            this.records = [];
+        }
+        list.innerHTML = this.records.length
+            ? this.records.map(record => this.renderRecord(record)).join('')
+            : `<p class="history-empty">${query.trim() ? 'No intakes match.' : 'No archived intakes yet.'}</p>`;
+    }
+
+    /**
+     * @param {Object} record - IntakeHistory record
+     * @returns {string} HTML
+     */
+    renderRecord(record) {
+        const intake = AppState.parseDateTimeLocal(record.intakeDate);
+        const when = intake
+            ? intake.toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' })
+            : record.intakeDate;
+
+        const statusLabels = { todo: 'to do', delay: 'delayed', done: 'done' };
+        const kittens = record.kittens.map(kitten => `
+            <li>
+                <span class="history-cat">${AppState.escapeHtml(kitten.name || 'Unnamed')}</span>
+                ${kitten.weightGrams ? `<span class="history-weight">${kitten.weightGrams} g</span>` : ''}
+                ${kitten.microchip ? `<span class="history-chip">${AppState.escapeHtml(kitten.microchip)}</span>` : ''}
+                ${kitten.doses.length ? `<div class="history-doses">${kitten.doses
+                    .map(dose => `${AppState.escapeHtml(dose.name)} ${AppState.escapeHtml(dose.display)} (${statusLabels[dose.status] || AppState.escapeHtml(dose.status)})`)
+                    .join(', ')}</div>` : ''}
+            </li>
+        `).join('');
+
+        return `
+            <article class="history-record" data-record-id="${record.id}">
+                <div class="history-record-header">
+                    <strong>${AppState.escapeHtml(when)}</strong>
+                    <div class="history-record-actions">
+                        <button type="button" class="btn btn-primary btn-small" data-history-action="open">Open</button>
+                        <button type="button" class="btn btn-secondary btn-small" data-history-action="delete">Delete</button>
+                    </div>
+                </div>
+                <ul class="history-cats">${kittens}</ul>
+                ${record.catalog ? `<small class="catalog-stamp">${AppState.escapeHtml(MedsData.versionText(record.catalog))}</small>` : ''}
+            </article>
+        `;
+    }
+
+    // ==========================================
+    // Events
+    // ==========================================
+
+    bindEvents() {
+        const panel = this.panel;
+        if (!panel) return;
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-history-action]');
+            if (!button) return;
+
+            const recordEl = button.closest('[data-record-id]');
+            const record = recordEl && this.records.find(r => String(r.id) === recordEl.dataset.recordId);
+
+            switch (button.dataset.historyAction) {
+                case 'open':
+                    if (record) this.onOpen(record);
+                    break;
+                case 'delete':
+                    if (record) this.deleteRecord(record);
+                    break;
+                case 'close':
+                    this.close();
+                    break;
+            }
+        });
+
+        document.getElementById(Constants.ELEMENTS.HISTORY_SEARCH).addEventListener('input', () => {
+            this.refresh();
+        });
+    }
+
+    async deleteRecord(record) {
+        if (!confirm('Delete this intake from history?')) return;
+        try {
+            await this.history.remove(record.id);
+        } catch (e) {
+            console.warn('Failed to delete archived intake:', e);
+        }
+        this.refresh();
+    }
+}
+
+// Export to global namespace
+window.HistoryBrowser = HistoryBrowser;
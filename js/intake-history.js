@@ -0,0 +1,201 @@
+/**
+ * Intake History - Archive of past intake batches, kept in IndexedDB
+ *
+ * localStorage only holds the working set (cat-intake-form-data). Archiving
+ * an intake ("Save to History" in the menu, and automatically before
+ * "Clear All") stores a snapshot here so it can be browsed, searched by cat
+ * name or microchip, and re-opened into the form; archiving cats already
+ * in history updates their record instead of adding another. Record:
+ *   { id, intakeDate, archivedAt, version, catalog,
+ *     kittens: [{ name, microchip, weightGrams, doses: [{ medId, name, display, status }] }],
+ *     formData }
+ * `formData` is LocalStorageManager.collectCurrentFormData() output, handed
+ * back to restoreFormData() on re-open (after LocalStorageManager.migratePayload
+ * when `version`, the storage version it was saved under, is older);
+ * `kittens` is a readable summary, and `catalog` the MedsData.version()
+ * its doses were computed with.
+ */
+
+class IntakeHistory {
+    /**
+     * @param {IDBFactory} [indexedDB] - Defaults to the browser's
+     */
+    constructor(indexedDB = window.indexedDB) {
+        this.indexedDB = indexedDB;
+        this.dbName = Constants.STORAGE.HISTORY_DB;
+        this.storeName = Constants.STORAGE.HISTORY_STORE;
+        this._db = null;
+    }
+
+    get isAvailable() {
+        return !!this.indexedDB;
+    }
+
+    // ==========================================
+    // Database
+    // ==========================================
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this._db) return this._db;
+        if (!this.isAvailable) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        this._db = new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.dbName, Constants.STORAGE.HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('archivedAt', 'archivedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a retry after a failed open
+        this._db.catch(() => { this._db = null; });
+        return this._db;
+    }
+
+    /**
+     * Run one request against the store in its own transaction
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     * @returns {Promise<*>} The request's result
+     */
+    async _run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ==========================================
+    // Records
+    // ==========================================
+
+    /**
+     * Archive an intake
+     * @param {Object} formData - LocalStorageManager.collectCurrentFormData() output
+     * @param {Array} kittens - Kittens with doses (DoseCalculator.addDosesToKitten)
+     * @param {number|null} [id] - Record to replace, for an intake re-opened
+     *   from history; a new record otherwise
+     * @returns {Promise<Object>} The stored record, with its id
+     */
+    async archive(formData, kittens, id = null) {
+        const record = IntakeHistory.buildRecord(formData, kittens);
+        if (id !== null) {
+            record.id = id;
+            await this._run('readwrite', store => store.put(record));
+        } else {
+            record.id = await this._run('readwrite', store => store.add(record));
+        }
+        return record;
+    }
+
+    /**
+     * Archived intakes, newest first
+     * @param {string} [query] - Cat name or microchip to filter by
+     * @returns {Promise<Array>}
+     */
+    async list(query = '') {
+        const records = await this._run('readonly', store => store.getAll());
+        return records
+            .filter(record => IntakeHistory.matches(record, query))
+            .sort((a, b) => b.archivedAt.localeCompare(a.archivedAt));
+    }
+
+    /**
+     * @param {number} id - Record ID
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        return (await this._run('readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * @param {number} id - Record ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await this._run('readwrite', store => store.delete(id));
+    }
+
+    // ==========================================
+    // Pure helpers
+    // ==========================================
+
+    /**
+     * Build an archive record (without id) from the working set
+     * @param {Object} formData - LocalStorageManager.collectCurrentFormData() output
+     * @param {Array} kittens - Kittens with doses
+     * @param {Date} [now] - Archive time
+     * @returns {Object}
+     */
+    static buildRecord(formData, kittens, now = new Date()) {
+        return {
+            intakeDate: formData.appState.intakeDate || AppState.toDateTimeLocal(now),
+            archivedAt: now.toISOString(),
+            version: Constants.STORAGE.VERSION,
+            catalog: MedsData.version(),
+            kittens: kittens.map(kitten => IntakeHistory.summarizeKitten(kitten)),
+            formData: JSON.parse(JSON.stringify(formData))
+        };
+    }
+
+    /**
+     * Readable summary of one kitten: the meds it's on and their status
+     * @param {Object} kitten - Kitten with doses
+     * @returns {{name, microchip, weightGrams, doses: Array}}
+     */
+    static summarizeKitten(kitten) {
+        const status = kitten.medicationStatus || {};
+        const doses = IntakeProtocol.all()
+            .filter(row => status[row.key] && status[row.key] !== Constants.STATUS.SKIP)
+            .map(row => {
+                const dose = kitten.doses[row.key];
+                return { medId: dose.medId, name: dose.name, display: dose.display, status: status[row.key] };
+            });
+
+        (kitten.addedMeds || []).forEach(({ medId, status: addedStatus }) => {
+            const med = MedsData.byId(medId);
+            const dose = kitten.doses.added && kitten.doses.added[medId];
+            if (!med || !dose) return;
+            doses.push({
+                medId,
+                name: med.name,
+                display: dose.isOutOfRange ? dose.value : dose.displayValue,
+                status: addedStatus
+            });
+        });
+
+        return {
+            name: kitten.name || '',
+            microchip: kitten.microchip || '',
+            weightGrams: kitten.weightGrams || 0,
+            doses
+        };
+    }
+
+    /**
+     * Whether a record has a cat whose name or microchip contains the query
+     * (case-insensitive; an empty query matches everything)
+     * @param {Object} record - Archive record
+     * @param {string} query - Search text
+     * @returns {boolean}
+     */
+    static matches(record, query) {
+        const needle = String(query || '').trim().toLowerCase();
+        if (!needle) return true;
+        return record.kittens.some(kitten =>
+            kitten.name.toLowerCase().includes(needle) ||
+            kitten.microchip.toLowerCase().includes(needle));
+    }
+}
+
+// Export to global namespace
+window.IntakeHistory = IntakeHistory;
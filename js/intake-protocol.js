@@ -0,0 +1,214 @@
+/**
+ * Intake Protocol — declarative definition of the standard intake med rows.
+ *
+ * Each row references MedsData ids (see meds-data.js) and describes its
+ * form controls as data. The medication grid, dose rendering, foster
+ * schedule and dispense summary all iterate this list, so adding a
+ * standard intake med means adding a row here (plus its catalog entry).
+ *
+ * Loaded before constants.js: Constants.MEDICATIONS and friends are
+ * derived from it. Row data is plain strings so nothing else needs to be
+ * loaded first.
+ *
+ * The URL state (url-state-manager.js) packs one status flag per row in
+ * this order, so adding, removing or reordering rows needs a URL version
+ * bump.
+ *
+ * Each row has:
+ *   key            — stable key used in element IDs, state and URL flags
+ *   label          — form row label
+ *   medId          — MedsData id (rows without variants)
+ *   variants       — optional choice of product, rendered as a segmented
+ *                    control left of the status control:
+ *                    { field, name, default, options: [{ value, label, medId, [name], [rowLabel] }] }
+ *                      field    — kitten state property holding the choice
+ *                      name     — radio name suffix (`${kittenId}-${name}`)
+ *                      name (option)     — display name override (default: MedsData name)
+ *                      rowLabel (option) — form row label while this option is selected
+ *   duration       — optional multi-day regimen: { field, options: [days], default }
+ *                    A single option renders as a fixed label, several as
+ *                    a `${kittenId}-${key}` radio group.
+ *   statuses       — status segments offered (subset of todo/delay/done)
+ *   defaultStatus  — initially selected status
+ *   defaultEnabled — whether the row's toggle starts on
+ *   delayDays      — days out a 'delay' status schedules the dose
+ *   doseText       — fixed dose text shown instead of the computed value
+ *
+ * The defaults (variant, duration, status, enabled) make up the built-in
+ * Standard protocol. Named site protocols (protocol-store.js) override
+ * them per row for new kittens.
+ */
+
+const IntakeProtocol = (() => {
+    const rows = [
+        {
+            key: 'flea',
+            label: 'Flea Med',
+            variants: {
+                field: 'topical',
+                name: 'topical',
+                default: 'revolution',
+                options: [
+                    { value: 'revolution', label: 'Rev', medId: 'revolution' },
+                    { value: 'advantage', label: 'Adv II', medId: 'advantage-ii' }
+                ]
+            },
+            statuses: ['todo', 'delay', 'done'],
+            defaultStatus: 'todo',
+            defaultEnabled: false,
+            delayDays: 2
+        },
+        {
+            key: 'capstar',
+            label: 'Capstar',
+            medId: 'capstar',
+            statuses: ['todo', 'done'],
+            defaultStatus: 'todo',
+            defaultEnabled: false,
+            doseText: '1 tablet'
+        },
+        {
+            key: 'drontal',
+            label: 'Dewormer',
+            variants: {
+                field: 'drontalType',
+                name: 'drontal-type',
+                default: 'droncit',
+                options: [
+                    { value: 'droncit', label: 'Droncit', medId: 'droncit', name: 'Droncit', rowLabel: 'Praziquantel' },
+                    { value: 'drontal', label: 'Drontal', medId: 'drontal', rowLabel: 'Praziquantel + Pyrantel' }
+                ]
+            },
+            statuses: ['todo', 'done'],
+            defaultStatus: 'todo',
+            defaultEnabled: false
+        },
+        {
+            key: 'panacur',
+            label: 'Panacur',
+            medId: 'panacur',
+            duration: { field: 'panacurDays', options: [3, 5], default: 5 },
+            statuses: ['todo', 'done'],
+            defaultStatus: 'todo',
+            defaultEnabled: false
+        },
+        {
+            key: 'ponazuril',
+            label: 'Ponazuril',
+            medId: 'ponazuril',
+            duration: { field: 'ponazurilDays', options: [1, 3], default: 3 },
+            statuses: ['todo', 'done'],
+            defaultStatus: 'todo',
+            defaultEnabled: false
+        },
+        {
+            key: 'nexgard',
+            label: 'NexGard Combo',
+            medId: 'nexgard-combo',
+            statuses: ['todo', 'done'],
+            defaultStatus: 'todo',
+            defaultEnabled: false
+        },
+        {
+            key: 'pyrantel',
+            label: 'Pyrantel',
+            medId: 'pyrantel',
+            statuses: ['todo', 'done'],
+            defaultStatus: 'todo',
+            defaultEnabled: false
+        }
+    ];
+
+    rows.forEach(row => {
+        if (row.variants) {
+            row.variants.options.forEach(Object.freeze);
+            Object.freeze(row.variants.options);
+            Object.freeze(row.variants);
+        }
+        if (row.duration) {
+            Object.freeze(row.duration.options);
+            Object.freeze(row.duration);
+        }
+        Object.freeze(row.statuses);
+        Object.freeze(row);
+    });
+    Object.freeze(rows);
+
+    const byKey = new Map(rows.map(r => [r.key, r]));
+
+    /**
+     * The variant option selected by a value, falling back to the default
+     */
+    function variantOption(row, value) {
+        if (!row.variants) return null;
+        const options = row.variants.options;
+        return options.find(o => o.value === value)
+            || options.find(o => o.value === row.variants.default)
+            || options[0];
+    }
+
+    /**
+     * MedsData id for a row, resolved against the selected variant value
+     */
+    function medIdFor(row, variantValue) {
+        const option = variantOption(row, variantValue);
+        return option ? option.medId : row.medId;
+    }
+
+    /**
+     * Every MedsData id a row can resolve to (all variants)
+     */
+    function catalogIdsFor(row) {
+        return row.variants ? row.variants.options.map(o => o.medId) : [row.medId];
+    }
+
+    /**
+     * Per-row starting values for a new kitten, as defined by the rows above:
+     * { [key]: { enabled, status, [variant], [days] } }
+     */
+    function defaultSettings() {
+        return Object.fromEntries(rows.map(row => [row.key, rowDefaults(row)]));
+    }
+
+    function rowDefaults(row) {
+        const setting = { enabled: row.defaultEnabled, status: row.defaultStatus };
+        if (row.variants) setting.variant = row.variants.default;
+        if (row.duration) setting.days = row.duration.default;
+        return setting;
+    }
+
+    /**
+     * Complete and validate a (possibly partial or stale) settings object
+     * against the rows: unknown keys are dropped, and missing or invalid
+     * values fall back to the row defaults
+     */
+    function normalizeSettings(settings) {
+        const source = settings || {};
+        return Object.fromEntries(rows.map(row => {
+            const saved = source[row.key] || {};
+            const setting = rowDefaults(row);
+            if (typeof saved.enabled === 'boolean') setting.enabled = saved.enabled;
+            if (row.statuses.includes(saved.status)) setting.status = saved.status;
+            if (row.variants && row.variants.options.some(o => o.value === saved.variant)) {
+                setting.variant = saved.variant;
+            }
+            if (row.duration && row.duration.options.includes(Number(saved.days))) {
+                setting.days = Number(saved.days);
+            }
+            return [row.key, setting];
+        }));
+    }
+
+    return Object.freeze({
+        all: () => rows,
+        keys: () => rows.map(r => r.key),
+        byKey: (key) => byKey.get(key) || null,
+        variantOption,
+        medIdFor,
+        catalogIdsFor,
+        defaultSettings,
+        normalizeSettings
+    });
+})();
+
+window.IntakeProtocol = IntakeProtocol;
@@ -107,7 +107,8 @@ class LocalStorageManager {
                 return null;
             }
 
-            // Handle version compatibility (for future versions)
+            // Upgrade older payloads we know how to read; clear anything else
+            this.migratePayload(payload);
             if (payload.version !== this.version) {
                 console.warn('Version mismatch, clearing old data');
                 this.clearFormData();
@@ -122,6 +123,45 @@ class LocalStorageManager {
         }
     }
 
+    /**
+     * Upgrade a saved payload in place to the current storage version.
+     * Unknown versions are left untouched (and cleared by the caller).
+     * @param {Object} payload - Parsed { version, timestamp, data }
+     */
+    migratePayload(payload) {
+        // 2.0 → 2.1: catalog meds added via the picker
+        if (payload.version === '2.0') {
+            Object.values(payload.data.kittens || {}).forEach(kittenData => {
+                kittenData.addedMeds = kittenData.addedMeds || [];
+            });
+            payload.version = '2.1';
+        }
+
+        // 2.1 → 2.2: intake date/time. Older saves didn't record one, so
+        // they restore anchored on now, as they always did.
+        if (payload.version === '2.1') {
+            payload.data.appState = payload.data.appState || {};
+            payload.data.appState.intakeDate = null;
+            payload.version = '2.2';
+        }
+
+        // 2.2 → 2.3: per-kitten weight log
+        if (payload.version === '2.2') {
+            Object.values(payload.data.kittens || {}).forEach(kittenData => {
+                kittenData.weightLog = kittenData.weightLog || [];
+            });
+            payload.version = '2.3';
+        }
+
+        // 2.3 → 2.4: estimated age in weeks (blank when unknown)
+        if (payload.version === '2.3') {
+            Object.values(payload.data.kittens || {}).forEach(kittenData => {
+                kittenData.ageWeeks = kittenData.ageWeeks || '';
+            });
+            payload.version = '2.4';
+        }
+    }
+
     /**
      * Collect current form data from the DOM
      */
@@ -130,7 +170,16 @@ class LocalStorageManager {
         const formData = {
             appState: {
                 kittenCounter: window.kittenCounter || 0,
-                activeKittens: []
+                activeKittens: [],
+                // Intake date/time (v2.2): 'YYYY-MM-DDTHH:mm'
+                intakeDate: window.KittenApp && window.KittenApp.appState
+                    ? window.KittenApp.appState.getIntakeDateValue()
+                    : null,
+                // IntakeHistory record id of these cats, so archiving them
+                // after a reload updates it (absent in older saves)
+                historyId: window.KittenApp && window.KittenApp.appState
+                    ? window.KittenApp.appState.getHistoryId()
+                    : null
             },
             kittens: {}
         };
@@ -144,6 +193,7 @@ class LocalStorageManager {
                 name: this.getInputValue(Constants.ID.name(kittenId)),
                 microchip: this.getInputValue(Constants.ID.microchip(kittenId)),
                 weight: this.getInputValue(Constants.ID.weight(kittenId)),
+                ageWeeks: this.getInputValue(Constants.ID.age(kittenId)),
                 sex: this.getRadioValue(Constants.ID.sexName(kittenId)),
                 topical: this.getRadioValue(Constants.ID.topicalName(kittenId)),
                 drontalType: this.getRadioValue(Constants.ID.drontalTypeName(kittenId)),
@@ -152,7 +202,15 @@ class LocalStorageManager {
                 ringwormStatus: this.getRadioValue(Constants.ID.ringwormName(kittenId)),
                 fvrcpStatus: this.getRadioValue(Constants.ID.fvrcpName(kittenId)),
                 // Medication enabled states and statuses
-                medications: {}
+                medications: {},
+                // Catalog meds added via the picker (v2.1): [{ medId, status }]
+                addedMeds: window.KittenApp && window.KittenApp.appState
+                    ? window.KittenApp.appState.getAddedMedications(kittenId)
+                    : [],
+                // Weighings (v2.3): [{ date: 'YYYY-MM-DD', grams }]
+                weightLog: window.KittenApp && window.KittenApp.appState
+                    ? window.KittenApp.appState.getWeightLog(kittenId)
+                    : []
             };
 
             // Collect medication data using Constants.MEDICATIONS
@@ -207,6 +265,13 @@ class LocalStorageManager {
                 window.kittenCounter = data.appState.kittenCounter || sortedKittenIds.length;
             }
 
+            // Restore the intake date/time (missing → now) and history record
+            if (window.KittenApp && window.KittenApp.appState) {
+                window.KittenApp.appState.setIntakeDate(data.appState.intakeDate);
+                window.KittenApp.appState.setHistoryId(data.appState.historyId);
+                window.KittenApp.mainApp.renderIntakeDate();
+            }
+
             return true;
         } catch (e) {
             console.warn('Failed to restore form data:', e);
@@ -251,6 +316,7 @@ class LocalStorageManager {
         this.setInputValue(Constants.ID.name(kittenId), kittenData.name);
         this.setInputValue(Constants.ID.microchip(kittenId), kittenData.microchip || '');
         this.setInputValue(Constants.ID.weight(kittenId), kittenData.weight);
+        this.setInputValue(Constants.ID.age(kittenId), kittenData.ageWeeks || '');
         this.setRadioValue(Constants.ID.sexName(kittenId), kittenData.sex || Constants.DEFAULTS.SEX);
         this.setRadioValue(Constants.ID.topicalName(kittenId), kittenData.topical);
         this.setRadioValue(Constants.ID.drontalTypeName(kittenId), kittenData.drontalType || Constants.DRONTAL_TYPE.DRONCIT);
@@ -270,6 +336,19 @@ class LocalStorageManager {
             });
         }
 
+        // Restore catalog meds added via the picker (v2.1 format)
+        if (kittenData.addedMeds && window.KittenApp && window.KittenApp.formManager) {
+            kittenData.addedMeds.forEach(added => {
+                window.KittenApp.formManager.insertAddedMedication(kittenId, added.medId, added.status, added);
+            });
+        }
+
+        // Restore the weight log (v2.3 format). The weight field already
+        // holds the latest weighing.
+        if (kittenData.weightLog && window.KittenApp && window.KittenApp.formManager) {
+            window.KittenApp.formManager.setWeightLog(kittenId, kittenData.weightLog);
+        }
+
         // Trigger updates for this kitten
         if (window.KittenApp && window.KittenApp.formManager) {
             window.KittenApp.formManager.updateWeightDisplay(kittenId);
@@ -280,8 +359,11 @@ class LocalStorageManager {
                 window.KittenApp.formManager.updateMedicationRowState(kittenId, med);
                 window.KittenApp.formManager.updateStatusLight(kittenId, med);
             });
-            window.KittenApp.formManager.updateDrontalLabel(kittenId);
-            window.KittenApp.formManager.updatePyrantelAvailability(kittenId);
+            (kittenData.addedMeds || []).forEach(({ medId }) => {
+                window.KittenApp.formManager.updateStatusLight(kittenId, medId);
+            });
+            window.KittenApp.formManager.updateVariantLabels(kittenId);
+            window.KittenApp.formManager.updateInteractionLocks(kittenId);
             window.KittenApp.formManager.updateRingwormStatusLight(kittenId);
             window.KittenApp.formManager.updateFvrcpStatusLight(kittenId);
         }
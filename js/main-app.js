@@ -15,13 +15,20 @@ class MainApp {
         // Initialize core modules
         this.appState = new AppState();
         this.doseCalculator = DoseCalculator;
+        this.protocolStore = new ProtocolStore();
 
         // Initialize feature modules with dependencies
-        this.formManager = new FormManager(this.appState, this.doseCalculator);
+        this.formManager = new FormManager(this.appState, this.doseCalculator, this.protocolStore);
         this.scheduleManager = new ScheduleManager(this.appState);
         this.resultsDisplay = new ResultsDisplay(this.appState, this.scheduleManager, this.doseCalculator);
         this.printManager = new PrintManager(this.appState);
         this.urlStateManager = new UrlStateManager();
+        this.protocolSettings = new ProtocolSettings(this.protocolStore, () => this.refreshDoses());
+        this.intakeHistory = new IntakeHistory();
+        this.historyBrowser = new HistoryBrowser(this.intakeHistory, (record) => this.openArchivedIntake(record));
+        // The form as last stored in the current cats' history record (see
+        // AppState.getHistoryId), to skip archiving them again unchanged
+        this.archivedFormJson = null;
 
         // Store references in global namespace for easy access
         window.KittenApp = {
@@ -32,6 +39,10 @@ class MainApp {
             resultsDisplay: this.resultsDisplay,
             printManager: this.printManager,
             urlStateManager: this.urlStateManager,
+            protocolStore: this.protocolStore,
+            protocolSettings: this.protocolSettings,
+            intakeHistory: this.intakeHistory,
+            historyBrowser: this.historyBrowser,
             mainApp: this
         };
     }
@@ -109,13 +120,13 @@ class MainApp {
         };
         
         window.updateDateTime = () => {
-            AppState.updateDateTime();
+            AppState.updateDateTime(this.appState.getIntakeDate());
         };
     }
 
     init() {
         this.setupEventListeners();
-        AppState.updateDateTime(); // Set current date and time in header
+        this.renderIntakeDate(); // Set intake date and time in field and header
 
         // Check for URL state first (shared link)
         if (this.urlStateManager.isSharedLink()) {
@@ -234,9 +245,28 @@ class MainApp {
                 case 'print':
                     window.print();
                     break;
+                case 'protocols':
+                    this.historyBrowser.close();
+                    this.protocolSettings.open();
+                    break;
+                case 'archive':
+                    this.handleArchive();
+                    break;
+                case 'history':
+                    this.protocolSettings.close();
+                    this.historyBrowser.open();
+                    break;
             }
         });
 
+        // Intake date/time: re-anchor the checklist and print header
+        document.getElementById(Constants.ELEMENTS.INTAKE_DATETIME).addEventListener('change', (e) => {
+            this.appState.setIntakeDate(e.target.value);
+            this.renderIntakeDate();
+            this.resultsDisplay.updateResultsAutomatically();
+            this.autoSaveFormData();
+        });
+
         // Eject button (restore backed up data)
         document.getElementById('eject-btn').addEventListener('click', () => {
             this.urlStateManager.ejectAndRestore();
@@ -244,6 +274,8 @@ class MainApp {
 
         // Keep button (accept shared data as own)
         document.getElementById('keep-btn').addEventListener('click', () => {
+            this.appState.setHistoryId(null);
+            this.archivedFormJson = null;
             this.urlStateManager.keepUrlState();
             this.hideSharedUrlBanner();
         });
@@ -284,6 +316,115 @@ class MainApp {
         }
     }
 
+    // ==========================================
+    // Intake History
+    // ==========================================
+
+    /**
+     * Whether any cat has a name or weight, i.e. there's something to archive
+     * @returns {boolean}
+     */
+    hasArchivableData() {
+        return Array.from(document.querySelectorAll(`.${Constants.CSS.KITTEN_FORM}`)).some(form =>
+            document.getElementById(Constants.ID.name(form.id))?.value.trim() ||
+            document.getElementById(Constants.ID.weight(form.id))?.value);
+    }
+
+    /**
+     * Archive the current cats to IndexedDB history. Cats already there
+     * (opened from or saved to history, even before a reload) update their
+     * record, and aren't stored again unchanged.
+     * @returns {Promise<boolean>} Whether the cats are in history
+     */
+    async archiveCurrentIntake() {
+        if (!this.intakeHistory.isAvailable || !this.hasArchivableData()) return false;
+
+        const formData = localStorageManager.collectCurrentFormData();
+        if (this.appState.getHistoryId() && JSON.stringify(formData) === this.archivedFormJson) return true;
+
+        const kittens = this.appState.collectKittenData()
+            .map(kitten => this.doseCalculator.addDosesToKitten(kitten));
+        try {
+            const record = await this.intakeHistory.archive(formData, kittens, this.appState.getHistoryId());
+            this.rememberHistoryRecord(record.id);
+            return true;
+        } catch (e) {
+            console.warn('Failed to archive intake:', e);
+            return false;
+        }
+    }
+
+    async handleArchive() {
+        const menuBtn = document.getElementById('nav-menu-btn');
+        const originalText = menuBtn.textContent;
+
+        const saved = await this.archiveCurrentIntake();
+        menuBtn.textContent = saved ? 'Saved!' : (this.hasArchivableData() ? 'Failed' : 'Empty');
+        setTimeout(() => { menuBtn.textContent = originalText; }, 1500);
+    }
+
+    /**
+     * Replace the current cats with an archived intake, archiving them first
+     * @param {Object} record - IntakeHistory record
+     */
+    async openArchivedIntake(record) {
+        if (this.hasArchivableData()) {
+            if (!confirm('Open this intake? The current cats will be saved to history first.')) return;
+            if (!(await this.archiveCurrentIntake())) {
+                alert('The current cats could not be saved to history, so this intake was not opened.');
+                return;
+            }
+        }
+
+        // Archived under an older storage version: upgrade like a saved payload
+        const payload = { version: record.version, data: JSON.parse(JSON.stringify(record.formData)) };
+        localStorageManager.migratePayload(payload);
+        if (payload.version !== localStorageManager.version || !localStorageManager.restoreFormData(payload.data)) {
+            alert('This intake could not be opened.');
+            return;
+        }
+
+        this.rememberHistoryRecord(record.id);
+        this.historyBrowser.close();
+        this.resultsDisplay.updateResultsAutomatically();
+        this.resultsDisplay.updateHeaderButtons();
+        this.formManager.updatePaginationDots();
+        this.urlStateManager.updateUrlNow();
+    }
+
+    /**
+     * Record that the current cats are in history record `id`, as they are
+     * now, and save that with the working set so it survives a reload
+     * @param {number} id - IntakeHistory record id
+     */
+    rememberHistoryRecord(id) {
+        this.appState.setHistoryId(id);
+        this.archivedFormJson = JSON.stringify(localStorageManager.collectCurrentFormData());
+        localStorageManager.saveFormData();
+    }
+
+    /**
+     * Show the intake date/time from state in its field and the print header
+     */
+    renderIntakeDate() {
+        const input = document.getElementById(Constants.ELEMENTS.INTAKE_DATETIME);
+        if (input) {
+            input.value = this.appState.getIntakeDateValue();
+        }
+        AppState.updateDateTime(this.appState.getIntakeDate());
+    }
+
+    /**
+     * Re-render every cat's doses and the results (after the syringe
+     * setting changes, which rounds mL doses differently)
+     */
+    refreshDoses() {
+        document.querySelectorAll(`.${Constants.CSS.KITTEN_FORM}`).forEach(form => {
+            this.formManager.updateResultDisplay(form.id);
+        });
+        this.resultsDisplay.updateResultsAutomatically();
+    }
+
     // Auto-save helper function
     autoSaveFormData() {
         if (window.localStorageManager) {
@@ -295,8 +436,9 @@ class MainApp {
         }
     }
 
-    // Clear all data function with confirmation
-    clearAllData() {
+    // Clear all data function with confirmation. Cats with data are
+    // archived to intake history first.
+    async clearAllData() {
         const hasData = document.querySelectorAll('.kitten-form').length > 0;
         
         if (!hasData) {
@@ -304,11 +446,16 @@ class MainApp {
             return;
         }
         
+        const archivable = this.intakeHistory.isAvailable && this.hasArchivableData();
         const confirmed = confirm(
             'Are you sure you want to clear all cat data?\n\n' +
-            'This cannot be undone.'
+            (archivable ? 'The current cats will be saved to Intake History.' : 'This cannot be undone.')
         );
-        
+
+        if (confirmed && archivable && !(await this.archiveCurrentIntake())) {
+            if (!confirm('Saving to history failed. Clear anyway?\n\nThis cannot be undone.')) return;
+        }
+
         if (confirmed) {
             // Clear localStorage
             if (window.localStorageManager) {
@@ -330,9 +477,12 @@ class MainApp {
                 container.innerHTML = '';
             }
 
-            // Reset application state
+            // Reset application state; a fresh intake starts now
+            this.appState.setHistoryId(null);
+            this.archivedFormJson = null;
             this.appState.setKittens([]);
             this.appState.setKittenCounter(0);
+            this.appState.setIntakeDate(null);
 
             // Hide results section
             document.getElementById('results-section').style.display = 'none';
@@ -343,8 +493,8 @@ class MainApp {
             // Update button states
             this.resultsDisplay.updateHeaderButtons();
 
-            // Update date/time header
-            AppState.updateDateTime();
+            // Update intake date field and header
+            this.renderIntakeDate();
 
             // Update URL to reflect cleared state
             this.urlStateManager.updateUrlNow();
@@ -6,14 +6,51 @@
  * hand-coded in DoseCalculator.
  *
  * Public surface:
- *   MedCalculator.compute(med, weightLb) → {
+ *   MedCalculator.compute(med, weightLb, [{ ageWeeks, syringe, rangePercent }]) → {
  *     value,          // raw computed value (number, string for tablet
  *                     // fractions, or [min, max] for outputRange),
- *                     // or Constants.MESSAGES.OUT_OF_RANGE.
+ *                     // or Constants.MESSAGES.OUT_OF_RANGE /
+ *                     // Constants.MESSAGES.CONTRAINDICATED. mL doses
+ *                     // are rounded to the syringe when one is given.
  *     displayValue,   // formatted string for direct display in /calc/
- *     isOutOfRange,   // bool
- *     warning         // string | null (passed through from med definition)
+ *     isOutOfRange,   // bool (also true when a 'block' constraint fails,
+ *                     // so schedules and dispense lists drop the med)
+ *     warning,        // string | null (passed through from med definition)
+ *     contraindication, // { severity, reason } | null, from med.constraints
+ *     breakdown,      // [{ ingredient, mg, mgPerKg }] | null: mg delivered
+ *                     // per dose and effective mg/kg, from med.strength
+ *                     // (ingredient is null for single-ingredient meds)
+ *     syringe,        // Syringes.fit() result | null: the syringe an mL
+ *                     // dose is drawn in and its rounding. Only when a
+ *                     // syringe setting ('auto' or a size id) is passed.
+ *     tablets,        // { count, text, mg, mgPerKg, errorPercent, warning }
+ *                     // | null: an mg dose as the nearest practical piece
+ *                     // of a tablet (med.strength per tablet, med.split)
+ *     suspension,     // MedCalculator.suspension() result | null: the
+ *                     // same dose from med.suspension
+ *     range           // { percent, low, high, unit, rateText } | null:
+ *                     // for linear meds with a label range, the doses at
+ *                     // both ends and the point dosed (rangePercent:
+ *                     // 0 = low end, the default, 100 = high end)
  *   }
+ *   MedCalculator.breakdownText(breakdown) → '20 mg · 44.1 mg/kg', or ''
+ *   MedCalculator.tabletText(tablets) → '¼ tablet (4 mg · 4.4 mg/kg, +340%)', or ''
+ *   MedCalculator.suspension({ tabletMg, tablets, waterMl }, mg, weightLb, [syringe])
+ *                   → { tabletMg, tablets, waterMl, mgPerMl, ml, mgPerKg,
+ *                       syringe, dosesPerBatch } | null: an mg dose from
+ *                     tablets dissolved in water (any recipe, for /calc/)
+ *   MedCalculator.suspensionText(suspension)
+ *                   → '0.45 mL of 1 tablet in 8 mL water (2 mg/mL)', or ''
+ *   MedCalculator.checkConstraints(med, weightLb, ageWeeks)
+ *                   → { severity, reason } | null
+ *   MedCalculator.dosesPerDay(med) → integer ≥ 1, from med.frequency
+ *   MedCalculator.validateSpec(calc) → [message, …]: why a calc spec can't
+ *                     be computed ([] when it can)
+ *   MedCalculator.frequencyText(med) → 'every 8h', or '' when unspecified
+ *   MedCalculator.hasRange(med) → true for a linear spec with a label range
+ *   MedCalculator.RANGE_POINTS → [{ percent, label }]: the points in a range
+ *                     that can be picked for a kitten
+ *   MedCalculator.rangeText(range) → '0.20–0.32 mL (0.1–0.16 mL/lb), dosed at mid', or ''
  */
 
 const MedCalculator = (() => {
@@ -21,6 +58,9 @@ const MedCalculator = (() => {
     const OUT_OF_RANGE = (typeof Constants !== 'undefined' && Constants.MESSAGES)
         ? Constants.MESSAGES.OUT_OF_RANGE
         : 'Out of range';
+    const CONTRAINDICATED = (typeof Constants !== 'undefined' && Constants.MESSAGES)
+        ? Constants.MESSAGES.CONTRAINDICATED
+        : 'Contraindicated';
 
     function roundDownTo(value, step) {
         return Math.floor(value / step) * step;
@@ -30,10 +70,58 @@ const MedCalculator = (() => {
         return (Math.round(n * 100) / 100).toFixed(2);
     }
 
+    // Tablet fractions as written in weight tables: '¼', '½', '1', '1½', '2'
+    const FRACTIONS = { '¼': 0.25, '½': 0.5, '¾': 0.75 };
+
+    function parseTablets(value) {
+        const match = String(value).match(/^(\d*)([¼½¾]?)$/);
+        if (!match || (!match[1] && !match[2])) return NaN;
+        return (match[1] ? parseInt(match[1]) : 0) + (FRACTIONS[match[2]] || 0);
+    }
+
+    // Tablet pieces for a count of tablets (whole + quarter symbol)
+    function formatTablets(count) {
+        const whole = Math.floor(count + 1e-9);
+        const quarter = Math.round((count - whole) * 4);
+        const symbol = Object.keys(FRACTIONS).find(f => FRACTIONS[f] === quarter / 4) || '';
+        return `${whole || !symbol ? whole : ''}${symbol}`;
+    }
+
+    // Splitting that moves a dose by more than this is flagged
+    const SPLIT_WARN_PERCENT = 10;
+
+    function round(n, places) {
+        return String(Math.round(n * 10 ** places) / 10 ** places);
+    }
+
     function formatMl(n)  { return `${format2(n)} mL`; }
     function formatMg(n)  { return `${format2(n)} mg`; }
     function formatTab(v) { return `${v} tab`; }
 
+    // A label range's low and high rates: mlPerLb–mlPerLbMax or mgPerKg–mgPerKgMax
+    function rangeRates(spec) {
+        if (spec.type !== 'linear') return null;
+        if (typeof spec.mlPerLbMax === 'number') return { key: 'mlPerLb', unit: 'mL/lb', low: spec.mlPerLb, high: spec.mlPerLbMax };
+        if (typeof spec.mgPerKgMax === 'number') return { key: 'mgPerKg', unit: 'mg/kg', low: spec.mgPerKg, high: spec.mgPerKgMax };
+        return null;
+    }
+
+    // The spec with its rate moved to a point in the label range
+    function atRangePoint(spec, percent) {
+        const rates = rangeRates(spec);
+        if (!rates) return spec;
+        const p = Math.min(100, Math.max(0, Number(percent) || 0)) / 100;
+        return { ...spec, [rates.key]: rates.low + (rates.high - rates.low) * p };
+    }
+
+    const RANGE_POINTS = Object.freeze([
+        { percent: 0, label: 'Low' },
+        { percent: 25, label: '25%' },
+        { percent: 50, label: 'Mid' },
+        { percent: 75, label: '75%' },
+        { percent: 100, label: 'High' }
+    ].map(point => Object.freeze(point)));
+
     function computeLinear(spec, weightLb) {
         const weightKg = weightLb * KG_PER_LB;
 
@@ -121,20 +209,198 @@ const MedCalculator = (() => {
         return String(v);
     }
 
-    function compute(med, weightLb) {
+    /**
+     * mg delivered by one dose and the effective mg/kg. mg-unit doses need
+     * no strength; mL and tablet doses are converted with med.strength.
+     * @returns {Array<{ingredient: string|null, mg: number, mgPerKg: number}>|null}
+     */
+    function doseBreakdown(med, value, weightLb) {
+        const weightKg = weightLb * KG_PER_LB;
+        if (med.unit === 'mg' && typeof value === 'number') {
+            return [{ ingredient: null, mg: value, mgPerKg: value / weightKg }];
+        }
+
+        const strength = med.strength;
+        if (!strength || strength.per !== (med.unit === 'tablet' ? 'tablet' : 'mL')) return null;
+
+        const amount = med.unit === 'tablet' ? parseTablets(value) : value;
+        if (typeof amount !== 'number' || !isFinite(amount)) return null;
+
+        const perIngredient = typeof strength.mg === 'number'
+            ? [[null, strength.mg]]
+            : Object.entries(strength.mg);
+        return perIngredient.map(([ingredient, mgPerUnit]) => ({
+            ingredient,
+            mg: amount * mgPerUnit,
+            mgPerKg: amount * mgPerUnit / weightKg
+        }));
+    }
+
+    function breakdownText(breakdown) {
+        if (!breakdown) return '';
+        return breakdown.map(({ ingredient, mg, mgPerKg }) =>
+            `${ingredient ? `${ingredient} ` : ''}${round(mg, 2)} mg · ${round(mgPerKg, 1)} mg/kg`).join('; ');
+    }
+
+    /**
+     * An mg dose as the nearest practical piece of a tablet: halves, or
+     * quarters for meds with `split: 4`. Never less than one piece, so
+     * doses smaller than that come out high and are flagged.
+     * @returns {Object|null} { count, text, mg, mgPerKg, errorPercent, warning }
+     */
+    function splitTablets(med, mg, weightLb) {
+        const strength = med.strength;
+        if (med.unit !== 'mg' || typeof mg !== 'number' || !strength
+            || strength.per !== 'tablet' || typeof strength.mg !== 'number') return null;
+
+        const pieces = med.split || 2;
+        const count = Math.max(1, Math.round(mg / strength.mg * pieces)) / pieces;
+        const deliveredMg = count * strength.mg;
+        const errorPercent = (deliveredMg - mg) / mg * 100;
+        const text = formatTablets(count);
+        return {
+            count,
+            text,
+            mg: deliveredMg,
+            mgPerKg: deliveredMg / (weightLb * KG_PER_LB),
+            errorPercent,
+            warning: Math.abs(errorPercent) > SPLIT_WARN_PERCENT
+                ? `${text} tablet gives ${round(deliveredMg, 2)} mg, ${Math.round(Math.abs(errorPercent))}% ${errorPercent > 0 ? 'over' : 'under'} the ${round(mg, 2)} mg dose`
+                : null
+        };
+    }
+
+    /**
+     * An mg dose drawn from tablets dissolved in water, rounded to the
+     * syringe when a syringe setting is given
+     * @param {{tabletMg: number, tablets: number, waterMl: number}} recipe
+     * @returns {Object|null} { tabletMg, tablets, waterMl, mgPerMl, ml,
+     *   mgPerKg, syringe, dosesPerBatch }, or null for an unusable recipe
+     */
+    function suspension(recipe, mg, weightLb, syringeChoice) {
+        const { tabletMg, tablets, waterMl } = recipe || {};
+        if (!(tabletMg > 0 && tablets > 0 && waterMl > 0 && mg > 0 && weightLb > 0)) return null;
+
+        const mgPerMl = tablets * tabletMg / waterMl;
+        const syringe = syringeChoice && typeof Syringes !== 'undefined'
+            ? Syringes.fit(mg / mgPerMl, syringeChoice)
+            : null;
+        const ml = syringe ? syringe.ml : mg / mgPerMl;
+        return {
+            tabletMg,
+            tablets,
+            waterMl,
+            mgPerMl,
+            ml,
+            mgPerKg: ml * mgPerMl / (weightLb * KG_PER_LB),
+            syringe,
+            // Whole doses in one batch (the tablets add no meaningful volume)
+            dosesPerBatch: ml > 0 ? Math.floor(waterMl / ml + 1e-9) : 0
+        };
+    }
+
+    /**
+     * The same mg dose from the med's own recipe (med.suspension)
+     * @returns {Object|null} suspension() result
+     */
+    function dissolveTablets(med, mg, weightLb, syringeChoice) {
+        const strength = med.strength;
+        if (!med.suspension || med.unit !== 'mg' || typeof mg !== 'number' || !strength
+            || strength.per !== 'tablet' || typeof strength.mg !== 'number') return null;
+        return suspension({ tabletMg: strength.mg, ...med.suspension }, mg, weightLb, syringeChoice);
+    }
+
+    function tabletText(tablets) {
+        if (!tablets) return '';
+        const error = Math.round(tablets.errorPercent);
+        const errorText = error ? `, ${error > 0 ? '+' : '−'}${Math.abs(error)}%` : '';
+        return `${tablets.text} ${tablets.count > 1 ? 'tablets' : 'tablet'} (${round(tablets.mg, 2)} mg · ${round(tablets.mgPerKg, 1)} mg/kg${errorText})`;
+    }
+
+    function suspensionText(suspension) {
+        if (!suspension) return '';
+        const { tablets, waterMl, mgPerMl, ml, syringe } = suspension;
+        const mlText = syringe ? ml.toFixed(syringe.decimals) : format2(ml);
+        return `${mlText} mL of ${tablets} ${tablets > 1 ? 'tablets' : 'tablet'} in ${waterMl} mL water (${round(mgPerMl, 2)} mg/mL)`;
+    }
+
+    /**
+     * Check a med's minimum age/weight constraints. Age is only checked
+     * when known; an unknown age never blocks a med.
+     * @returns {{severity: string, reason: string}|null}
+     */
+    function checkConstraints(med, weightLb, ageWeeks) {
+        const c = med && med.constraints;
+        if (!c) return null;
+
+        const severity = c.severity || 'block';
+        const lead = severity === 'caution' ? 'Use with caution in kittens under' : 'Not for kittens under';
+
+        if (typeof c.minAgeWeeks === 'number' && typeof ageWeeks === 'number' && ageWeeks < c.minAgeWeeks) {
+            return { severity, reason: `${lead} ${c.minAgeWeeks} weeks` };
+        }
+        if (typeof c.minWeightLb === 'number' && weightLb > 0 && weightLb < c.minWeightLb) {
+            return { severity, reason: `${lead} ${c.minWeightLb} lb` };
+        }
+        return null;
+    }
+
+    /**
+     * Round an in-range mL dose to the syringe it's drawn in: the med's own
+     * syringe, else the site setting
+     * @returns {Object|null} Syringes.fit() result
+     */
+    function fitSyringe(med, value, weightLb, choice) {
+        if (!choice || typeof Syringes === 'undefined') return null;
+        if (med.unit !== 'mL' || typeof value !== 'number' || !(weightLb > 0)) return null;
+        return Syringes.fit(value, med.syringe || choice, { roundDown: !!med.calc.roundDown });
+    }
+
+    /**
+     * Doses at both ends of a linear med's label range, unrounded
+     * @returns {Object|null} { percent, low, high, unit, rateText }
+     */
+    function doseRange(med, weightLb, percent) {
+        const rates = rangeRates(med.calc);
+        if (!rates) return null;
+        const low = computeLinear(atRangePoint(med.calc, 0), weightLb);
+        const high = computeLinear(atRangePoint(med.calc, 100), weightLb);
+        return {
+            percent: Math.min(100, Math.max(0, Number(percent) || 0)),
+            low: low.value,
+            high: high.value,
+            unit: low.kind,
+            rateText: `${round(rates.low, 3)}–${round(rates.high, 3)} ${rates.unit}`
+        };
+    }
+
+    function rangeText(range) {
+        if (!range) return '';
+        const point = RANGE_POINTS.find(p => p.percent === range.percent);
+        const at = point ? point.label.toLowerCase() : `${range.percent}%`;
+        return `${format2(range.low)}–${format2(range.high)} ${range.unit} (${range.rateText}), dosed at ${at}`;
+    }
+
+    function compute(med, weightLb, { ageWeeks, syringe: syringeChoice, rangePercent = 0 } = {}) {
         if (!med || typeof weightLb !== 'number' || !isFinite(weightLb)) {
             return {
                 value: OUT_OF_RANGE,
                 displayValue: '',
                 isOutOfRange: true,
-                warning: med ? (med.warning || null) : null
+                warning: med ? (med.warning || null) : null,
+                contraindication: null,
+                breakdown: null,
+                syringe: null,
+                tablets: null,
+                suspension: null,
+                range: null
             };
         }
 
         let result;
         switch (med.calc.type) {
             case 'linear': {
-                const r = computeLinear(med.calc, weightLb);
+                const r = computeLinear(atRangePoint(med.calc, rangePercent), weightLb);
                 // r.kind tracks whether linear produced mL or mg, which the
                 // formatter uses to pick the right unit suffix when the med's
                 // declared unit doesn't already disambiguate.
@@ -151,21 +417,118 @@ const MedCalculator = (() => {
                 throw new Error(`Unknown calc type: ${med.calc.type}`);
         }
 
-        const isOOR = result.isOutOfRange === true;
-        const value = isOOR ? OUT_OF_RANGE : result.value;
+        // A weight outside the dosing table stays OUT_OF_RANGE; a failed
+        // 'block' constraint withholds an otherwise valid dose.
+        const contraindication = checkConstraints(med, weightLb, ageWeeks);
+        const isBlocked = !!contraindication && contraindication.severity === 'block'
+            && result.isOutOfRange !== true;
+        const isOOR = result.isOutOfRange === true || isBlocked;
+        const inRange = !isOOR && weightLb > 0;
+        const syringe = isOOR ? null : fitSyringe(med, result.value, weightLb, syringeChoice);
+        const value = isBlocked ? CONTRAINDICATED : (isOOR ? OUT_OF_RANGE : (syringe ? syringe.ml : result.value));
         const displayValue = (weightLb <= 0)
             ? ''
+            : isBlocked ? CONTRAINDICATED
+            : syringe ? `${syringe.ml.toFixed(syringe.decimals)} mL`
             : formatDisplay(med, { ...result, isOutOfRange: isOOR, value });
 
         return {
             value,
             displayValue,
             isOutOfRange: isOOR,
-            warning: med.warning || null
+            warning: med.warning || null,
+            contraindication,
+            breakdown: inRange ? doseBreakdown(med, value, weightLb) : null,
+            syringe,
+            tablets: inRange ? splitTablets(med, value, weightLb) : null,
+            suspension: inRange ? dissolveTablets(med, value, weightLb, syringeChoice) : null,
+            range: inRange ? doseRange(med, weightLb, rangePercent) : null
         };
     }
 
-    return Object.freeze({ compute });
+    const isNumber = (n) => typeof n === 'number' && isFinite(n);
+    const isPositive = (n) => isNumber(n) && n > 0;
+
+    // Mirrors the shapes compute() accepts (see meds-data.js), so edited
+    // catalog entries are rejected before they can throw or dose NaN.
+    function validateSpec(calc) {
+        if (!calc || typeof calc !== 'object') return ['Calc spec is missing'];
+        const errors = [];
+        switch (calc.type) {
+            case 'linear':
+                if (calc.mlPerLb !== undefined) {
+                    if (!isPositive(calc.mlPerLb)) errors.push('mlPerLb must be a positive number');
+                    if (calc.mgPerKg !== undefined) errors.push('Give either mlPerLb or mgPerKg, not both');
+                } else if (calc.mgPerKg !== undefined) {
+                    if (!isPositive(calc.mgPerKg)) errors.push('mgPerKg must be a positive number');
+                    if (calc.concMgPerMl !== undefined && !isPositive(calc.concMgPerMl)) {
+                        errors.push('concMgPerMl must be a positive number');
+                    }
+                } else {
+                    errors.push('A linear spec needs mlPerLb or mgPerKg');
+                }
+                // Label range: the base rate is its low end
+                [['mlPerLbMax', 'mlPerLb'], ['mgPerKgMax', 'mgPerKg']].forEach(([max, base]) => {
+                    if (calc[max] === undefined) return;
+                    if (calc[base] === undefined) errors.push(`${max} needs ${base} as the low end of the range`);
+                    else if (!isPositive(calc[max])) errors.push(`${max} must be a positive number`);
+                    else if (calc[max] < calc[base]) errors.push(`${max} must not be below ${base}`);
+                });
+                if (calc.min !== undefined && !isPositive(calc.min)) errors.push('min must be a positive number');
+                break;
+            case 'weightTable': {
+                const rows = calc.rows;
+                if (!Array.isArray(rows) || rows.length === 0) {
+                    errors.push('A weight table needs at least one row');
+                    break;
+                }
+                rows.forEach((row, i) => {
+                    const label = `Row ${i + 1}`;
+                    if (!row || !isNumber(row.minLb) || row.minLb < 0) {
+                        errors.push(`${label}: minLb must be a number ≥ 0`);
+                        return;
+                    }
+                    if (!(typeof row.maxLb === 'number' && row.maxLb > row.minLb)) {
+                        errors.push(`${label}: maxLb must be above minLb`);
+                    }
+                    const valueOk = isPositive(row.value)
+                        || (typeof row.value === 'string' && row.value.trim() !== '');
+                    if (!valueOk) errors.push(`${label}: value must be a positive number or tablet text`);
+                    if (i > 0 && rows[i - 1] && row.minLb <= rows[i - 1].minLb) {
+                        errors.push(`${label}: rows must be sorted by minLb`);
+                    }
+                });
+                break;
+            }
+            case 'outputRange':
+                if (!isPositive(calc.mlPerLbMin) || !isPositive(calc.mlPerLbMax)) {
+                    errors.push('mlPerLbMin and mlPerLbMax must be positive numbers');
+                } else if (calc.mlPerLbMax < calc.mlPerLbMin) {
+                    errors.push('mlPerLbMax must not be below mlPerLbMin');
+                }
+                break;
+            default:
+                errors.push(`Unknown calc type: ${calc.type === undefined ? '(none)' : calc.type}`);
+        }
+        return errors;
+    }
+
+    function dosesPerDay(med) {
+        const hours = med && med.frequency && med.frequency.everyHours;
+        if (!(hours > 0)) return 1;
+        return Math.max(1, Math.round(24 / hours));
+    }
+
+    function frequencyText(med) {
+        const hours = med && med.frequency && med.frequency.everyHours;
+        return hours > 0 ? `every ${hours}h` : '';
+    }
+
+    function hasRange(med) {
+        return !!(med && med.calc && rangeRates(med.calc));
+    }
+
+    return Object.freeze({ compute, checkConstraints, breakdownText, tabletText, suspension, suspensionText, dosesPerDay, frequencyText, validateSpec, hasRange, rangeText, RANGE_POINTS });
 })();
 
 window.MedCalculator = MedCalculator;
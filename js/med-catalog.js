@@ -0,0 +1,451 @@
+/**
+ * Med Catalog Module - Local edits to the MedsData catalog, and CSV/JSON
+ * import/export
+ *
+ * MedsData is transcribed by hand from the rescue's meds.csv. A lead can
+ * correct an entry or add a med from /calc/: edits are validated (calc specs
+ * against MedCalculator.validateSpec), stored per device in localStorage and
+ * applied to MedsData when this script loads, so the intake form and /calc/
+ * dose from the same catalog. Only the editable fields below are stored; an
+ * edit that matches the built-in entry again is dropped. Saved data:
+ *   [{ id, name, category, unit, concentration, calculationText, calc,
+ *      [notes], [warning], [reviewed] }]
+ * where an optional field is '' when the edit cleared a built-in one.
+ *
+ * CSV files keep the meds.csv columns first (Medication, Concentration,
+ * Calculation, Notes), followed by the columns the app needs to dose a med.
+ * A sheet with only the original columns updates the text of meds it names.
+ */
+
+const MedCatalog = {
+    // Fields a lead can edit, in export order
+    FIELDS: ['id', 'name', 'category', 'unit', 'concentration', 'calculationText', 'calc', 'notes', 'warning', 'reviewed'],
+
+    // Optional fields left out when empty
+    OPTIONAL_FIELDS: ['notes', 'warning', 'reviewed'],
+
+    UNITS: ['mL', 'tablet', 'mg'],
+
+    // CSV header → field. meds.csv's own columns come first.
+    CSV_COLUMNS: [
+        { header: 'Medication', field: 'name' },
+        { header: 'Concentration', field: 'concentration' },
+        { header: 'Calculation', field: 'calculationText' },
+        { header: 'Notes', field: 'notes' },
+        { header: 'Warning', field: 'warning' },
+        { header: 'ID', field: 'id' },
+        { header: 'Category', field: 'category' },
+        { header: 'Unit', field: 'unit' },
+        { header: 'Calc spec', field: 'calc' },
+        { header: 'Reviewed', field: 'reviewed' }
+    ],
+
+    // Columns a blank CSV cell can't clear
+    REQUIRED_CSV_FIELDS: ['id', 'name', 'category', 'unit', 'calc'],
+
+    // Kebab-case; also keeps '~' and '_' out of URL state (see url-state-manager.js)
+    ID_PATTERN: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+
+    // ==========================================
+    // Entries
+    // ==========================================
+
+    /**
+     * The editable fields of a med, with empty optional fields left out.
+     * An optional field emptied on a built-in med that has one is kept as
+     * '', so the edit clears the built-in text instead of falling back to it.
+     * @param {Object} med - MedsData entry or imported record
+     * @returns {Object}
+     */
+    editable(med) {
+        const builtIn = MedsData.builtIn(med.id);
+        const entry = {};
+        for (const field of this.FIELDS) {
+            const value = med[field];
+            if (this.OPTIONAL_FIELDS.includes(field) && !value) {
+                if (value === '' && builtIn && builtIn[field]) entry[field] = '';
+                continue;
+            }
+            entry[field] = value;
+        }
+        return entry;
+    },
+
+    /**
+     * Clean up an entry from the editor, storage or an import: trim text and
+     * restore unbounded weight-table rows (JSON writes Infinity as null)
+     * @param {Object} entry
+     * @returns {Object}
+     */
+    normalize(entry) {
+        const clean = {};
+        for (const field of this.FIELDS) {
+            const value = entry[field];
+            if (field === 'calc') {
+                clean.calc = this._normalizeSpec(value);
+            } else if (value !== undefined && value !== null) {
+                clean[field] = String(value).trim();
+            }
+        }
+        if (clean.calculationText) clean.calculationText = clean.calculationText.replace(/\r\n?/g, '\n');
+        return this.editable(clean);
+    },
+
+    /**
+     * A calc spec as editable JSON (unbounded rows written as null)
+     * @param {Object} calc
+     * @returns {string}
+     */
+    formatSpec(calc) {
+        return calc ? this._serialize(calc, 2) : '';
+    },
+
+    /**
+     * @param {string} text - Calc spec JSON
+     * @returns {Object|undefined} Parsed spec; undefined for blank text
+     * @throws {Error} When the text isn't JSON
+     */
+    parseSpec(text) {
+        if (!String(text || '').trim()) return undefined;
+        try {
+            return this._normalizeSpec(JSON.parse(text));
+        } catch (e) {
+            throw new Error('Calc spec is not valid JSON');
+        }
+    },
+
+    /**
+     * @param {string} name - Med name
+     * @returns {string} Kebab-case ID for a new med, e.g. 'Clavamox Drops' → 'clavamox-drops'
+     */
+    idFromName(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    },
+
+    _normalizeSpec(calc) {
+        if (!calc || typeof calc !== 'object' || !Array.isArray(calc.rows)) return calc;
+        return {
+            ...calc,
+            rows: calc.rows.map(row => (row && row.maxLb === null ? { ...row, maxLb: Infinity } : row))
+        };
+    },
+
+    /**
+     * @param {Object} entry - Normalized entry
+     * @returns {string[]} Problems that stop it being saved ([] when valid)
+     */
+    validate(entry) {
+        const errors = [];
+        if (!this.ID_PATTERN.test(entry.id || '')) {
+            errors.push('ID must be lowercase letters, digits and dashes');
+        }
+        if (!entry.name) errors.push('Name is required');
+        else if (/[<>"]/.test(entry.name)) errors.push('Name can\'t contain < > or "');
+        if (!MedsData.categories().some(c => c.id === entry.category)) {
+            errors.push(`Category must be one of: ${MedsData.categories().map(c => c.id).join(', ')}`);
+        }
+        if (!this.UNITS.includes(entry.unit)) {
+            errors.push(`Unit must be one of: ${this.UNITS.join(', ')}`);
+        }
+        if (entry.reviewed && !/^\d{4}-\d{2}-\d{2}$/.test(entry.reviewed)) {
+            errors.push('Reviewed must be a date (YYYY-MM-DD)');
+        }
+        MedCalculator.validateSpec(entry.calc).forEach(message => errors.push(`Calc spec: ${message}`));
+        return errors;
+    },
+
+    /**
+     * @param {string} id - Med ID
+     * @returns {boolean} True for a built-in med with local edits
+     */
+    isEdited(id) {
+        return !!MedsData.builtIn(id) && this.load().some(entry => entry.id === id);
+    },
+
+    /**
+     * @param {string} id - Med ID
+     * @returns {boolean} True for a med added locally
+     */
+    isCustom(id) {
+        return !MedsData.builtIn(id) && !!MedsData.byId(id);
+    },
+
+    // ==========================================
+    // Persistence
+    // ==========================================
+
+    /**
+     * Read saved edits, dropping anything that no longer validates
+     * @returns {Array}
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(Constants.STORAGE.MED_CATALOG));
+            if (!Array.isArray(saved)) return [];
+            return saved
+                .filter(entry => entry && typeof entry === 'object')
+                .map(entry => this.normalize(entry))
+                .filter(entry => this.validate(entry).length === 0);
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Store edits and apply them to MedsData
+     * @param {Array} entries - Validated entries
+     * @returns {boolean} Whether the write succeeded
+     */
+    persist(entries) {
+        MedsData.applyOverrides(entries);
+        try {
+            localStorage.setItem(Constants.STORAGE.MED_CATALOG, JSON.stringify(entries));
+            return true;
+        } catch (e) {
+            console.warn('Failed to save medication catalog:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Merge entries into the saved edits, replacing any with the same id.
+     * Entries identical to their built-in med drop its edit instead.
+     * @param {Array} entries - Validated entries
+     * @returns {boolean} Whether the write succeeded
+     */
+    _merge(entries) {
+        const byId = new Map(this.load().map(entry => [entry.id, entry]));
+        for (const entry of entries) {
+            const builtIn = MedsData.builtIn(entry.id);
+            if (builtIn && this._same(entry, this.editable(builtIn))) {
+                byId.delete(entry.id);
+            } else {
+                byId.set(entry.id, entry);
+            }
+        }
+        return this.persist([...byId.values()]);
+    },
+
+    /**
+     * Status line after a catalog write. A write localStorage refused still
+     * applies to this page, so say it's lost on reload.
+     * @param {string} done - e.g. 'Saved Cerenia'
+     * @param {boolean} saved - Whether the write succeeded
+     * @returns {string}
+     */
+    statusText(done, saved) {
+        return saved ? done : `${done} until this page reloads: this device's storage is full or blocked`;
+    },
+
+    _same(a, b) {
+        return this._serialize(a) === this._serialize(b);
+    },
+
+    _serialize(value, indent) {
+        return JSON.stringify(value, (key, v) => (v === Infinity ? null : v), indent);
+    },
+
+    /**
+     * Save one med from the editor
+     * @param {Object} entry - Editable fields
+     * @returns {{med: Object|null, errors: string[], saved: boolean}} `saved`
+     *   is false when the edit applies but couldn't be stored
+     */
+    save(entry) {
+        const clean = this.normalize(entry);
+        const errors = this.validate(clean);
+        if (errors.length) return { med: null, errors, saved: false };
+        const saved = this._merge([clean]);
+        return { med: MedsData.byId(clean.id), errors: [], saved };
+    },
+
+    /**
+     * Drop a med's local edits: a built-in med reverts, an added med is removed
+     * @param {string} id - Med ID
+     * @returns {boolean} Whether the write succeeded
+     */
+    remove(id) {
+        return this.persist(this.load().filter(entry => entry.id !== id));
+    },
+
+    // ==========================================
+    // Import / export
+    // ==========================================
+
+    /**
+     * The whole catalog as JSON (editable fields only)
+     * @returns {string}
+     */
+    toJSON() {
+        return this._serialize(MedsData.all().map(med => this.editable(med)), 2);
+    },
+
+    /**
+     * The whole catalog as CSV, meds.csv columns first
+     * @returns {string}
+     */
+    toCSV() {
+        const cell = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [this.CSV_COLUMNS.map(c => c.header).map(cell).join(',')];
+        for (const med of MedsData.all()) {
+            lines.push(this.CSV_COLUMNS
+                .map(({ field }) => cell(field === 'calc' ? this._serialize(med.calc) : med[field]))
+                .join(','));
+        }
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Split CSV text into rows of cells (quoted cells may hold commas,
+     * quotes and line breaks)
+     * @param {string} text
+     * @returns {string[][]}
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(c => c.trim() !== ''));
+    },
+
+    /**
+     * Records from CSV text, keyed by field. Calc specs stay as JSON text
+     * until _resolve parses them.
+     * @param {string} text
+     * @returns {Array}
+     */
+    _recordsFromCSV(text) {
+        const [header, ...rows] = this.parseCSV(text.replace(/^\uFEFF/, ''));
+        if (!header) return [];
+        const fields = header.map(h => {
+            const column = this.CSV_COLUMNS.find(c => c.header.toLowerCase() === h.trim().toLowerCase());
+            return column ? column.field : null;
+        });
+        if (!fields.includes('name') && !fields.includes('id')) {
+            throw new Error('CSV needs a Medication or ID column');
+        }
+        return rows.map(cells => {
+            const record = {};
+            // A blank text cell clears that text; a blank ID, name, category,
+            // unit or calc spec keeps the med's current one
+            fields.forEach((field, i) => {
+                const cell = cells[i] === undefined ? '' : cells[i];
+                if (!field || (cell.trim() === '' && this.REQUIRED_CSV_FIELDS.includes(field))) return;
+                record[field] = cell;
+            });
+            return record;
+        });
+    },
+
+    /**
+     * Complete an imported record from the med it names (by id, else by
+     * name), so partial sheets only change the columns they carry
+     * @param {Object} record
+     * @returns {Object} Normalized entry
+     */
+    _resolve(record) {
+        const name = String(record.name || '').trim().toLowerCase();
+        const existing = (record.id && MedsData.byId(String(record.id).trim()))
+            || MedsData.all().find(med => med.name.toLowerCase() === name)
+            || null;
+        const calc = typeof record.calc === 'string' ? this.parseSpec(record.calc) : record.calc;
+        const id = record.id || (existing ? existing.id : this.idFromName(name));
+        return this.normalize({
+            ...(existing ? this.editable(existing) : {}),
+            ...record,
+            id,
+            calc: calc === undefined && existing ? existing.calc : calc
+        });
+    },
+
+    /**
+     * Import a catalog file. Nothing is saved unless every row validates.
+     * @param {string} text - File contents
+     * @param {'csv'|'json'} format
+     * @returns {{count: number, errors: string[], saved: boolean}} Meds
+     *   imported, or why not; `saved` as for save()
+     */
+    importText(text, format) {
+        let records;
+        try {
+            if (format === 'json') {
+                const parsed = JSON.parse(text);
+                records = Array.isArray(parsed) ? parsed : parsed && parsed.meds;
+                if (!Array.isArray(records)) throw new Error('JSON must be an array of meds');
+            } else {
+                records = this._recordsFromCSV(text);
+            }
+        } catch (e) {
+            return { count: 0, errors: [e.message], saved: false };
+        }
+
+        const entries = [];
+        const errors = [];
+        const seen = new Set();
+        records.forEach((record, i) => {
+            const label = `${format === 'json' ? 'Entry' : 'Row'} ${i + 1}${record && record.name ? ` (${record.name})` : ''}`;
+            try {
+                const entry = this._resolve(record || {});
+                const problems = this.validate(entry);
+                if (seen.has(entry.id)) problems.push(`Duplicate ID ${entry.id}`);
+                problems.forEach(message => errors.push(`${label}: ${message}`));
+                seen.add(entry.id);
+                entries.push(entry);
+            } catch (e) {
+                errors.push(`${label}: ${e.message}`);
+            }
+        });
+
+        if (errors.length) return { count: 0, errors, saved: false };
+        const saved = this._merge(entries);
+        return { count: entries.length, errors: [], saved };
+    }
+};
+
+// Freeze to prevent modifications
+Object.freeze(MedCatalog);
+Object.freeze(MedCatalog.FIELDS);
+Object.freeze(MedCatalog.OPTIONAL_FIELDS);
+Object.freeze(MedCatalog.UNITS);
+Object.freeze(MedCatalog.CSV_COLUMNS);
+Object.freeze(MedCatalog.REQUIRED_CSV_FIELDS);
+
+// Saved edits apply before any page code reads the catalog
+MedsData.applyOverrides(MedCatalog.load());
+
+// Export to global namespace
+window.MedCatalog = MedCatalog;
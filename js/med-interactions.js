@@ -0,0 +1,103 @@
+/**
+ * Medication Interactions Module - Conflicts and duplicate therapy
+ * Pure functions with no DOM dependencies
+ *
+ * Checks a kitten's selected meds against the MedsData interaction rules
+ * and flags any two meds that share an active ingredient. 'block' rules
+ * also drive the intake form's row lockouts (e.g. Pyrantel while Drontal
+ * is selected); see FormManager.updateInteractionLocks.
+ */
+
+const MedInteractions = {
+    /**
+     * MedsData ids of the meds a kitten is getting: enabled intake rows
+     * resolved to their selected product, then meds added via the picker
+     * @param {Object} kitten - { medicationStatus, [variant fields], addedMeds }
+     * @returns {Array<string>}
+     */
+    selectedMedIds(kitten) {
+        const status = kitten.medicationStatus || {};
+        const ids = IntakeProtocol.all()
+            .filter(row => status[row.key] && status[row.key] !== Constants.STATUS.SKIP)
+            .map(row => IntakeProtocol.medIdFor(row, row.variants ? kitten[row.variants.field] : undefined));
+        (kitten.addedMeds || []).forEach(({ medId }) => ids.push(medId));
+        return ids;
+    },
+
+    /**
+     * Conflicting or overlapping pairs among the selected meds. A rule in
+     * MedsData.interactions() wins over a shared-ingredient finding for the
+     * same pair.
+     * @param {Array<string>} medIds - Selected MedsData ids
+     * @returns {Array<{meds: Array<string>, severity: string, reason: string}>}
+     */
+    check(medIds) {
+        const ids = [...new Set(medIds)].filter(id => MedsData.byId(id));
+        const findings = [];
+
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const rule = this.ruleFor(ids[i], ids[j]);
+                if (rule) {
+                    findings.push({ meds: rule.meds, severity: rule.severity, reason: rule.reason });
+                    continue;
+                }
+
+                const shared = this.sharedIngredients(ids[i], ids[j]);
+                if (shared.length) {
+                    findings.push({ meds: [ids[i], ids[j]], severity: 'warn', reason: `Both contain ${shared.join(' and ')}` });
+                }
+            }
+        }
+        return findings;
+    },
+
+    /**
+     * @param {string} a - MedsData id
+     * @param {string} b - MedsData id
+     * @returns {Object|null} Interaction rule covering the pair, in either order
+     */
+    ruleFor(a, b) {
+        return MedsData.interactions().find(rule =>
+            (rule.meds[0] === a && rule.meds[1] === b) || (rule.meds[0] === b && rule.meds[1] === a)) || null;
+    },
+
+    /**
+     * @param {string} a - MedsData id
+     * @param {string} b - MedsData id
+     * @returns {Array<string>} Active ingredients in both meds
+     */
+    sharedIngredients(a, b) {
+        const other = MedsData.byId(b).ingredients || [];
+        return (MedsData.byId(a).ingredients || []).filter(ingredient => other.includes(ingredient));
+    },
+
+    /**
+     * Meds locked out by a 'block' rule whose first med is selected
+     * @param {Array<string>} medIds - Selected MedsData ids
+     * @returns {Map<string, Object>} Locked MedsData id → rule
+     */
+    locks(medIds) {
+        const locked = new Map();
+        MedsData.interactions()
+            .filter(rule => rule.severity === 'block' && medIds.includes(rule.meds[0]))
+            .forEach(rule => locked.set(rule.meds[1], rule));
+        return locked;
+    },
+
+    /**
+     * Display text for a finding: 'NexGard Combo + Revolution: Both treat fleas and ear mites'
+     * @param {Object} finding - Entry from check()
+     * @returns {string}
+     */
+    describe(finding) {
+        const names = finding.meds.map(id => MedsData.byId(id).name);
+        return `${names.join(' + ')}: ${finding.reason}`;
+    }
+};
+
+// Freeze to prevent modifications
+Object.freeze(MedInteractions);
+
+// Export to global namespace
+window.MedInteractions = MedInteractions;
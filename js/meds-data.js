@@ -1,23 +1,57 @@
 /**
  * Medications Catalog — single source of truth for dosage data.
  *
- * Source: meds.csv (rescue center reference) + Capstar (added).
+ * Source: meds.csv (rescue center reference) + Capstar (added). Leads can
+ * edit or add meds locally; MedCatalog validates and stores those edits and
+ * applies them here on load (MedsData.builtIn still returns the original).
  *
  * Each med has:
  *   id              — stable kebab-case key (used by state, URL, lookups)
  *   name            — display name
+ *   category        — a CATEGORIES id, for filtering in /calc/
  *   concentration   — verbatim concentration string from the source
+ *   strength        — optional { per: 'mL' | 'tablet', mg }: structured
+ *                     concentration used for the mg and mg/kg dose breakdown.
+ *                     `mg` is a number, or { ingredient: mg } for
+ *                     combination products. Omitted where the source gives
+ *                     no mg strength. An mg-unit med with a per-tablet
+ *                     strength is also dosed in tablet pieces.
+ *   split           — optional pieces a tablet can practically be cut into
+ *                     for mg doses given as tablets: 2 (halves, the
+ *                     default) or 4 (quarters)
+ *   suspension      — optional { tablets, waterMl }: tablets dissolved in
+ *                     water as an alternative for doses too small to split
  *   calculationText — verbatim calculation column (multi-line preserved with \n)
  *   unit            — 'mL' | 'tablet' | 'mg'
+ *   syringe         — optional Syringes size id an mL dose is always drawn
+ *                     in, overriding the site's syringe setting (while the
+ *                     dose fits)
  *   calc            — typed spec consumed by MedCalculator
  *   notes           — optional, shown subtly
  *   warning         — optional, surfaces a caution
+ *   frequency       — optional { everyHours }: how often doses repeat within
+ *                     a day (8 → three doses a day). Omitted means once a day.
+ *   ingredients     — active ingredients (lowercase); two selected meds that
+ *                     share one are flagged as duplicate therapy
+ *   drugClass       — pharmacological class, for explaining the med
+ *   route           — a routes() key: 'PO' | 'SQ' | 'IM' | 'topical'
+ *   indications     — what it's used for in kittens (lowercase, except
+ *                     proper names)
+ *   species         — species the catalog dose is for ('cat')
+ *   reviewed        — date (YYYY-MM-DD) the entry was last checked against
+ *                     the source
+ *   constraints     — optional { [minAgeWeeks], [minWeightLb], [severity] }:
+ *                     label minimums. Below them MedCalculator reports a
+ *                     contraindication; severity 'block' (default) withholds
+ *                     the dose, 'caution' still doses but flags the reason.
  *
  * Calc spec shapes (all `type: 'linear' | 'weightTable' | 'outputRange'`):
  *
  *   { type: 'linear', mlPerLb, [min], [roundDown] }
  *   { type: 'linear', mgPerKg }                          // direct mg result
  *   { type: 'linear', mgPerKg, concMgPerMl }             // mg → mL via concentration
+ *     - a label range adds mlPerLbMax (or mgPerKgMax); mlPerLb (mgPerKg)
+ *       is then its low end, dosed unless a higher point is picked
  *   { type: 'weightTable', rows: [{ minLb, maxLb, value }] }
  *     - rows sorted ascending by minLb; engine returns the row whose minLb
  *       is the largest one ≤ weight, provided weight ≤ that row's maxLb.
@@ -35,7 +69,15 @@ const MedsData = (() => {
         {
             id: 'ponazuril',
             name: 'Ponazuril',
+            category: 'dewormer',
+            ingredients: ['ponazuril'],
+            drugClass: 'Triazine antiprotozoal',
+            route: 'PO',
+            indications: ['coccidia'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '100 mg/mL',
+            strength: { per: 'mL', mg: 100 },
             calculationText: '23 mg/lb\n50 mg/kg',
             unit: 'mL',
             calc: { type: 'linear', mlPerLb: 0.23 }
@@ -43,7 +85,15 @@ const MedsData = (() => {
         {
             id: 'panacur',
             name: 'Panacur',
+            category: 'dewormer',
+            ingredients: ['fenbendazole'],
+            drugClass: 'Benzimidazole anthelmintic',
+            route: 'PO',
+            indications: ['giardia', 'roundworms', 'hookworms', 'whipworms'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '100 mg/mL',
+            strength: { per: 'mL', mg: 100 },
             calculationText: '20 mg/lb\n44 mg/kg',
             unit: 'mL',
             calc: { type: 'linear', mlPerLb: 0.2 }
@@ -51,7 +101,15 @@ const MedsData = (() => {
         {
             id: 'pyrantel',
             name: 'Pyrantel',
+            category: 'dewormer',
+            ingredients: ['pyrantel'],
+            drugClass: 'Tetrahydropyrimidine anthelmintic',
+            route: 'PO',
+            indications: ['roundworms', 'hookworms'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '50 mg/mL',
+            strength: { per: 'mL', mg: 50 },
             calculationText: '5 mg/lb',
             unit: 'mL',
             calc: { type: 'linear', mlPerLb: 0.1 }
@@ -59,6 +117,13 @@ const MedsData = (() => {
         {
             id: 'b12',
             name: 'B12',
+            category: 'supplement',
+            ingredients: ['cyanocobalamin'],
+            drugClass: 'Vitamin',
+            route: 'SQ',
+            indications: ['B12 deficiency'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '',
             calculationText: '0.1 mL/lb (min of 0.1 mL)',
             unit: 'mL',
@@ -67,6 +132,13 @@ const MedsData = (() => {
         {
             id: 'penicillin-g-procaine',
             name: 'Penicillin G Procaine',
+            category: 'antibiotic',
+            ingredients: ['penicillin g procaine'],
+            drugClass: 'Penicillin antibiotic',
+            route: 'IM',
+            indications: ['bacterial infections'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '300,000 units/mL',
             calculationText: '30,000 units/kg',
             unit: 'mL',
@@ -75,6 +147,12 @@ const MedsData = (() => {
         {
             id: 'sq-fluids',
             name: 'SQ Fluids',
+            category: 'fluids',
+            drugClass: 'Isotonic crystalloid',
+            route: 'SQ',
+            indications: ['dehydration'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '',
             calculationText: '13–20 mL/kg\n5.9–9 mL/lb\n(1 mL per 50–75 g)',
             unit: 'mL',
@@ -84,7 +162,15 @@ const MedsData = (() => {
         {
             id: 'metronidazole',
             name: 'Metronidazole (Ayradia)',
+            category: 'antibiotic',
+            ingredients: ['metronidazole'],
+            drugClass: 'Nitroimidazole antibiotic',
+            route: 'PO',
+            indications: ['giardia', 'diarrhea'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '125 mg/mL',
+            strength: { per: 'mL', mg: 125 },
             calculationText: '6 mg/lb',
             unit: 'mL',
             notes: 'Round down',
@@ -93,41 +179,88 @@ const MedsData = (() => {
         {
             id: 'clavamox',
             name: 'Clavamox',
+            category: 'antibiotic',
+            ingredients: ['amoxicillin', 'clavulanic acid'],
+            drugClass: 'Penicillin antibiotic with beta-lactamase inhibitor',
+            route: 'PO',
+            indications: ['bacterial infections'],
+            species: ['cat'],
+            reviewed: '2026-10-18',
             concentration: '62.5 mg/mL',
-            calculationText: '6.25 mg/lb',
+            strength: { per: 'mL', mg: 62.5 },
+            calculationText: '6.25–10 mg/lb',
             unit: 'mL',
-            calc: { type: 'linear', mlPerLb: 0.1 }
+            calc: { type: 'linear', mlPerLb: 0.1, mlPerLbMax: 0.16 }
         },
         {
             id: 'cerenia',
             name: 'Cerenia (Maropitant)',
+            category: 'antiemetic',
+            ingredients: ['maropitant'],
+            drugClass: 'NK1 receptor antagonist',
+            route: 'PO',
+            indications: ['vomiting', 'nausea'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '16 mg tablets',
+            strength: { per: 'tablet', mg: 16 },
             calculationText: '1 mg/kg every 24h',
             unit: 'mg',
+            split: 4,
+            suspension: { tablets: 1, waterMl: 8 },
             notes: 'Can dissolve one 16mg tablet in 8mL water to create 1mg/0.5mL suspension.',
             warning: 'Use with caution in kittens under 11 weeks. Can cause bone marrow hypoplasia.',
+            frequency: { everyHours: 24 },
+            constraints: { minAgeWeeks: 11, severity: 'caution' },
             calc: { type: 'linear', mgPerKg: 1 }
         },
         {
             id: 'ondansetron-tablets',
             name: 'Ondansetron (Tablets)',
+            category: 'antiemetic',
+            ingredients: ['ondansetron'],
+            drugClass: '5-HT3 receptor antagonist',
+            route: 'PO',
+            indications: ['vomiting', 'nausea'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '4 mg tablets',
+            strength: { per: 'tablet', mg: 4 },
+            split: 4,
             calculationText: '0.5 mg/kg every 8h',
             unit: 'mg',
+            frequency: { everyHours: 8 },
             calc: { type: 'linear', mgPerKg: 0.5 }
         },
         {
             id: 'ondansetron-injectable',
             name: 'Ondansetron (Injectable)',
+            category: 'antiemetic',
+            ingredients: ['ondansetron'],
+            drugClass: '5-HT3 receptor antagonist',
+            route: 'SQ',
+            indications: ['vomiting', 'nausea'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '2 mg/mL',
+            strength: { per: 'mL', mg: 2 },
             calculationText: '0.5 mg/kg every 8h',
             unit: 'mL',
+            frequency: { everyHours: 8 },
             calc: { type: 'linear', mgPerKg: 0.5, concMgPerMl: 2 }
         },
         {
             id: 'azithromycin',
             name: 'Azithromycin',
+            category: 'antibiotic',
+            ingredients: ['azithromycin'],
+            drugClass: 'Macrolide antibiotic',
+            route: 'PO',
+            indications: ['upper respiratory infection'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '200 mg/5 mL',
+            strength: { per: 'mL', mg: 40 },
             calculationText: '4 mg/lb',
             unit: 'mL',
             calc: { type: 'linear', mlPerLb: 0.1 }
@@ -135,9 +268,18 @@ const MedsData = (() => {
         {
             id: 'drontal',
             name: 'Drontal',
+            category: 'dewormer',
+            ingredients: ['praziquantel', 'pyrantel'],
+            drugClass: 'Isoquinoline + tetrahydropyrimidine anthelmintic',
+            route: 'PO',
+            indications: ['tapeworms', 'roundworms', 'hookworms'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: 'Praziquantel 18.2 mg + Pyrantel Pamoate 72.6 mg per tablet',
+            strength: { per: 'tablet', mg: { praziquantel: 18.2, 'pyrantel pamoate': 72.6 } },
             calculationText: '1.5–1.9 lb: ¼ tab\n2–3.9 lb: ½ tab\n4–8.9 lb: 1 tab\n9–12.9 lb: 1½ tabs\n13–16 lb: 2 tabs',
             unit: 'tablet',
+            constraints: { minAgeWeeks: 4, minWeightLb: 1.5 },
             calc: {
                 type: 'weightTable',
                 rows: [
@@ -152,9 +294,18 @@ const MedsData = (() => {
         {
             id: 'droncit',
             name: 'Injectable Droncit',
+            category: 'dewormer',
+            ingredients: ['praziquantel'],
+            drugClass: 'Isoquinoline anthelmintic',
+            route: 'SQ',
+            indications: ['tapeworms'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '56.8 mg/mL',
+            strength: { per: 'mL', mg: 56.8 },
             calculationText: '1.5–5 lb: 0.2 mL\n5–11 lb: 0.4 mL\n>11 lb: 0.6 mL',
             unit: 'mL',
+            constraints: { minAgeWeeks: 6 },
             calc: {
                 type: 'weightTable',
                 rows: [
@@ -167,9 +318,17 @@ const MedsData = (() => {
         {
             id: 'nexgard-combo',
             name: 'NexGard Combo',
+            category: 'flea-tick',
+            ingredients: ['esafoxolaner', 'eprinomectin', 'praziquantel'],
+            drugClass: 'Isoxazoline + macrocyclic lactone + isoquinoline',
+            route: 'topical',
+            indications: ['fleas', 'ticks', 'ear mites', 'roundworms', 'hookworms', 'tapeworms'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '',
             calculationText: '1.8–5.5 lb: 0.3 mL\n5.6–16.5 lb: 0.9 mL',
             unit: 'mL',
+            constraints: { minAgeWeeks: 8, minWeightLb: 1.8 },
             calc: {
                 type: 'weightTable',
                 rows: [
@@ -181,9 +340,18 @@ const MedsData = (() => {
         {
             id: 'revolution',
             name: 'Revolution',
+            category: 'flea-tick',
+            ingredients: ['selamectin'],
+            drugClass: 'Macrocyclic lactone',
+            route: 'topical',
+            indications: ['fleas', 'ear mites', 'roundworms', 'hookworms', 'heartworm prevention'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '',
             calculationText: '1.1–2.1 lbs: 0.05 mL\n2.2–4.4 lbs: 0.1 mL\n4.5–8.9 lbs: 0.2 mL\n9.0–19.9 lbs: 0.45 mL',
             unit: 'mL',
+            syringe: '0.5',
+            constraints: { minAgeWeeks: 8 },
             calc: {
                 type: 'weightTable',
                 rows: [
@@ -197,9 +365,17 @@ const MedsData = (() => {
         {
             id: 'advantage-ii',
             name: 'Advantage II',
+            category: 'flea-tick',
+            ingredients: ['imidacloprid', 'pyriproxyfen'],
+            drugClass: 'Neonicotinoid + insect growth regulator',
+            route: 'topical',
+            indications: ['fleas', 'lice'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '',
             calculationText: '0–1.9 lbs: 0.05 mL\n2–4.9 lbs: 0.23 mL\n5–9 lbs: 0.4 mL\n>9 lbs: 0.8 mL',
             unit: 'mL',
+            constraints: { minAgeWeeks: 8 },
             calc: {
                 type: 'weightTable',
                 rows: [
@@ -213,9 +389,17 @@ const MedsData = (() => {
         {
             id: 'capstar',
             name: 'Capstar',
+            category: 'flea-tick',
+            ingredients: ['nitenpyram'],
+            drugClass: 'Neonicotinoid',
+            route: 'PO',
+            indications: ['fleas'],
+            species: ['cat'],
+            reviewed: '2026-04-25',
             concentration: '',
             calculationText: '1 tablet for cats 2–25 lb',
             unit: 'tablet',
+            constraints: { minAgeWeeks: 4, minWeightLb: 2 },
             calc: {
                 type: 'weightTable',
                 rows: [
@@ -225,11 +409,160 @@ const MedsData = (() => {
         }
     ];
 
-    const byId = new Map(meds.map(m => [m.id, m]));
+    // Known conflicts between meds, checked by MedInteractions on top of
+    // shared ingredients. severity 'block' locks out the second med's intake
+    // row while the first is selected (lockLabel replaces its option label);
+    // 'warn' only flags the pair.
+    const interactions = [
+        {
+            meds: ['drontal', 'pyrantel'],
+            severity: 'block',
+            reason: 'Drontal tablets already contain pyrantel',
+            lockLabel: 'Included in Drontal'
+        },
+        {
+            meds: ['nexgard-combo', 'revolution'],
+            severity: 'warn',
+            reason: 'Both treat fleas and ear mites'
+        },
+        {
+            meds: ['nexgard-combo', 'advantage-ii'],
+            severity: 'warn',
+            reason: 'Both treat fleas'
+        }
+    ];
+
+    // Catalog releases, oldest first. Add one whenever a dose-affecting
+    // field (DOSING_FIELDS) changes; printed records and history carry the
+    // latest version and a hash of those fields, so a record can be traced
+    // to the table that produced it.
+    const changelog = [
+        {
+            version: 1,
+            date: '2026-04-25',
+            changes: 'Transcribed from meds.csv. Revolution, Advantage II, Drontal and Capstar keep the intake form\'s weight bands rather than the CSV ranges.'
+        },
+        {
+            version: 2,
+            date: '2026-10-18',
+            changes: 'Added dose frequencies, label age/weight minimums, tablet strengths and splitting, syringe sizes and the Cerenia suspension.'
+        },
+        {
+            version: 3,
+            date: '2026-10-18',
+            changes: 'Clavamox doses across its 6.25–10 mg/lb label range.'
+        }
+    ];
+
+    // Fields that change a computed dose (the catalog hash covers these)
+    const DOSING_FIELDS = ['id', 'unit', 'calc', 'strength', 'split', 'suspension', 'syringe', 'frequency', 'constraints'];
+
+    // FNV-1a over the dosing fields: short, stable and cheap enough to
+    // recompute whenever local edits are applied
+    function hashOf(list) {
+        const text = JSON.stringify(
+            list.map(med => DOSING_FIELDS.map(field => med[field])),
+            (key, value) => (value === Infinity ? 'Infinity' : value)
+        );
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    // Med categories, in filter order. Antiparasitics (e.g. ponazuril for
+    // coccidia) count as dewormers; flea/tick covers the combination
+    // topicals even where they also deworm.
+    const categories = [
+        { id: 'dewormer', label: 'Dewormer' },
+        { id: 'antibiotic', label: 'Antibiotic' },
+        { id: 'antiemetic', label: 'Antiemetic' },
+        { id: 'flea-tick', label: 'Flea/tick' },
+        { id: 'fluids', label: 'Fluids' },
+        { id: 'supplement', label: 'Supplement' }
+    ];
+
+    // Route abbreviations as written on charts, with the plain-language
+    // labels explain() shows
+    const routes = {
+        PO: 'By mouth',
+        SQ: 'Under the skin',
+        IM: 'Into the muscle',
+        topical: 'On the skin'
+    };
+
+    // Built-in entries with any locally edited or added meds applied (see
+    // MedCatalog). Lookups below read the merged catalog.
+    let catalog = meds;
+    let byId = new Map(catalog.map(m => [m.id, m]));
+    const builtInById = new Map(meds.map(m => [m.id, m]));
+    const BUILT_IN_HASH = hashOf(meds);
+    let catalogHash = BUILT_IN_HASH;
+
+    /**
+     * Replace the local catalog edits. An override with a built-in id is
+     * laid over that entry (fields it omits keep their built-in values);
+     * any other id is appended as a new med.
+     * @param {Array} overrides - Validated med entries
+     */
+    function applyOverrides(overrides) {
+        const byOverrideId = new Map((overrides || []).map(o => [o.id, o]));
+        catalog = [
+            ...meds.map(m => (byOverrideId.has(m.id) ? { ...m, ...byOverrideId.get(m.id) } : m)),
+            ...(overrides || []).filter(o => !builtInById.has(o.id))
+        ];
+        byId = new Map(catalog.map(m => [m.id, m]));
+        catalogHash = hashOf(catalog);
+    }
+
+    /**
+     * The catalog version doses are computed from
+     * @returns {{version: number, date: string, hash: string, edited: boolean}}
+     *   `edited` when local edits change a dose (the hash differs from the
+     *   built-in catalog's)
+     */
+    function version() {
+        const latest = changelog[changelog.length - 1];
+        return { version: latest.version, date: latest.date, hash: catalogHash, edited: catalogHash !== BUILT_IN_HASH };
+    }
+
+    /**
+     * @param {Object} [stamp] - A version() result, e.g. one saved with a record
+     * @returns {string} e.g. 'Catalog v2 (2026-10-18) #1a2b3c4d', or ''
+     */
+    function versionText(stamp = version()) {
+        if (!stamp) return '';
+        return `Catalog v${stamp.version} (${stamp.date}) #${stamp.hash}${stamp.edited ? ', edited on this device' : ''}`;
+    }
+
+    /**
+     * One-line explanation of a med: class, route and indications
+     * @param {Object} med - MedsData entry
+     * @returns {string} e.g. 'Triazine antiprotozoal · By mouth · for coccidia', or ''
+     */
+    function explain(med) {
+        if (!med) return '';
+        const parts = [med.drugClass, routes[med.route] || med.route];
+        if (med.indications && med.indications.length) parts.push(`for ${med.indications.join(', ')}`);
+        return parts.filter(Boolean).join(' · ');
+    }
 
     return Object.freeze({
-        all: () => meds,
-        byId: (id) => byId.get(id) || null
+        all: () => catalog,
+        categories: () => categories,
+        routes: () => routes,
+        byCategory: (categoryId) => catalog.filter(m => m.category === categoryId),
+        byIngredient: (ingredient) => catalog.filter(m => (m.ingredients || []).includes(String(ingredient).toLowerCase())),
+        explain,
+        byId: (id) => byId.get(id) || null,
+        builtIn: (id) => builtInById.get(id) || null,
+        applyOverrides,
+        version,
+        versionText,
+        changelog: () => changelog,
+        interactions: () => interactions
     });
 })();
 
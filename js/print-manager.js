@@ -34,8 +34,8 @@ class PrintManager {
     }
 
     printSection(section) {
-        // Update date/time before printing
-        this.appState.constructor.updateDateTime();
+        // Update the intake date/time before printing
+        this.appState.constructor.updateDateTime(this.appState.getIntakeDate());
 
         const body = document.body;
         
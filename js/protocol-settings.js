@@ -0,0 +1,234 @@
+/**
+ * Protocol Settings Module - Screen for defining and switching intake protocols
+ *
+ * Reuses the kitten form's medication rows (FormTemplate.generateMedicationRow)
+ * under a fixed editor prefix, so the editor looks and reads like a kitten's
+ * med grid. Edits to a saved protocol are stored as they happen; the
+ * built-in Standard protocol is shown read-only.
+ *
+ * The panel also holds the device's syringe setting (see Syringes), which
+ * applies to every protocol.
+ */
+
+class ProtocolSettings {
+    /**
+     * @param {ProtocolStore} protocolStore - Saved protocols
+     * @param {Function} [onSyringeChange] - Called after the syringe setting changes
+     */
+    constructor(protocolStore, onSyringeChange = () => {}) {
+        this.store = protocolStore;
+        this.onSyringeChange = onSyringeChange;
+        this.editorId = 'protocol';
+        this.bindEvents();
+    }
+
+    get panel() {
+        return document.getElementById(Constants.ELEMENTS.PROTOCOL_SETTINGS);
+    }
+
+    // ==========================================
+    // Open / Close
+    // ==========================================
+
+    open() {
+        const panel = this.panel;
+        if (!panel) return;
+        this.render();
+        panel.hidden = false;
+        document.body.classList.add('protocol-settings-open');
+        window.scrollTo({ top: 0 });
+    }
+
+    close() {
+        const panel = this.panel;
+        if (!panel) return;
+        panel.hidden = true;
+        document.body.classList.remove('protocol-settings-open');
+    }
+
+    // ==========================================
+    // Rendering
+    // ==========================================
+
+    /**
+     * Render the protocol picker and the active protocol's rows
+     */
+    render() {
+        const active = this.store.getActive();
+
+        const select = document.getElementById(Constants.ELEMENTS.PROTOCOL_SELECT);
+        select.innerHTML = this.store.list().map(p => `
+            <option value="${AppState.escapeHtml(p.id)}"${p.id === active.id ? ' selected' : ''}>${AppState.escapeHtml(p.name)}</option>
+        `).join('');
+
+        const nameInput = document.getElementById(Constants.ELEMENTS.PROTOCOL_NAME);
+        nameInput.value = active.name;
+        nameInput.disabled = !!active.builtIn;
+
+        const rows = document.getElementById(Constants.ELEMENTS.PROTOCOL_ROWS);
+        rows.innerHTML = IntakeProtocol.all()
+            .map(row => FormTemplate.generateMedicationRow(this.editorId, row, active.settings[row.key]))
+            .join('');
+        rows.querySelectorAll('input').forEach(input => {
+            input.disabled = !!active.builtIn;
+        });
+        this.updateRowStates();
+
+        const deleteBtn = this.panel.querySelector('[data-protocol-action="delete"]');
+        if (deleteBtn) deleteBtn.disabled = !!active.builtIn;
+
+        this.renderSyringeSetting();
+    }
+
+    /**
+     * Fill the syringe setting with Syringes.CHOICES, selecting the saved one
+     */
+    renderSyringeSetting() {
+        const select = document.getElementById(Constants.ELEMENTS.SYRINGE_SELECT);
+        if (!select) return;
+        const preferred = Syringes.loadPreferred();
+        select.innerHTML = Syringes.CHOICES.map(c => `
+            <option value="${c.value}"${c.value === preferred ? ' selected' : ''}>${AppState.escapeHtml(c.label)}</option>
+        `).join('');
+    }
+
+    /**
+     * Dim the choices of rows whose toggle is off and relabel variant rows,
+     * like the kitten form does
+     */
+    updateRowStates() {
+        const settings = this.readSettings();
+        IntakeProtocol.all().forEach(row => {
+            const rowEl = document.getElementById(Constants.ID.medRow(this.editorId, row.key));
+            if (rowEl) {
+                rowEl.classList.toggle(Constants.CSS.DISABLED, !settings[row.key].enabled);
+            }
+
+            const label = document.getElementById(`${this.editorId}-${row.key}-label`);
+            if (label && row.variants) {
+                label.textContent = IntakeProtocol.variantOption(row, settings[row.key].variant).rowLabel || row.label;
+            }
+        });
+    }
+
+    /**
+     * Read the editor's rows back into a settings object
+     * @returns {Object} Settings keyed by IntakeProtocol row
+     */
+    readSettings() {
+        const checkedValue = (name) => {
+            const checked = document.querySelector(`input[name="${name}"]:checked`);
+            return checked ? checked.value : undefined;
+        };
+
+        const settings = {};
+        IntakeProtocol.all().forEach(row => {
+            const toggle = document.getElementById(Constants.ID.medEnabled(this.editorId, row.key));
+            settings[row.key] = {
+                enabled: toggle ? toggle.checked : row.defaultEnabled,
+                status: checkedValue(Constants.ID.medStatusName(this.editorId, row.key))
+            };
+            if (row.variants) {
+                settings[row.key].variant = checkedValue(Constants.ID.variantName(this.editorId, row.variants.name));
+            }
+            if (row.duration) {
+                settings[row.key].days = checkedValue(Constants.ID.durationName(this.editorId, row.key));
+            }
+        });
+        return IntakeProtocol.normalizeSettings(settings);
+    }
+
+    // ==========================================
+    // Events
+    // ==========================================
+
+    bindEvents() {
+        const panel = this.panel;
+        if (!panel) return;
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-protocol-action]');
+            if (!button) return;
+
+            switch (button.dataset.protocolAction) {
+                case 'new':
+                    this.createProtocol();
+                    break;
+                case 'delete':
+                    this.deleteActiveProtocol();
+                    break;
+                case 'close':
+                    this.close();
+                    break;
+            }
+        });
+
+        document.getElementById(Constants.ELEMENTS.PROTOCOL_SELECT).addEventListener('change', (e) => {
+            this.store.setActive(e.target.value);
+            this.render();
+        });
+
+        document.getElementById(Constants.ELEMENTS.PROTOCOL_NAME).addEventListener('input', () => {
+            this.saveActiveProtocol();
+            const option = document.querySelector(`#${Constants.ELEMENTS.PROTOCOL_SELECT} option:checked`);
+            if (option) option.textContent = this.store.getActive().name;
+        });
+
+        document.getElementById(Constants.ELEMENTS.PROTOCOL_ROWS).addEventListener('change', () => {
+            this.updateRowStates();
+            this.saveActiveProtocol();
+        });
+
+        const syringeSelect = document.getElementById(Constants.ELEMENTS.SYRINGE_SELECT);
+        if (syringeSelect) {
+            syringeSelect.addEventListener('change', () => {
+                Syringes.savePreferred(syringeSelect.value);
+                this.onSyringeChange();
+            });
+        }
+    }
+
+    /**
+     * Start a new protocol from the one currently shown and make it active
+     */
+    createProtocol() {
+        const source = this.store.getActive();
+        const created = this.store.save({
+            name: source.builtIn ? 'New protocol' : `${source.name} copy`,
+            settings: this.readSettings()
+        });
+        this.store.setActive(created.id);
+        this.render();
+
+        const nameInput = document.getElementById(Constants.ELEMENTS.PROTOCOL_NAME);
+        nameInput.focus();
+        nameInput.select();
+    }
+
+    /**
+     * Store the editor's current values under the active protocol
+     */
+    saveActiveProtocol() {
+        const active = this.store.getActive();
+        if (active.builtIn) return;
+
+        this.store.save({
+            id: active.id,
+            name: document.getElementById(Constants.ELEMENTS.PROTOCOL_NAME).value,
+            settings: this.readSettings()
+        });
+    }
+
+    deleteActiveProtocol() {
+        const active = this.store.getActive();
+        if (active.builtIn) return;
+
+        if (confirm(`Delete the "${active.name}" protocol?`)) {
+            this.store.remove(active.id);
+            this.render();
+        }
+    }
+}
+
+// Export to global namespace
+window.ProtocolSettings = ProtocolSettings;
@@ -0,0 +1,171 @@
+/**
+ * Protocol Store - Named intake protocols, persisted in localStorage
+ *
+ * A protocol is a named set of starting values for the standard intake med
+ * rows (see IntakeProtocol.defaultSettings): which meds are on, their
+ * status, product variant and regimen days. New kittens added via
+ * FormManager.addKitten start from the active protocol.
+ *
+ * The built-in "Standard" protocol mirrors the IntakeProtocol row defaults
+ * and cannot be edited or deleted. Saved data:
+ *   { activeId, protocols: [{ id, name, settings }] }
+ */
+
+class ProtocolStore {
+    constructor() {
+        this.storageKey = Constants.STORAGE.PROTOCOLS;
+        this.data = this.load();
+    }
+
+    // ==========================================
+    // Persistence
+    // ==========================================
+
+    /**
+     * Read saved protocols, dropping anything malformed
+     * @returns {{activeId: string, protocols: Array}}
+     */
+    load() {
+        const empty = { activeId: Constants.STANDARD_PROTOCOL.ID, protocols: [] };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!saved || !Array.isArray(saved.protocols)) return empty;
+
+            const protocols = saved.protocols
+                .filter(p => p && typeof p.id === 'string' && p.id !== Constants.STANDARD_PROTOCOL.ID)
+                .map(p => ({
+                    id: p.id,
+                    name: String(p.name || '').trim() || 'Untitled',
+                    settings: IntakeProtocol.normalizeSettings(p.settings)
+                }));
+            const activeId = protocols.some(p => p.id === saved.activeId)
+                ? saved.activeId
+                : Constants.STANDARD_PROTOCOL.ID;
+            return { activeId, protocols };
+        } catch (e) {
+            console.warn('Failed to load intake protocols:', e);
+            return empty;
+        }
+    }
+
+    /**
+     * Write protocols back to localStorage
+     * @returns {boolean} Whether the write succeeded
+     */
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+            return true;
+        } catch (e) {
+            console.warn('Failed to save intake protocols:', e);
+            return false;
+        }
+    }
+
+    // ==========================================
+    // Queries
+    // ==========================================
+
+    /**
+     * The built-in protocol, rebuilt from IntakeProtocol each time
+     * @returns {{id: string, name: string, settings: Object, builtIn: boolean}}
+     */
+    static standard() {
+        return {
+            id: Constants.STANDARD_PROTOCOL.ID,
+            name: Constants.STANDARD_PROTOCOL.NAME,
+            settings: IntakeProtocol.defaultSettings(),
+            builtIn: true
+        };
+    }
+
+    /**
+     * All protocols, built-in first
+     * @returns {Array}
+     */
+    list() {
+        return [ProtocolStore.standard(), ...this.data.protocols];
+    }
+
+    /**
+     * @param {string} id - Protocol ID
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.list().find(p => p.id === id) || null;
+    }
+
+    getActiveId() {
+        return this.data.activeId;
+    }
+
+    getActive() {
+        return this.get(this.data.activeId) || ProtocolStore.standard();
+    }
+
+    /**
+     * Starting med values for a new kitten
+     * @returns {Object} Settings keyed by IntakeProtocol row
+     */
+    getActiveSettings() {
+        return this.getActive().settings;
+    }
+
+    // ==========================================
+    // Mutations
+    // ==========================================
+
+    /**
+     * Make a protocol the default for new kittens
+     * @param {string} id - Protocol ID
+     */
+    setActive(id) {
+        if (!this.get(id)) return false;
+        this.data.activeId = id;
+        return this.persist();
+    }
+
+    /**
+     * Create a protocol, or update one with a matching id
+     * @param {{id?: string, name: string, settings: Object}} protocol
+     * @returns {Object} The saved protocol
+     */
+    save(protocol) {
+        if (protocol.id === Constants.STANDARD_PROTOCOL.ID) {
+            throw new Error('The standard protocol cannot be modified');
+        }
+
+        const saved = {
+            id: protocol.id || `protocol-${Date.now().toString(36)}`,
+            name: String(protocol.name || '').trim() || 'Untitled',
+            settings: IntakeProtocol.normalizeSettings(protocol.settings)
+        };
+
+        const index = this.data.protocols.findIndex(p => p.id === saved.id);
+        if (index >= 0) {
+            this.data.protocols[index] = saved;
+        } else {
+            this.data.protocols.push(saved);
+        }
+        this.persist();
+        return saved;
+    }
+
+    /**
+     * Delete a saved protocol. If it was active, Standard becomes active.
+     * @param {string} id - Protocol ID
+     */
+    remove(id) {
+        const before = this.data.protocols.length;
+        this.data.protocols = this.data.protocols.filter(p => p.id !== id);
+        if (this.data.protocols.length === before) return false;
+
+        if (this.data.activeId === id) {
+            this.data.activeId = Constants.STANDARD_PROTOCOL.ID;
+        }
+        return this.persist();
+    }
+}
+
+// Export to global namespace
+window.ProtocolStore = ProtocolStore;
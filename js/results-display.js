@@ -82,57 +82,49 @@ class ResultsDisplay {
      * Prepare dispense summary data from kittens
      * Pure function - no DOM access
      * @param {Array} kittens - Array of kitten objects with doses
-     * @returns {Object} Totals object with medication amounts
+     * @returns {Object} Totals keyed by MedsData id:
+     *   { name, unit, total, counts } — `total` is a number (tablets: dose
+     *   count) or [min, max] for ranged meds; `counts` tallies doses whose
+     *   value can't be summed, keyed by display string
      */
     prepareDispenseSummaryData(kittens) {
-        const totals = {
-            panacur: 0,
-            ponazuril: 0,
-            revolution: 0,
-            advantage: 0,
-            drontal: 0,   // tablet dose count
-            droncit: 0,   // mL
-            nexgard: 0,   // mL
-            capstar: 0,
-            pyrantel: 0
-        };
-
-        const outOfRangeString = Constants.MESSAGES.OUT_OF_RANGE;
+        const totals = {};
 
         kittens.forEach(kitten => {
             const remaining = this.scheduleManager.calculateRemainingMedications(kitten);
+            const items = [...Constants.MEDICATIONS.map(med => remaining[med]), ...remaining.added];
 
-            // Add to totals
-            totals.panacur += remaining.panacur.total;
-            totals.ponazuril += remaining.ponazuril.total;
-
-            if (kitten.topical === Constants.TOPICAL.REVOLUTION && kitten.doses.topical !== outOfRangeString) {
-                totals.revolution += remaining.topical.amount;
-            }
-            if (kitten.topical === Constants.TOPICAL.ADVANTAGE && kitten.doses.topical !== outOfRangeString) {
-                totals.advantage += remaining.topical.amount;
-            }
-            if (kitten.doses.drontal !== outOfRangeString) {
-                if (kitten.drontalType === 'drontal') {
-                    totals.drontal += remaining.drontal.amount;
-                } else {
-                    totals.droncit += remaining.drontal.amount * kitten.doses.drontal;
-                }
-            }
-            if (remaining.nexgard) {
-                totals.nexgard += remaining.nexgard.amount;
-            }
-            if (remaining.capstar) {
-                totals.capstar += remaining.capstar.amount;
-            }
-            if (remaining.pyrantel) {
-                totals.pyrantel += remaining.pyrantel.amount;
-            }
+            items.forEach(item => {
+                if (item.doses > 0) this._addToTotal(totals, item);
+            });
         });
 
         return totals;
     }
 
+    /**
+     * Accumulate a remaining-medication entry into the running totals
+     * @param {Object} totals - Totals keyed by MedsData id
+     * @param {Object} item - Entry from ScheduleManager.calculateRemainingMedications
+     */
+    _addToTotal(totals, item) {
+        const entry = totals[item.medId] || (totals[item.medId] = {
+            name: item.name,
+            unit: item.unit,
+            total: null,
+            counts: {}
+        });
+
+        if (typeof item.amount === 'number') {
+            entry.total = (entry.total || 0) + item.amount;
+        } else if (Array.isArray(item.amount)) {
+            const [lo, hi] = entry.total || [0, 0];
+            entry.total = [lo + item.amount[0], hi + item.amount[1]];
+        } else {
+            entry.counts[item.display] = (entry.counts[item.display] || 0) + item.doses;
+        }
+    }
+
     // ==========================================
     // Dispense Summary - HTML Rendering
     // ==========================================
@@ -144,95 +136,50 @@ class ResultsDisplay {
      * @returns {string} HTML string
      */
     renderDispenseSummaryHtml(totals) {
-        const items = [];
-
-        // Render in Constants.MEDICATIONS order (matches form)
-        Constants.MEDICATIONS.forEach(med => {
-            if (med === 'flea') {
-                // Flea has two sub-types: revolution and advantage
-                if (totals.revolution > 0) {
-                    items.push(`
-                        <div class="total-item">
-                            <span>Revolution</span>
-                            <strong>${AppState.formatNumber(totals.revolution, 2)} mL</strong>
-                        </div>
-                    `);
-                }
-                if (totals.advantage > 0) {
-                    items.push(`
-                        <div class="total-item">
-                            <span>Advantage II</span>
-                            <strong>${AppState.formatNumber(totals.advantage, 2)} mL</strong>
-                        </div>
-                    `);
-                }
-            } else if (med === 'capstar') {
-                if (totals.capstar > 0) {
-                    items.push(`
+        // Protocol meds first, in form order (variants in option order), then
+        // catalog meds added via the picker in the order they were first seen
+        const protocolIds = IntakeProtocol.all().flatMap(row => IntakeProtocol.catalogIdsFor(row));
+        const order = [
+            ...protocolIds.filter(id => totals[id]),
+            ...Object.keys(totals).filter(id => !protocolIds.includes(id))
+        ];
+
+        return order
+            .filter(id => this._hasDispenseAmount(totals[id]))
+            .map(id => `
                         <div class="total-item">
-                            <span>Capstar</span>
-                            <strong>${totals.capstar} tablet(s)</strong>
+                            <span>${AppState.escapeHtml(totals[id].name)}</span>
+                            <strong>${this._formatTotal(totals[id])}</strong>
                         </div>
-                    `);
-                }
-            } else if (med === 'panacur') {
-                if (totals.panacur > 0) {
-                    items.push(`
-                        <div class="total-item">
-                            <span>Panacur</span>
-                            <strong>${AppState.formatNumber(totals.panacur, 2)} mL</strong>
-                        </div>
-                    `);
-                }
-            } else if (med === 'ponazuril') {
-                if (totals.ponazuril > 0) {
-                    items.push(`
-                        <div class="total-item">
-                            <span>Ponazuril</span>
-                            <strong>${AppState.formatNumber(totals.ponazuril, 2)} mL</strong>
-                        </div>
-                    `);
-                }
-            } else if (med === 'drontal') {
-                // Droncit/Drontal split by selected form per kitten
-                if (totals.droncit > 0) {
-                    items.push(`
-                        <div class="total-item">
-                            <span>Droncit</span>
-                            <strong>${AppState.formatNumber(totals.droncit, 2)} mL</strong>
-                        </div>
-                    `);
-                }
-                if (totals.drontal > 0) {
-                    items.push(`
-                        <div class="total-item">
-                            <span>Drontal</span>
-                            <strong>${totals.drontal} tablet(s)</strong>
-                        </div>
-                    `);
-                }
-            } else if (med === 'nexgard') {
-                if (totals.nexgard > 0) {
-                    items.push(`
-                        <div class="total-item">
-                            <span>NexGard Combo</span>
-                            <strong>${AppState.formatNumber(totals.nexgard, 2)} mL</strong>
-                        </div>
-                    `);
-                }
-            } else if (med === 'pyrantel') {
-                if (totals.pyrantel > 0) {
-                    items.push(`
-                        <div class="total-item">
-                            <span>Pyrantel</span>
-                            <strong>${AppState.formatNumber(totals.pyrantel, 2)} mL</strong>
-                        </div>
-                    `);
-                }
-            }
-        });
+                    `)
+            .join('');
+    }
+
+    /**
+     * Whether a totals entry has anything to dispense
+     */
+    _hasDispenseAmount(entry) {
+        if (Object.keys(entry.counts).length > 0) return true;
+        if (Array.isArray(entry.total)) return entry.total[1] > 0;
+        return entry.total > 0;
+    }
 
-        return items.join('');
+    /**
+     * Format a dispense total
+     * @param {Object} entry - Entry from prepareDispenseSummaryData
+     * @returns {string} Display string
+     */
+    _formatTotal(entry) {
+        const parts = [];
+        if (entry.unit === 'tablet' && typeof entry.total === 'number') {
+            parts.push(`${entry.total} tablet(s)`);
+        } else if (entry.total !== null) {
+            parts.push(DoseCalculator.formatDose(entry.total, entry.unit));
+        }
+        Object.entries(entry.counts).forEach(([display, count]) => {
+            parts.push(count > 1 ? `${count} × ${display}` : display);
+        });
+        return parts.join(' + ');
     }
 
     // ==========================================
@@ -288,7 +235,9 @@ class ResultsDisplay {
                 const medications = Object.entries(schedule.medications).map(([medType, medData]) => ({
                     type: medType,
                     name: this._getMedicationDisplayName(medType, medData),
-                    dose: this._getMedicationDoseDisplay(medType, medData)
+                    dose: this._getMedicationDoseDisplay(medType, medData),
+                    syringe: medData.syringe ? `${medData.syringe.label} syringe` : '',
+                    frequency: medData.frequency || ''
                 }));
 
                 const sexDisplay = kitten.sex === 'female' ? 'F' : kitten.sex === 'male' ? 'M' : '';
@@ -301,6 +250,7 @@ class ResultsDisplay {
                     microchip: kitten.microchip || '',
                     weightGrams: kitten.weightGrams,
                     weightLb: kitten.weightLb,
+                    interactions: MedInteractions.check(MedInteractions.selectedMedIds(kitten)).map(finding => MedInteractions.describe(finding)),
                     medications,
                     hasMedications: medications.length > 0
                 };
@@ -313,12 +263,16 @@ class ResultsDisplay {
             displayDate: AppState.formatDateForDisplay(day),
             cells: kittenHeaders.flatMap(kitten => {
                 const schedule = schedules.find(s => s.kittenId === kitten.id);
-                return Object.entries(schedule.medications).map(([medType, medData], index) => ({
-                    kittenId: kitten.id,
-                    medType,
-                    hasCheckbox: medData.days.includes(day),
-                    isFirstCol: index === 0
-                }));
+                return Object.entries(schedule.medications).map(([medType, medData], index) => {
+                    const slots = medData.doses.filter(d => d.date === day).map(d => d.slot);
+                    return {
+                        kittenId: kitten.id,
+                        medType,
+                        hasCheckbox: slots.length > 0,
+                        slots,
+                        isFirstCol: index === 0
+                    };
+                });
             })
         }));
 
@@ -331,47 +285,17 @@ class ResultsDisplay {
     }
 
     /**
-     * Get display name for medication type
+     * Get display name for a schedule entry (resolved to the selected product)
      */
     _getMedicationDisplayName(medType, medData) {
-        if (medType === 'topical') {
-            return medData.type === 'revolution' ? 'Revolution' : 'Advantage II';
-        }
-        if (medType === 'drontal') {
-            return medData.type === 'drontal' ? 'Drontal' : 'Droncit';
-        }
-        const names = {
-            panacur: 'Panacur',
-            ponazuril: 'Ponazuril',
-            nexgard: 'NexGard Combo',
-            capstar: 'Capstar',
-            pyrantel: 'Pyrantel'
-        };
-        return names[medType] || medType;
+        return medData.name || medType;
     }
 
     /**
-     * Get dose display string for medication
+     * Get dose display string for a schedule entry
      */
     _getMedicationDoseDisplay(medType, medData) {
-        if (medType === 'pyrantel' || medType === 'nexgard') {
-            return `${AppState.formatNumber(medData.dose, 2)} mL`;
-        }
-        if (medType === 'panacur' || medType === 'ponazuril') {
-            return `${AppState.formatNumber(medData.dose, 2)} mL`;
-        }
-        if (medType === 'drontal') {
-            return medData.type === 'drontal'
-                ? `${medData.dose} tablet(s)`
-                : `${AppState.formatNumber(medData.dose, 2)} mL`;
-        }
-        if (medType === 'capstar') {
-            return medData.dose;
-        }
-        if (medType === 'topical') {
-            return `${AppState.formatNumber(medData.dose, 2)} mL`;
-        }
-        return '';
+        return medData.doseDisplay || '';
     }
 
     /**
@@ -383,7 +307,9 @@ class ResultsDisplay {
         kittens.forEach(kitten => {
             const schedule = schedules.find(s => s.kittenId === kitten.id);
             if (!schedule || !schedule.medications.drontal) return;
-            schedule.medications.drontal.days = [allDays[0]];
+            const drontal = schedule.medications.drontal;
+            drontal.doses = drontal.doses.map(d => ({ ...d, date: allDays[0] }));
+            drontal.days = [allDays[0]];
         });
     }
 
@@ -465,14 +391,19 @@ class ResultsDisplay {
             kittenHeader.colSpan = kitten.medications.length;
             kittenHeader.className = 'kitten-header';
             const mcHtml = kitten.microchip ? `<br><small class="microchip-display">MC ${kitten.microchip}</small>` : '';
-            kittenHeader.innerHTML = `<strong>${kitten.name}</strong> <span>${AppState.formatNumber(kitten.weightGrams)} g (${AppState.formatNumber(kitten.weightLb, 2)} lb)</span>${mcHtml}`;
+            const alertsHtml = (kitten.interactions || [])
+                .map(text => `<br><small class="kitten-alert">⚠ ${AppState.escapeHtml(text)}</small>`)
+                .join('');
+            kittenHeader.innerHTML = `<strong>${kitten.name}</strong> <span>${AppState.formatNumber(kitten.weightGrams)} g (${AppState.formatNumber(kitten.weightLb, 2)} lb)</span>${mcHtml}${alertsHtml}`;
             headerRow1.appendChild(kittenHeader);
 
             // Medication sub-headers
             kitten.medications.forEach((med, index) => {
                 const medHeader = document.createElement('th');
                 medHeader.className = index === 0 ? 'med-header first-kitten-col' : 'med-header';
-                medHeader.innerHTML = `${med.name}<br><small>${med.dose}</small>`;
+                const frequency = med.frequency ? ` ${med.frequency}` : '';
+                const syringe = med.syringe ? `<br><small class="checklist-syringe">${med.syringe}</small>` : '';
+                medHeader.innerHTML = `${AppState.escapeHtml(med.name)}<br><small>${med.dose}${frequency}</small>${syringe}`;
                 headerRow2.appendChild(medHeader);
             });
         });
@@ -500,10 +431,24 @@ class ResultsDisplay {
                 }
 
                 if (cell.hasCheckbox) {
-                    const checkbox = document.createElement('input');
-                    checkbox.type = 'checkbox';
-                    checkbox.name = `${cell.kittenId}-${cell.medType}-${row.date}`;
-                    td.appendChild(checkbox);
+                    // One checkbox per dose slot; once-daily doses keep the
+                    // plain unlabelled checkbox
+                    cell.slots.forEach(slot => {
+                        const checkbox = document.createElement('input');
+                        checkbox.type = 'checkbox';
+                        const label = ScheduleManager.slotLabel(slot);
+                        if (!label) {
+                            checkbox.name = `${cell.kittenId}-${cell.medType}-${row.date}`;
+                            td.appendChild(checkbox);
+                            return;
+                        }
+                        checkbox.name = `${cell.kittenId}-${cell.medType}-${row.date}-${slot}`;
+                        const slotLabel = document.createElement('label');
+                        slotLabel.className = 'dose-slot';
+                        slotLabel.appendChild(checkbox);
+                        slotLabel.appendChild(document.createTextNode(label));
+                        td.appendChild(slotLabel);
+                    });
                 } else {
                     td.innerHTML = '—';
                 }
@@ -536,9 +481,13 @@ class ResultsDisplay {
         // Step 2: Render table
         const table = this.renderFosterChecklistTable(checklistData);
 
-        // Step 3: Update DOM
+        // Step 3: Update DOM, stamped with the dosing table it came from
         container.innerHTML = '';
         container.appendChild(table);
+        const stamp = document.createElement('p');
+        stamp.className = 'catalog-stamp';
+        stamp.textContent = MedsData.versionText();
+        container.appendChild(stamp);
     }
 
     // ==========================================
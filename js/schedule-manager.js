@@ -8,6 +8,16 @@ class ScheduleManager {
         this.appState = appState;
     }
 
+    /**
+     * Build each kitten's foster schedule.
+     * @param {Array} kittens - Kittens with resolved doses (DoseCalculator.addDosesToKitten)
+     * @returns {Array} [{ kittenId, kittenName, medications }] where each
+     *   medication is { medId, name, dose, doseDisplay, syringe, frequency,
+     *   slots, doses, days }: `syringe` is the Syringes.fit() result for
+     *   mL doses (or null), `slots` is a full day's dose slots
+     *   (Constants.DOSE_SLOTS), `doses` every scheduled { date, slot } and
+     *   `days` the distinct dates among them.
+     */
     generateSchedule(kittens) {
         const schedules = [];
 
@@ -18,95 +28,45 @@ class ScheduleManager {
                 medications: {}
             };
 
-            // Medications start tomorrow if given at intake, today if not given
-            const givenStartOffset = 1;  // Start tomorrow if given at intake
-            const notGivenStartOffset = 0;  // Start today if not given at intake
+            // Regimens start on intake day; a dose given at intake is dropped
+            // from the front of the slots (see generateDoseSlots)
+            const notGivenStartOffset = 0;
 
-            // Helper to check if medication is skipped (disabled)
             const medStatus = kitten.medicationStatus || {};
-            const isSkipped = (med) => medStatus[med] === Constants.STATUS.SKIP;
-            const outOfRangeString = this.appState.getOutOfRangeString();
 
-            // Build medications in Constants.MEDICATIONS order so iteration
-            // order matches the form everywhere (Object.entries preserves insertion order)
-            Constants.MEDICATIONS.forEach(med => {
-                if (med === 'flea') {
-                    // Topical schedule logic
-                    if (kitten.topical !== 'none' && kitten.doses.topical !== outOfRangeString && kitten.doses.topical > 0) {
-                        const fleaStatus = kitten.medicationStatus ? kitten.medicationStatus.flea : (kitten.fleaGiven ? 'done' : 'todo');
+            // Build medications in IntakeProtocol order so iteration order
+            // matches the form everywhere (Object.entries preserves insertion order)
+            IntakeProtocol.all().forEach(row => {
+                const status = medStatus[row.key];
+                const dose = kitten.doses[row.key];
+                if (status === Constants.STATUS.SKIP || !dose || dose.isOutOfRange) return;
+
+                const med = MedsData.byId(dose.medId);
+                const totalDays = row.duration ? kitten[row.duration.field] : 1;
+                const startOffset = status === Constants.STATUS.DELAY ? row.delayDays : notGivenStartOffset;
+                // The first dose may have been given at intake
+                const given = status === Constants.STATUS.DONE ? 1 : 0;
+
+                const doses = this.generateDoseSlots(totalDays, MedCalculator.dosesPerDay(med), startOffset, given);
+                if (doses.length === 0) return;
+
+                schedule.medications[row.key] = this._scheduleEntry(dose.medId, dose.name, dose.value, dose.display, med, doses, dose.syringe);
+            });
 
-                        if (fleaStatus === 'delay') {
-                            const fleaDelayOffset = 2;
-                            schedule.medications.topical = {
-                                type: kitten.topical,
-                                dose: kitten.doses.topical,
-                                days: this.generateDaysFromToday(1, fleaDelayOffset)
-                            };
-                        } else if (fleaStatus === 'todo') {
-                            schedule.medications.topical = {
-                                type: kitten.topical,
-                                dose: kitten.doses.topical,
-                                days: this.generateDaysFromToday(1, notGivenStartOffset)
-                            };
-                        }
-                        // If fleaStatus === 'done' or 'skip', no schedule entry
-                    }
-                } else if (med === 'panacur') {
-                    if (!isSkipped('panacur')) {
-                        const panacurRemainingDays = kitten.day1Given.panacur ?
-                            (kitten.panacurDays - 1) : kitten.panacurDays;
-                        const panacurOffset = kitten.day1Given.panacur ? givenStartOffset : notGivenStartOffset;
+            // Catalog meds added via the picker: their course (one day unless
+            // days are picked for a repeat-dose med) from today, less the
+            // intake dose if already given
+            (kitten.addedMeds || []).forEach(({ medId, status, days = 1 }) => {
+                const dose = kitten.doses.added && kitten.doses.added[medId];
+                // A fluid plan sets its own doses per day
+                const med = DoseCalculator.catalogMed(medId, dose);
+                if (!med || !dose || dose.isOutOfRange) return;
 
-                        if (panacurRemainingDays > 0) {
-                            schedule.medications.panacur = {
-                                dose: kitten.doses.panacur,
-                                days: this.generateDaysFromToday(panacurRemainingDays, panacurOffset)
-                            };
-                        }
-                    }
-                } else if (med === 'ponazuril') {
-                    if (!isSkipped('ponazuril')) {
-                        const ponazurilRemainingDays = kitten.day1Given.ponazuril ?
-                            (kitten.ponazurilDays - 1) : kitten.ponazurilDays;
-                        const ponazurilOffset = kitten.day1Given.ponazuril ? givenStartOffset : notGivenStartOffset;
+                const given = status === Constants.STATUS.DONE ? 1 : 0;
+                const doses = this.generateDoseSlots(days, MedCalculator.dosesPerDay(med), notGivenStartOffset, given);
+                if (doses.length === 0) return;
 
-                        if (ponazurilRemainingDays > 0) {
-                            schedule.medications.ponazuril = {
-                                dose: kitten.doses.ponazuril,
-                                days: this.generateDaysFromToday(ponazurilRemainingDays, ponazurilOffset)
-                            };
-                        }
-                    }
-                } else if (med === 'drontal') {
-                    if (!isSkipped('drontal') && !kitten.day1Given.drontal && kitten.doses.drontal !== outOfRangeString) {
-                        schedule.medications.drontal = {
-                            type: kitten.drontalType || 'droncit',
-                            dose: kitten.doses.drontal,
-                            days: this.generateDaysFromToday(1, notGivenStartOffset)
-                        };
-                    }
-                } else if (med === 'nexgard') {
-                    if (!isSkipped('nexgard') && !kitten.day1Given.nexgard && kitten.doses.nexgard !== outOfRangeString) {
-                        schedule.medications.nexgard = {
-                            dose: kitten.doses.nexgard,
-                            days: this.generateDaysFromToday(1, notGivenStartOffset)
-                        };
-                    }
-                } else if (med === 'pyrantel') {
-                    if (!isSkipped('pyrantel') && !kitten.day1Given.pyrantel) {
-                        schedule.medications.pyrantel = {
-                            dose: kitten.doses.pyrantel,
-                            days: this.generateDaysFromToday(1, notGivenStartOffset)
-                        };
-                    }
-                } else if (med === 'capstar') {
-                    if (!isSkipped('capstar') && kitten.day1Given && kitten.day1Given.capstar === false) {
-                        schedule.medications.capstar = {
-                            dose: '1 tablet',
-                            days: this.generateDaysFromToday(1, notGivenStartOffset)
-                        };
-                    }
-                }
+                schedule.medications[medId] = this._scheduleEntry(medId, med.name, dose.value, dose.displayValue, med, doses, dose.syringe);
             });
 
             schedules.push(schedule);
@@ -115,8 +75,64 @@ class ScheduleManager {
         return schedules;
     }
 
+    _scheduleEntry(medId, name, value, display, med, doses, syringe = null) {
+        const perDay = MedCalculator.dosesPerDay(med);
+        return {
+            medId,
+            name,
+            dose: value,
+            doseDisplay: display,
+            syringe: syringe || null,
+            frequency: perDay > 1 ? MedCalculator.frequencyText(med) : '',
+            slots: ScheduleManager.slotsForDay(perDay),
+            doses,
+            days: [...new Set(doses.map(d => d.date))]
+        };
+    }
+
+    /**
+     * Dose slots for a given number of doses per day
+     * @param {number} dosesPerDay
+     * @returns {Array<string>} Slot keys, in order through the day
+     */
+    static slotsForDay(dosesPerDay) {
+        return Constants.DOSE_SLOTS[dosesPerDay]
+            || Array.from({ length: dosesPerDay }, (_, i) => `dose-${i + 1}`);
+    }
+
+    /**
+     * Checklist label for a dose slot ('' for a once-daily dose)
+     * @param {string} slot - Slot key
+     */
+    static slotLabel(slot) {
+        if (slot in Constants.DOSE_SLOT_LABELS) return Constants.DOSE_SLOT_LABELS[slot];
+        return `#${slot.replace('dose-', '')}`;
+    }
+
+    /**
+     * Lay out a regimen's doses over consecutive days
+     * @param {number} numDays - Days in the regimen
+     * @param {number} dosesPerDay - Doses each day
+     * @param {number} startOffset - Days from today of the regimen's first day
+     * @param {number} [alreadyGiven=0] - Leading doses given at intake (skipped)
+     * @returns {Array<{date: string, slot: string}>}
+     */
+    generateDoseSlots(numDays, dosesPerDay, startOffset = 0, alreadyGiven = 0) {
+        const slots = ScheduleManager.slotsForDay(dosesPerDay);
+        const doses = this.generateDaysFromToday(numDays, startOffset)
+            .flatMap(date => slots.map(slot => ({ date, slot })));
+        return doses.slice(alreadyGiven);
+    }
+
+    /**
+     * Consecutive schedule dates counted from the intake date ("today" in
+     * the checklist is intake day, which may be backdated)
+     * @param {number} numDays - Number of dates
+     * @param {number} [startOffset=0] - Days after intake of the first date
+     * @returns {Array<string>} Dates formatted by AppState.formatDate
+     */
     generateDaysFromToday(numDays, startOffset = 0) {
-        const today = new Date();
+        const today = this.appState.getIntakeDate();
         const days = [];
         
         for (let i = 0; i < numDays; i++) {
@@ -147,72 +163,78 @@ class ScheduleManager {
     /**
      * Calculate remaining medication amounts for foster care
      * @param {object} kitten - Kitten object with medication info
-     * @returns {object} Object containing remaining amounts for each medication
+     * @returns {object} One entry per IntakeProtocol row key, plus `added`
+     *   (an array for catalog meds added via the picker). Each entry is
+     *   { medId, name, unit, display, doses, amount } where `doses` is the
+     *   number of doses left to give and `amount` the total to dispense
+     *   (in the med's unit; tablets count doses; null if not summable).
      */
     calculateRemainingMedications(kitten) {
-        // Helper to check if medication is skipped (disabled)
         const medStatus = kitten.medicationStatus || {};
-        const isSkipped = (med) => medStatus[med] === Constants.STATUS.SKIP;
+        const remaining = {};
 
-        // Panacur: 0 if skipped, otherwise calculate remaining
-        const panacurRemaining = isSkipped('panacur') ? 0 :
-            (kitten.day1Given.panacur ? (kitten.panacurDays - 1) : kitten.panacurDays);
+        IntakeProtocol.all().forEach(row => {
+            const status = medStatus[row.key];
+            const dose = kitten.doses[row.key];
+            let doses = 0;
+            if (status !== Constants.STATUS.SKIP && dose && !dose.isOutOfRange) {
+                const days = row.duration ? kitten[row.duration.field] : 1;
+                const totalDoses = days * MedCalculator.dosesPerDay(MedsData.byId(dose.medId));
+                doses = Math.max(0, status === Constants.STATUS.DONE ? totalDoses - 1 : totalDoses);
+            }
+            remaining[row.key] = this._remainingEntry(dose, doses);
+        });
 
-        // Ponazuril: 0 if skipped, otherwise calculate remaining
-        const ponazurilRemaining = isSkipped('ponazuril') ? 0 :
-            (kitten.day1Given.ponazuril ? (kitten.ponazurilDays - 1) : kitten.ponazurilDays);
+        // Catalog meds added via the picker: their course's doses, less the
+        // intake dose if already given
+        remaining.added = (kitten.addedMeds || [])
+            .filter(({ medId }) => {
+                const dose = kitten.doses.added && kitten.doses.added[medId];
+                return MedsData.byId(medId) && dose && !dose.isOutOfRange;
+            })
+            .map(({ medId, status, days = 1 }) => {
+                const dose = kitten.doses.added[medId];
+                const med = DoseCalculator.catalogMed(medId, dose);
+                const totalDoses = days * MedCalculator.dosesPerDay(med);
+                return this._remainingEntry({
+                    medId,
+                    name: med.name,
+                    unit: med.unit,
+                    value: dose.value,
+                    display: dose.displayValue
+                }, status === Constants.STATUS.DONE ? totalDoses - 1 : totalDoses);
+            });
 
-        const panacurTotal = kitten.doses.panacur * panacurRemaining;
-        const ponazurilTotal = kitten.doses.ponazuril * ponazurilRemaining;
+        return remaining;
+    }
 
-        // Topical: 0 if skipped, otherwise calculate if not given at intake
-        let topicalAmount = 0;
-        if (!isSkipped('flea') && kitten.topical !== 'none' && !kitten.fleaGiven) {
-            const outOfRangeString = this.appState.getOutOfRangeString();
-            topicalAmount = kitten.doses.topical === outOfRangeString ? 0 : kitten.doses.topical;
+    /**
+     * Build a remaining-medication entry from a resolved dose
+     * @param {object} dose - { medId, name, unit, value, display }
+     * @param {number} doses - Number of doses left to give
+     * @returns {object} { medId, name, unit, display, doses, amount } —
+     *   `amount` is null when the dose value can't be summed
+     */
+    _remainingEntry(dose, doses) {
+        let amount = 0;
+        if (doses > 0) {
+            if (dose.unit === 'tablet') {
+                amount = doses;
+            } else if (typeof dose.value === 'string') {
+                amount = null;
+            } else if (Array.isArray(dose.value)) {
+                amount = [dose.value[0] * doses, dose.value[1] * doses];
+            } else {
+                amount = dose.value * doses;
+            }
         }
-
-        // Droncit/Drontal: 0 if skipped, otherwise 1 dose if not given at center
-        const drontalAmount = isSkipped('drontal') ? 0 :
-            (kitten.day1Given.drontal ? 0 : 1);
-
-        // NexGard Combo: 0 if skipped/out of range, otherwise dose mL if not given at center
-        const nexgardAmount = (isSkipped('nexgard') || kitten.doses.nexgard === this.appState.getOutOfRangeString()) ? 0 :
-            ((kitten.day1Given && kitten.day1Given.nexgard) ? 0 : kitten.doses.nexgard);
-
-        // Pyrantel: 0 if skipped, otherwise 1 dose if not given at center
-        const pyrantelAmount = isSkipped('pyrantel') ? 0 :
-            (kitten.day1Given.pyrantel ? 0 : kitten.doses.pyrantel);
-
-        // Capstar: 0 if skipped, otherwise 1 tablet if not given at center
-        const capstarAmount = isSkipped('capstar') ? 0 :
-            ((kitten.day1Given && kitten.day1Given.capstar === false) ? 1 : 0);
-
         return {
-            panacur: {
-                remaining: panacurRemaining,
-                total: panacurTotal
-            },
-            ponazuril: {
-                remaining: ponazurilRemaining,
-                total: ponazurilTotal
-            },
-            topical: {
-                amount: topicalAmount,
-                type: kitten.topical
-            },
-            drontal: {
-                amount: drontalAmount
-            },
-            nexgard: {
-                amount: nexgardAmount
-            },
-            capstar: {
-                amount: capstarAmount
-            },
-            pyrantel: {
-                amount: pyrantelAmount
-            }
+            medId: dose.medId,
+            name: dose.name,
+            unit: dose.unit,
+            display: dose.display,
+            doses,
+            amount
         };
     }
 
@@ -223,82 +245,18 @@ class ScheduleManager {
      */
     getKittenScheduleSummary(kitten) {
         const remaining = this.calculateRemainingMedications(kitten);
-        const summary = [];
-        const outOfRangeString = this.appState.getOutOfRangeString();
-
-        // Build summary in Constants.MEDICATIONS order (matches form)
-        Constants.MEDICATIONS.forEach(med => {
-            if (med === 'flea') {
-                if (remaining.topical.amount > 0) {
-                    const topicalName = remaining.topical.type === 'revolution' ? 'Revolution' : 'Advantage II';
-                    summary.push({
-                        medication: topicalName,
-                        dose: AppState.formatNumber(remaining.topical.amount, 2) + ' mL',
-                        days: 1
-                    });
-                }
-            } else if (med === 'capstar') {
-                if (remaining.capstar && remaining.capstar.amount > 0) {
-                    summary.push({
-                        medication: 'Capstar',
-                        dose: '1 tablet',
-                        days: 1,
-                        total: '1 tablet'
-                    });
-                }
-            } else if (med === 'panacur') {
-                if (remaining.panacur.remaining > 0) {
-                    summary.push({
-                        medication: 'Panacur',
-                        dose: AppState.formatNumber(kitten.doses.panacur, 2) + ' mL',
-                        days: remaining.panacur.remaining,
-                        total: AppState.formatNumber(remaining.panacur.total, 2) + ' mL total'
-                    });
-                }
-            } else if (med === 'ponazuril') {
-                if (remaining.ponazuril.remaining > 0) {
-                    summary.push({
-                        medication: 'Ponazuril',
-                        dose: AppState.formatNumber(kitten.doses.ponazuril, 2) + ' mL',
-                        days: remaining.ponazuril.remaining,
-                        total: AppState.formatNumber(remaining.ponazuril.total, 2) + ' mL total'
-                    });
-                }
-            } else if (med === 'drontal') {
-                if (remaining.drontal.amount > 0 && kitten.doses.drontal !== outOfRangeString) {
-                    const isTablet = kitten.drontalType === 'drontal';
-                    const doseStr = isTablet
-                        ? kitten.doses.drontal + ' tablet(s)'
-                        : AppState.formatNumber(kitten.doses.drontal, 2) + ' mL';
-                    summary.push({
-                        medication: isTablet ? 'Drontal' : 'Droncit',
-                        dose: doseStr,
-                        days: 1,
-                        total: doseStr
-                    });
-                }
-            } else if (med === 'nexgard') {
-                if (remaining.nexgard && remaining.nexgard.amount > 0) {
-                    summary.push({
-                        medication: 'NexGard Combo',
-                        dose: AppState.formatNumber(kitten.doses.nexgard, 2) + ' mL',
-                        days: 1,
-                        total: AppState.formatNumber(remaining.nexgard.amount, 2) + ' mL'
-                    });
-                }
-            } else if (med === 'pyrantel') {
-                if (remaining.pyrantel && remaining.pyrantel.amount > 0) {
-                    summary.push({
-                        medication: 'Pyrantel',
-                        dose: AppState.formatNumber(kitten.doses.pyrantel, 2) + ' mL',
-                        days: 1,
-                        total: AppState.formatNumber(remaining.pyrantel.amount, 2) + ' mL'
-                    });
-                }
-            }
-        });
+        const items = [...Constants.MEDICATIONS.map(med => remaining[med]), ...remaining.added];
 
-        return summary;
+        return items
+            .filter(item => item.doses > 0)
+            .map(item => ({
+                medication: item.name,
+                dose: item.display,
+                days: item.doses,
+                total: item.unit === 'tablet' || item.amount === null
+                    ? `${item.doses} × ${item.display}`
+                    : `${DoseCalculator.formatDose(item.amount, item.unit)} total`
+            }));
     }
 }
 
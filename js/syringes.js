@@ -0,0 +1,131 @@
+/**
+ * Syringes Module - Syringe choice and rounding of mL doses
+ * Pure functions apart from the saved syringe setting (localStorage)
+ *
+ * A dose can only be drawn to the nearest graduation of the syringe it's
+ * given with: 0.01 mL on a 1 mL syringe but 0.1 mL on a 3 mL one. mL doses
+ * are rounded to the chosen syringe's marks, and flagged when that moves
+ * the dose by more than ROUNDING_WARN_PERCENT. The setting is per device
+ * (i.e. per site) and shared between the intake form and /calc/; a med
+ * with its own `syringe` in MedsData is always drawn in that one.
+ */
+
+const Syringes = {
+    AUTO: 'auto',
+    DEFAULT: 'auto',
+
+    // Rounding that moves a dose by more than this is flagged
+    ROUNDING_WARN_PERCENT: 10,
+
+    // Smallest first
+    SIZES: [
+        { id: '0.5', label: '0.5 mL', capacityMl: 0.5, graduationMl: 0.01 },
+        { id: '1', label: '1 mL', capacityMl: 1, graduationMl: 0.01 },
+        { id: '3', label: '3 mL', capacityMl: 3, graduationMl: 0.1 },
+        { id: '5', label: '5 mL', capacityMl: 5, graduationMl: 0.2 }
+    ],
+
+    // Setting options, in display order
+    CHOICES: [
+        { value: 'auto', label: 'Smallest that fits' },
+        { value: '0.5', label: '0.5 mL' },
+        { value: '1', label: '1 mL' },
+        { value: '3', label: '3 mL' },
+        { value: '5', label: '5 mL' }
+    ],
+
+    /**
+     * @param {string} choice - Setting value
+     * @returns {boolean} True for 'auto' or a syringe size id
+     */
+    isChoice(choice) {
+        return this.CHOICES.some(c => c.value === choice);
+    },
+
+    /**
+     * @param {string} id - Syringe size id
+     * @returns {Object|undefined} SIZES entry
+     */
+    byId(id) {
+        return this.SIZES.find(s => s.id === id);
+    },
+
+    /**
+     * Syringe to draw a dose in: the chosen size if the dose fits in it,
+     * otherwise the smallest that holds the dose (the largest for doses
+     * bigger than any syringe, drawn more than once)
+     * @param {number} ml - Dose in mL
+     * @param {string} choice - 'auto' or a size id
+     * @returns {Object} SIZES entry
+     */
+    pick(ml, choice) {
+        const chosen = this.byId(choice);
+        if (chosen && ml <= chosen.capacityMl) return chosen;
+        return this.SIZES.find(s => ml <= s.capacityMl) || this.SIZES[this.SIZES.length - 1];
+    },
+
+    /**
+     * Round a dose to the graduation of the syringe it's drawn in
+     * @param {number} ml - Exact dose in mL
+     * @param {string} choice - 'auto' or a size id
+     * @param {Object} [options]
+     * @param {boolean} [options.roundDown] - Round down rather than to the nearest mark
+     * @returns {{id: string, label: string, graduationMl: number, decimals: number,
+     *   exactMl: number, ml: number, errorPercent: number, warning: string|null}}
+     */
+    fit(ml, choice, { roundDown = false } = {}) {
+        const syringe = this.pick(ml, choice);
+        const decimals = Math.max(0, Math.ceil(-Math.log10(syringe.graduationMl) - 1e-9));
+        const steps = ml / syringe.graduationMl;
+        // Trim float noise (0.29 / 0.01 = 28.999…) before rounding down
+        const marks = roundDown ? Math.floor(steps + 1e-9) : Math.round(steps);
+        const rounded = Number((marks * syringe.graduationMl).toFixed(decimals));
+        const errorPercent = ml > 0 ? Math.abs(rounded - ml) / ml * 100 : 0;
+
+        return {
+            id: syringe.id,
+            label: syringe.label,
+            graduationMl: syringe.graduationMl,
+            decimals,
+            exactMl: ml,
+            ml: rounded,
+            errorPercent,
+            warning: errorPercent > this.ROUNDING_WARN_PERCENT
+                ? `${rounded.toFixed(decimals)} mL on a ${syringe.label} syringe is ${Math.round(errorPercent)}% off the calculated ${Math.round(ml * 1000) / 1000} mL`
+                : null
+        };
+    },
+
+    /**
+     * @returns {string} The syringe setting saved on this device, or DEFAULT
+     */
+    loadPreferred() {
+        try {
+            const choice = localStorage.getItem(Constants.STORAGE.SYRINGE);
+            return this.isChoice(choice) ? choice : this.DEFAULT;
+        } catch (e) {
+            return this.DEFAULT;
+        }
+    },
+
+    /**
+     * @param {string} choice - 'auto' or a size id to remember
+     */
+    savePreferred(choice) {
+        if (!this.isChoice(choice)) return;
+        try {
+            localStorage.setItem(Constants.STORAGE.SYRINGE, choice);
+        } catch (e) {
+            // localStorage may be unavailable; non-fatal.
+        }
+    }
+};
+
+// Freeze to prevent modifications
+Syringes.SIZES.forEach(Object.freeze);
+Object.freeze(Syringes.SIZES);
+Object.freeze(Syringes.CHOICES);
+Object.freeze(Syringes);
+
+// Export to global namespace
+window.Syringes = Syringes;
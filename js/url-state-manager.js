@@ -2,8 +2,20 @@
  * URL State Manager - Encodes/decodes form state to/from URL parameters
  * Supports temporary loading of shared URLs with eject-to-restore functionality
  *
- * Format: ?k=VERSION<sep>name<sep>weight<sep>microchip<sep>flags<sep>...
- *   (Version 5 [current]: separator is '~', 4 segments per kitten, 5-char flags
+ * Format: ?k=VERSION<sep>intake<sep>name<sep>weight<sep>microchip<sep>flags<sep>addedMeds<sep>...
+ *   (Version 9 [current]: v8, with the point picked in a label dose range
+ *    as a fifth addedMeds field, `<medId>_<t|d>_<days>_<dehydration>_<range %>`.
+ *    Empty trailing fields are dropped, so `clavamox_t___50`, `sq-fluids_t__5`)
+ *   (Version 8 legacy: v7, with an SQ Fluids fluid plan's dehydration %
+ *    as a fourth addedMeds field, `<medId>_<t|d>_<days>_<percent>`)
+ *   (Version 7 legacy: separator is '~', a header segment with the intake
+ *    date/time as local `YYYYMMDDHHmm` (empty = now), then v6 kittens)
+ *   (Version 6 legacy: separator is '~', 5 segments per kitten — v5 plus an
+ *    addedMeds segment listing catalog meds added via the picker as
+ *    `<medId>_<t|d>` (to do / done) joined by '.', empty when none, and
+ *    `_<days>` after it for a repeat-dose med given over more than a day.
+ *    MedsData ids are kebab-case, so they never contain '~', '.' or '_')
+ *   (Version 5 legacy: separator is '~', 4 segments per kitten, 5-char flags
  *    adding nexgard status and drontal type)
  *   (Version 4 legacy: separator is '~' — RFC 3986 unreserved, never percent-encoded
  *    by clients like Slack/iMessage. 4 segments per kitten, 4-char flags.)
@@ -41,7 +53,7 @@
 
 class UrlStateManager {
     constructor() {
-        this.version = 5;
+        this.version = 9;
         this.paramKey = 'k';
         this.backupStorageKey = 'cat-intake-form-backup';
         this.loadedStateKey = 'cat-intake-url-loaded';
@@ -49,7 +61,7 @@ class UrlStateManager {
 
         // Separator selection per version. v4+ uses '~' (safe across
         // messengers that percent-encode '|'). v1-v3 kept '|' for decode.
-        this.sepForVersion = { 1: '|', 2: '|', 3: '|', 4: '~', 5: '~' };
+        this.sepForVersion = { 1: '|', 2: '|', 3: '|', 4: '~', 5: '~', 6: '~', 7: '~', 8: '~', 9: '~' };
         this.currentSep = this.sepForVersion[this.version];
 
         // Base64url alphabet (RFC 4648 - URL safe)
@@ -132,6 +144,67 @@ class UrlStateManager {
         return encodeURIComponent(name).replace(/~/g, '%7E');
     }
 
+    /**
+     * Encode a kitten's added catalog meds as `<medId>_<t|d>` joined by '.',
+     * plus `_<days>` for a course longer than a day [v6+], `_<percent>` for
+     * a fluid plan [v8+] and `_<range %>` for a point above the low end of
+     * a dose range [v9+]
+     */
+    _encodeAddedMedsSegment(kittenId) {
+        const appState = window.KittenApp && window.KittenApp.appState;
+        if (!appState) return '';
+        return appState.getAddedMedications(kittenId)
+            .map(({ medId, status, days, dehydration, rangePercent }) => [
+                medId,
+                status === Constants.STATUS.DONE ? 'd' : 't',
+                days > 1 ? days : '',
+                dehydration !== undefined ? dehydration : '',
+                rangePercent ? rangePercent : ''
+            ].join('_').replace(/_+$/, ''))
+            .join('.');
+    }
+
+    /**
+     * Decode an addedMeds segment back to [{ medId, status, [days], [dehydration], [rangePercent] }] [v6+]
+     */
+    _decodeAddedMedsSegment(segment) {
+        if (!segment) return [];
+        return segment.split('.')
+            .map(entry => {
+                // MedsData ids never contain '_'
+                const [medId, status, days, dehydration, rangePercent] = entry.split('_');
+                if (!medId || status === undefined) return null;
+                const decoded = {
+                    medId,
+                    status: status === 'd' ? Constants.STATUS.DONE : Constants.STATUS.TODO
+                };
+                if (days !== undefined && days !== '') decoded.days = Number(days);
+                if (dehydration !== undefined && dehydration !== '') decoded.dehydration = Number(dehydration);
+                if (rangePercent !== undefined && rangePercent !== '') decoded.rangePercent = Number(rangePercent);
+                return decoded;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Encode the intake date/time as `YYYYMMDDHHmm` [v7+]
+     */
+    _encodeIntakeSegment() {
+        const appState = window.KittenApp && window.KittenApp.appState;
+        if (!appState) return '';
+        return appState.getIntakeDateValue().replace(/\D/g, '');
+    }
+
+    /**
+     * Decode an intake segment back to 'YYYY-MM-DDTHH:mm', or null [v7+]
+     */
+    _decodeIntakeSegment(segment) {
+        const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(segment || '');
+        if (!match) return null;
+        const [, year, month, day, hours, minutes] = match;
+        return `${year}-${month}-${day}T${hours}:${minutes}`;
+    }
+
     _getMedStatusFromDom(kittenId, med) {
         const toggle = document.getElementById(`${kittenId}-${med}-enabled`);
         if (toggle && !toggle.checked) return 'skip';
@@ -143,7 +216,7 @@ class UrlStateManager {
         const kittenForms = document.querySelectorAll('.kitten-form');
         if (kittenForms.length === 0) return null;
 
-        const parts = [this.version.toString()];
+        const parts = [this.version.toString(), this._encodeIntakeSegment()];
         let hasAnyData = false;
 
         kittenForms.forEach(form => {
@@ -173,7 +246,7 @@ class UrlStateManager {
             };
 
             const flags = this.encodeFlagsV2(kitten);
-            parts.push(this._encodeNameSegment(name), weight, microchip, flags);
+            parts.push(this._encodeNameSegment(name), weight, microchip, flags, this._encodeAddedMedsSegment(kittenId));
         });
 
         // Don't encode URL state if no kitten has a name or weight entered
@@ -354,7 +427,7 @@ class UrlStateManager {
         const kittenForms = document.querySelectorAll('.kitten-form');
         if (kittenForms.length === 0) return null;
 
-        const parts = [this.version.toString()];
+        const parts = [this.version.toString(), this._encodeIntakeSegment()];
 
         kittenForms.forEach(form => {
             const kittenId = form.id;
@@ -381,7 +454,7 @@ class UrlStateManager {
             };
 
             const flags = this.encodeFlagsV2(kitten);
-            parts.push(this._encodeNameSegment(name), weight, microchip, flags);
+            parts.push(this._encodeNameSegment(name), weight, microchip, flags, this._encodeAddedMedsSegment(kittenId));
         });
 
         const encoded = parts.join(this.currentSep);
@@ -409,19 +482,24 @@ class UrlStateManager {
         if (parts.length < 4) return null; // At least version + 1 kitten (name, weight, flags)
 
         const version = parseInt(parts[0]);
-        if (version < 1 || version > 5) {
+        if (version < 1 || version > 9) {
             console.warn(`Unknown URL state version: ${version}`);
             return null;
         }
 
-        // v3+: 4 parts per kitten (name, weight, microchip, flags)
+        // v6+: 5 parts per kitten (name, weight, microchip, flags, addedMeds)
+        // v3-5: 4 parts per kitten (name, weight, microchip, flags)
         // v1/v2: 3 parts per kitten (name, weight, flags)
-        const partsPerKitten = version >= 3 ? 4 : 3;
+        const partsPerKitten = version >= 6 ? 5 : version >= 3 ? 4 : 3;
         const kittens = {};
         const activeKittens = [];
         let kittenIndex = 1;
 
-        for (let i = 1; i < parts.length; i += partsPerKitten) {
+        // v7+: intake date/time header segment before the kittens
+        const intakeDate = version >= 7 ? this._decodeIntakeSegment(parts[1]) : null;
+        const firstKittenPart = version >= 7 ? 2 : 1;
+
+        for (let i = firstKittenPart; i < parts.length; i += partsPerKitten) {
             if (i + partsPerKitten - 1 >= parts.length) break;
 
             const name = decodeURIComponent(parts[i]);
@@ -447,7 +525,8 @@ class UrlStateManager {
                 name,
                 weight,
                 microchip,
-                ...flags
+                ...flags,
+                addedMeds: version >= 6 ? this._decodeAddedMedsSegment(parts[i + 4]) : []
             };
 
             kittenIndex++;
@@ -458,7 +537,8 @@ class UrlStateManager {
         return {
             appState: {
                 kittenCounter: kittenIndex - 1,
-                activeKittens
+                activeKittens,
+                intakeDate
             },
             kittens
         };
@@ -658,6 +738,12 @@ class UrlStateManager {
             const localData = payload.data;
             if (!localData) return false;
 
+            // Compare intake date/time (only URLs from v7 on carry one)
+            if (urlData.appState.intakeDate &&
+                urlData.appState.intakeDate !== localData.appState.intakeDate) {
+                return false;
+            }
+
             // Compare kitten counts
             if (urlData.appState.activeKittens.length !== localData.appState.activeKittens.length) {
                 return false;
@@ -692,6 +778,11 @@ class UrlStateManager {
                         if (urlMed.status !== localMed.status) return false;
                     }
                 }
+
+                // Compare catalog meds added via the picker
+                const addedKey = (kitten) => (kitten.addedMeds || [])
+                    .map(m => `${m.medId}_${m.status}_${m.days || 1}_${m.dehydration !== undefined ? m.dehydration : ''}_${m.rangePercent || 0}`).join('.');
+                if (addedKey(urlKitten) !== addedKey(localKitten)) return false;
             }
 
             return true;
@@ -197,7 +197,15 @@ function showExampleUrls() {
 
     console.log('=== Example Encoded URLs ===\n');
 
-    console.log('V5 format (current, ~ separator, 5-char flags, microchip):');
+    console.log('V7 format (current, ~ separator, intake date/time header, then v6 kittens):');
+    console.log('  ?k=7~202610180930~Mittens~450~~ABCDE~');
+    console.log('  ?k=7~~Mittens~450~985112345678901~ABCDE~cerenia_t.clavamox_d~Whiskers~380~~FGHIJ~\n');
+
+    console.log('V6 format (legacy, ~ separator, 5-char flags, microchip, added meds):');
+    console.log('  ?k=6~Mittens~450~~ABCDE~');
+    console.log('  ?k=6~Mittens~450~985112345678901~ABCDE~cerenia_t.clavamox_d~Whiskers~380~~FGHIJ~\n');
+
+    console.log('V5 format (legacy, ~ separator, 5-char flags, microchip):');
     console.log('  ?k=5~Mittens~450~~ABCDE');
     console.log('  ?k=5~Mittens~450~985112345678901~ABCDE~Whiskers~380~~FGHIJ\n');
 
@@ -221,6 +229,12 @@ function showExampleUrls() {
     console.log('V1 backward compatibility - decoding "?k=1|Mittens|450|oG":');
     console.log(manager.decodeFromUrl('http://example.com/?k=1|Mittens|450|oG'));
 
+    console.log('\nV6 added meds - decoding "?k=6~Mittens~450~~ABCDE~cerenia_t.clavamox_d":');
+    console.log(manager.decodeFromUrl('http://example.com/?k=6~Mittens~450~~ABCDE~cerenia_t.clavamox_d'));
+
+    console.log('\nV7 intake date - decoding "?k=7~202610180930~Mittens~450~~ABCDE~":');
+    console.log(manager.decodeFromUrl('http://example.com/?k=7~202610180930~Mittens~450~~ABCDE~'));
+
     console.log('\nV3 backward compatibility - decoding "?k=3|Mittens|450||ABCD":');
     console.log(manager.decodeFromUrl('http://example.com/?k=3|Mittens|450||ABCD'));
 }
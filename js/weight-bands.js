@@ -0,0 +1,210 @@
+/**
+ * Weight Bands Module - Checks on weightTable dose specs
+ * Pure functions with no DOM dependencies
+ *
+ * A weightTable row covers minLb up to maxLb, including maxLb only when
+ * the row is maxInclusive; MedCalculator doses from the row with the
+ * largest minLb at or below the weight. Rows that leave a gap, or claim
+ * weights a later row also starts on, are easy to write by mistake. The
+ * CSV's calculationText writes the same bands to a tenth of a pound
+ * ('1.5–1.9 lb: ¼ tab'), so its upper weights are inclusive: a spec row
+ * agrees with one when it ends on that weight inclusively, or stops
+ * short of the next tenth. Used by the /bands/ page.
+ */
+
+const WeightBands = {
+    // Weights shown on the band chart
+    CHART_MAX_LB: 25,
+
+    // Precision of the weights in calculationText
+    TEXT_STEP_LB: 0.1,
+
+    // Tablet fractions as written in weight tables and calculationText
+    FRACTIONS: { '¼': 0.25, '½': 0.5, '¾': 0.75 },
+
+    /**
+     * @returns {Array} MedsData entries dosed from a weight table
+     */
+    meds() {
+        return MedsData.all().filter(med => med.calc && med.calc.type === 'weightTable');
+    },
+
+    /**
+     * @param {number} lb - Weight in pounds
+     * @returns {string} e.g. '4.4', '9'
+     */
+    formatLb(lb) {
+        return String(Math.round(lb * 100) / 100);
+    },
+
+    /**
+     * @param {Object} row - weightTable row
+     * @returns {string} e.g. '1.5 to under 2 lb', '13 to 16 lb', '9 lb and up'
+     */
+    rowText(row) {
+        if (row.maxLb === Infinity) return `${this.formatLb(row.minLb)} lb and up`;
+        return `${this.formatLb(row.minLb)} to ${row.maxInclusive ? '' : 'under '}${this.formatLb(row.maxLb)} lb`;
+    },
+
+    /**
+     * @param {Object} med - MedsData entry
+     * @param {number|string} value - Row value
+     * @returns {string} e.g. '0.2 mL', '½ tab'
+     */
+    valueText(med, value) {
+        return `${value} ${med.unit === 'tablet' ? 'tab' : med.unit}`;
+    },
+
+    /**
+     * A row value or calculationText amount as a number ('1½' → 1.5)
+     * @param {number|string} value
+     * @returns {number} NaN when it isn't an amount
+     */
+    amount(value) {
+        if (typeof value === 'number') return value;
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)?([¼½¾])?$/);
+        if (!match || (!match[1] && !match[2])) return NaN;
+        return (match[1] ? parseFloat(match[1]) : 0) + (this.FRACTIONS[match[2]] || 0);
+    },
+
+    // ==========================================
+    // Gaps and overlaps
+    // ==========================================
+
+    /**
+     * Gaps and overlaps between consecutive rows (rows sorted by minLb)
+     * @param {Array} rows - weightTable rows
+     * @returns {Array<{type: 'gap'|'overlap', fromLb: number, toLb: number, message: string}>}
+     */
+    issues(rows) {
+        const issues = [];
+        for (let i = 0; i + 1 < rows.length; i++) {
+            const row = rows[i];
+            const next = rows[i + 1];
+            const from = this.formatLb(row.maxLb);
+            const to = this.formatLb(next.minLb);
+            if (next.minLb > row.maxLb) {
+                issues.push({
+                    type: 'gap',
+                    fromLb: row.maxLb,
+                    toLb: next.minLb,
+                    message: `No dose from ${from} to ${to} lb, between rows ${i + 1} and ${i + 2}`
+                });
+            } else if (next.minLb < row.maxLb) {
+                issues.push({
+                    type: 'overlap',
+                    fromLb: next.minLb,
+                    toLb: row.maxLb,
+                    message: `Rows ${i + 1} and ${i + 2} both cover ${to}–${from} lb; row ${i + 2} is used`
+                });
+            } else if (row.maxInclusive) {
+                issues.push({
+                    type: 'overlap',
+                    fromLb: next.minLb,
+                    toLb: next.minLb,
+                    message: `Rows ${i + 1} and ${i + 2} both include ${to} lb; row ${i + 2} is used`
+                });
+            }
+        }
+        return issues;
+    },
+
+    // ==========================================
+    // calculationText
+    // ==========================================
+
+    /**
+     * The weight bands written in calculationText, one per line that has a
+     * weight range ('1.5–1.9 lb: ¼ tab', '>11 lb: 0.6 mL', '1 tablet for
+     * cats 2–25 lb')
+     * @param {string} text - calculationText
+     * @returns {Array<{line: string, minLb: number, maxLb: number, value: string|null}>}
+     *   maxLb is Infinity for an open-ended '>' band; value is the amount
+     *   as written ('¼', '0.6'), or null when the line gives none
+     */
+    parseText(text) {
+        const bands = [];
+        String(text || '').split('\n').forEach(raw => {
+            const line = raw.trim();
+            const range = line.match(/(\d+(?:\.\d+)?)\s*[–-]\s*(\d+(?:\.\d+)?)\s*lbs?\b/i);
+            const above = range ? null : line.match(/[>≥]\s*(\d+(?:\.\d+)?)\s*lbs?\b/i);
+            if (!range && !above) return;
+
+            const match = range || above;
+            const rest = line.slice(0, match.index) + line.slice(match.index + match[0].length);
+            const value = rest.match(/(\d+(?:\.\d+)?[¼½¾]?|[¼½¾])\s*(?:mL|tabs?|tablets?)\b/i);
+            bands.push({
+                line,
+                minLb: parseFloat(match[1]),
+                maxLb: range ? parseFloat(range[2]) : Infinity,
+                value: value ? value[1] : null
+            });
+        });
+        return bands;
+    },
+
+    /**
+     * Where a weightTable med's calculationText disagrees with its rows:
+     * different weights or amounts, bands with no row and rows with no band.
+     * A band's lower weight is only checked where the text doesn't carry on
+     * from the band before, so each boundary is reported once.
+     * @param {Object} med - MedsData entry
+     * @returns {Array<{line: string|null, message: string}>}
+     */
+    compareText(med) {
+        const rows = med.calc.rows || [];
+        const bands = this.parseText(med.calculationText);
+        const step = this.TEXT_STEP_LB;
+        const eps = 1e-9;
+        const same = (a, b) => Math.abs(a - b) < eps;
+        const findings = [];
+        const matched = new Set();
+
+        bands.forEach((band, i) => {
+            const min = this.formatLb(band.minLb);
+            // The row MedCalculator would use at the band's lower weight
+            const row = rows.filter(r => r.minLb <= band.minLb + eps).pop();
+            const covers = row && (band.minLb < row.maxLb - eps || (row.maxInclusive && same(band.minLb, row.maxLb)));
+            if (!covers) {
+                findings.push({ line: band.line, message: `No row covers ${min} lb` });
+                return;
+            }
+            matched.add(row);
+
+            const prev = bands[i - 1];
+            const carriesOn = prev && prev.maxLb !== Infinity && band.minLb <= prev.maxLb + step + eps;
+            if (!carriesOn && !same(row.minLb, band.minLb)) {
+                findings.push({ line: band.line, message: `Text starts at ${min} lb; the row is ${this.rowText(row)}` });
+            }
+
+            if (band.maxLb === Infinity) {
+                if (row.maxLb !== Infinity) {
+                    findings.push({ line: band.line, message: `Text has no upper weight; the row is ${this.rowText(row)}` });
+                }
+            } else {
+                const endsOn = row.maxInclusive
+                    ? same(row.maxLb, band.maxLb)
+                    : row.maxLb > band.maxLb + eps && row.maxLb <= band.maxLb + step + eps;
+                if (!endsOn) {
+                    findings.push({ line: band.line, message: `Text includes ${this.formatLb(band.maxLb)} lb; the row is ${this.rowText(row)}` });
+                }
+            }
+
+            if (band.value !== null && !same(this.amount(band.value), this.amount(row.value))) {
+                findings.push({ line: band.line, message: `Text gives ${band.value}; the row gives ${this.valueText(med, row.value)}` });
+            }
+        });
+
+        rows.forEach(row => {
+            if (!matched.has(row)) findings.push({ line: null, message: `Row ${this.rowText(row)} (${this.valueText(med, row.value)}) isn't in the text` });
+        });
+        return findings;
+    }
+};
+
+// Freeze to prevent modifications
+Object.freeze(WeightBands);
+Object.freeze(WeightBands.FRACTIONS);
+
+// Export to global namespace
+window.WeightBands = WeightBands;
@@ -0,0 +1,173 @@
+/**
+ * Weight Log Module - Per-kitten weighings and growth checks
+ * Pure functions with no DOM dependencies
+ *
+ * A log is a list of { date: 'YYYY-MM-DD', grams } entries, kept sorted by
+ * date with at most one entry per day. The latest entry is the kitten's
+ * current weight, which drives the dose calculations (FormManager copies it
+ * into the weight field). Any drop between consecutive entries is flagged
+ * so failure-to-thrive is caught early. Logs are saved with the form and in
+ * intake history, but not encoded in share links.
+ *
+ * Also holds the age-for-weight sanity check: a kitten's estimated age in
+ * weeks gives an expected weight range, and weights outside it are flagged
+ * next to the weight field and on the printed record.
+ */
+
+const WeightLog = {
+    // Typical healthy kitten weight by age: [weeks, min grams, max grams].
+    // Ranges are deliberately wide; they catch typos and failure to thrive,
+    // not small differences. No check past the last row (adult sizes vary).
+    EXPECTED_GRAMS_BY_WEEK: [
+        [0, 85, 130],
+        [1, 120, 230],
+        [2, 180, 330],
+        [3, 250, 430],
+        [4, 320, 530],
+        [5, 380, 630],
+        [6, 450, 750],
+        [8, 600, 1050],
+        [10, 800, 1350],
+        [12, 1000, 1650],
+        [16, 1400, 2400]
+    ],
+
+    /**
+     * Clean up a log: drop invalid entries, sort by date, keep the last
+     * entry given for each day
+     * @param {Array} entries - Raw { date, grams } entries
+     * @returns {Array<{date: string, grams: number}>}
+     */
+    normalize(entries) {
+        const byDate = new Map();
+        (entries || []).forEach(entry => {
+            const grams = parseFloat(entry && entry.grams);
+            if (!entry || !/^\d{4}-\d{2}-\d{2}$/.test(entry.date) || !(grams > 0)) return;
+            byDate.set(entry.date, { date: entry.date, grams });
+        });
+        return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    /**
+     * Add a weighing, replacing any entry on the same day
+     * @param {Array} entries - Current log
+     * @param {{date: string, grams: number}} entry - New weighing
+     * @returns {Array} New normalized log
+     */
+    add(entries, entry) {
+        return this.normalize([...(entries || []), entry]);
+    },
+
+    /**
+     * @param {Array} entries - Normalized log
+     * @returns {Object|null} Most recent entry
+     */
+    latest(entries) {
+        return entries.length ? entries[entries.length - 1] : null;
+    },
+
+    /**
+     * Weight drops between consecutive entries
+     * @param {Array} entries - Normalized log
+     * @returns {Array<{from: Object, to: Object, lostGrams: number}>}
+     */
+    losses(entries) {
+        const losses = [];
+        for (let i = 1; i < entries.length; i++) {
+            const lostGrams = entries[i - 1].grams - entries[i].grams;
+            if (lostGrams > 0) {
+                losses.push({ from: entries[i - 1], to: entries[i], lostGrams });
+            }
+        }
+        return losses;
+    },
+
+    /**
+     * Expected weight range for an estimated age, interpolated between rows
+     * of EXPECTED_GRAMS_BY_WEEK
+     * @param {number} ageWeeks - Estimated age in weeks
+     * @returns {{min: number, max: number}|null} null when age is unknown or past the table
+     */
+    expectedRange(ageWeeks) {
+        const table = this.EXPECTED_GRAMS_BY_WEEK;
+        if (typeof ageWeeks !== 'number' || !(ageWeeks >= 0) || ageWeeks > table[table.length - 1][0]) return null;
+
+        const upper = table.findIndex(([weeks]) => weeks >= ageWeeks);
+        const [w1, min1, max1] = table[upper];
+        if (w1 === ageWeeks || upper === 0) return { min: min1, max: max1 };
+
+        const [w0, min0, max0] = table[upper - 1];
+        const t = (ageWeeks - w0) / (w1 - w0);
+        return {
+            min: Math.round(min0 + t * (min1 - min0)),
+            max: Math.round(max0 + t * (max1 - max0))
+        };
+    },
+
+    /**
+     * Warning for a weight that's implausible for the estimated age
+     * @param {number} ageWeeks - Estimated age in weeks
+     * @param {number} grams - Weight in grams
+     * @returns {string|null} Warning text, or null if in range / not checkable
+     */
+    ageWeightWarning(ageWeeks, grams) {
+        const range = this.expectedRange(ageWeeks);
+        if (!range || !(grams > 0)) return null;
+
+        if (grams < range.min) {
+            return `Underweight for ${ageWeeks} weeks (expected at least ${range.min} g)`;
+        }
+        if (grams > range.max) {
+            return `Heavy for ${ageWeeks} weeks (expected up to ${range.max} g) - check age and weight`;
+        }
+        return null;
+    },
+
+    /**
+     * Short date for display: 'YYYY-MM-DD' → 'M/D'
+     * @param {string} date - Entry date
+     * @returns {string}
+     */
+    formatDate(date) {
+        const [, month, day] = date.split('-');
+        return `${parseInt(month)}/${parseInt(day)}`;
+    },
+
+    /**
+     * Small growth chart: weight over time, with losing stretches marked
+     * @param {Array} entries - Normalized log
+     * @param {{width?: number, height?: number}} [size] - Chart size in px
+     * @returns {string} SVG markup, or '' with fewer than two entries
+     */
+    chartSvg(entries, { width = 240, height = 60 } = {}) {
+        if (entries.length < 2) return '';
+
+        const pad = 4;
+        const dayMs = 24 * 60 * 60 * 1000;
+        const days = entries.map(e => Date.parse(`${e.date}T00:00:00Z`) / dayMs);
+        const grams = entries.map(e => e.grams);
+        const [minDay, maxDay] = [Math.min(...days), Math.max(...days)];
+        const [minGrams, maxGrams] = [Math.min(...grams), Math.max(...grams)];
+
+        const x = (day) => pad + (day - minDay) / (maxDay - minDay) * (width - 2 * pad);
+        const y = (g) => maxGrams === minGrams
+            ? height / 2
+            : height - pad - (g - minGrams) / (maxGrams - minGrams) * (height - 2 * pad);
+        const points = entries.map((e, i) => [x(days[i]), y(e.grams)].map(n => Math.round(n * 10) / 10));
+
+        const segments = points.slice(1).map((point, i) => {
+            const loss = entries[i + 1].grams < entries[i].grams;
+            return `<line x1="${points[i][0]}" y1="${points[i][1]}" x2="${point[0]}" y2="${point[1]}" class="weight-chart-line${loss ? ' loss' : ''}"/>`;
+        });
+        const dots = points.map(([cx, cy], i) =>
+            `<circle cx="${cx}" cy="${cy}" r="2.5" class="weight-chart-point"><title>${this.formatDate(entries[i].date)}: ${entries[i].grams} g</title></circle>`);
+
+        return `<svg class="weight-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Weight over time">${segments.join('')}${dots.join('')}</svg>`;
+    }
+};
+
+// Freeze to prevent modifications
+Object.freeze(WeightLog);
+
+// Export to global namespace
+window.WeightLog = WeightLog;
@@ -0,0 +1,141 @@
+/**
+ * Weight Units Module - Parse and format weights in g, kg, lb or lb + oz
+ * Pure functions apart from the saved unit preference (localStorage)
+ *
+ * Weights are always stored in grams. Partner clinics send weights in
+ * other units, so the intake form and /calc/ accept entries in any of
+ * these and convert on input; the unit last picked is remembered as the
+ * default for both pages.
+ */
+
+const WeightUnits = {
+    GRAMS_PER_KG: 1000,
+    GRAMS_PER_LB: 453.59237,
+    OZ_PER_LB: 16,
+
+    DEFAULT: 'g',
+
+    // Selector options, in display order
+    UNITS: [
+        { value: 'g', label: 'g', placeholder: 'Weight (grams)' },
+        { value: 'kg', label: 'kg', placeholder: 'Weight (kg)' },
+        { value: 'lb', label: 'lb', placeholder: 'Weight (lb)' },
+        { value: 'lb-oz', label: 'lb oz', placeholder: 'e.g. 2 lb 4 oz' }
+    ],
+
+    /**
+     * @param {string} unit - Unit value
+     * @returns {boolean} True for a supported unit
+     */
+    isUnit(unit) {
+        return this.UNITS.some(u => u.value === unit);
+    },
+
+    /**
+     * @param {string} unit - Unit value
+     * @returns {Object} UNITS entry, falling back to grams
+     */
+    byValue(unit) {
+        return this.UNITS.find(u => u.value === unit) || this.UNITS[0];
+    },
+
+    /**
+     * Parse a weight entry to grams. "lb oz" entries accept "2 4",
+     * "2 lb 4 oz", "2lb 4.5oz", "2 lb" or "36 oz".
+     * @param {string} text - Entered weight
+     * @param {string} unit - Unit value
+     * @returns {number} Grams rounded to 0.1 g, or NaN if unparseable
+     */
+    parse(text, unit) {
+        const value = String(text || '').trim().toLowerCase();
+        let grams = NaN;
+
+        if (unit === 'lb-oz') {
+            const ozOnly = value.match(/^(\d*\.?\d+)\s*oz$/);
+            const lbOz = value.match(/^(\d*\.?\d+)\s*(?:lbs?|#)?\s*(?:(\d*\.?\d+)\s*(?:oz)?)?$/);
+            if (ozOnly) {
+                grams = parseFloat(ozOnly[1]) / this.OZ_PER_LB * this.GRAMS_PER_LB;
+            } else if (lbOz) {
+                const oz = lbOz[2] ? parseFloat(lbOz[2]) : 0;
+                grams = (parseFloat(lbOz[1]) + oz / this.OZ_PER_LB) * this.GRAMS_PER_LB;
+            }
+        } else if (/^\d*\.?\d+\.?$/.test(value)) {
+            const number = parseFloat(value);
+            grams = unit === 'kg' ? number * this.GRAMS_PER_KG
+                : unit === 'lb' ? number * this.GRAMS_PER_LB
+                : number;
+        }
+
+        return isFinite(grams) ? Math.round(grams * 10) / 10 : NaN;
+    },
+
+    /**
+     * Format grams for a weight entry field in the given unit
+     * @param {number} grams - Weight in grams
+     * @param {string} unit - Unit value
+     * @returns {string} Entry text, or '' for no weight
+     */
+    format(grams, unit) {
+        if (!(grams > 0)) return '';
+        const round = (n, places) => String(Math.round(n * 10 ** places) / 10 ** places);
+
+        switch (unit) {
+            case 'kg':
+                return round(grams / this.GRAMS_PER_KG, 3);
+            case 'lb':
+                return round(grams / this.GRAMS_PER_LB, 2);
+            case 'lb-oz': {
+                const totalOz = Math.round(grams / this.GRAMS_PER_LB * this.OZ_PER_LB * 10) / 10;
+                const lb = Math.floor(totalOz / this.OZ_PER_LB);
+                const oz = round(totalOz - lb * this.OZ_PER_LB, 1);
+                return `${lb} lb ${oz} oz`;
+            }
+            default:
+                return round(grams, 1);
+        }
+    },
+
+    /**
+     * Keep only characters a weight in this unit can contain
+     * @param {string} text - Raw input
+     * @param {string} unit - Unit value
+     * @returns {string}
+     */
+    filterInput(text, unit) {
+        if (unit === 'lb-oz') return text.replace(/[^0-9. lbsoz#]/gi, '');
+        const filtered = text.replace(/[^0-9.]/g, '');
+        const parts = filtered.split('.');
+        return parts.length > 2 ? parts[0] + '.' + parts.slice(1).join('') : filtered;
+    },
+
+    /**
+     * @returns {string} The unit last picked on either page, or DEFAULT
+     */
+    loadPreferred() {
+        try {
+            const unit = localStorage.getItem(Constants.STORAGE.WEIGHT_UNIT);
+            return this.isUnit(unit) ? unit : this.DEFAULT;
+        } catch (e) {
+            return this.DEFAULT;
+        }
+    },
+
+    /**
+     * @param {string} unit - Unit value to remember
+     */
+    savePreferred(unit) {
+        if (!this.isUnit(unit)) return;
+        try {
+            localStorage.setItem(Constants.STORAGE.WEIGHT_UNIT, unit);
+        } catch (e) {
+            // localStorage may be unavailable; non-fatal.
+        }
+    }
+};
+
+// Freeze to prevent modifications
+Object.freeze(WeightUnits.UNITS);
+Object.freeze(WeightUnits);
+
+// Export to global namespace
+window.WeightUnits = WeightUnits;
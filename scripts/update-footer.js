@@ -145,6 +145,7 @@ function updateFooter() {
 
         // Stamp asset versions in any other HTML entry points.
         stampHtmlFile(path.join(__dirname, '..', 'calc', 'index.html'), displayCommitCount);
+        stampHtmlFile(path.join(__dirname, '..', 'bands', 'index.html'), displayCommitCount);
 
     } catch (error) {
         if (error.message.includes('git rev-list')) {
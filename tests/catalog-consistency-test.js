@@ -0,0 +1,190 @@
+/**
+ * Catalog consistency checks for every MedsData entry, not just the meds
+ * DoseCalculator has methods for (see dose-baseline-test.js).
+ *
+ * Run: node tests/catalog-consistency-test.js
+ *
+ * Loads meds-data.js and the dose engine with a minimal `window` shim,
+ * then checks each entry's id, calc spec, weight-table rows and unit, and
+ * sweeps weights 0–30 lb through MedCalculator.compute (with syringe
+ * rounding, at the top of a dose range and under label age too) for NaN,
+ * negative or undefined output. Add a med to meds-data.js and it is
+ * covered here.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/meds-data.js',
+    'js/syringes.js',
+    'js/med-calculator.js',
+];
+
+// Syringes reads its saved setting from localStorage
+const store = new Map();
+const localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key)
+};
+
+const sandbox = { window: {}, console, localStorage };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { Constants, MedsData, MedCalculator } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+const meds = MedsData.all();
+const CALC_TYPES = ['linear', 'weightTable', 'outputRange'];
+const UNITS = ['mL', 'tablet', 'mg'];
+const MESSAGES = [Constants.MESSAGES.OUT_OF_RANGE, Constants.MESSAGES.CONTRAINDICATED];
+// Tablet pieces as written in weight tables: '¼', '½', '1', '1½'
+const TABLET_TEXT = /^(\d+[¼½¾]?|[¼½¾])$/;
+
+// ==========================================
+// Ids
+// ==========================================
+
+const ids = meds.map(med => med.id);
+check('catalog is not empty', meds.length > 0, true);
+check('ids are unique', ids.filter((id, i) => ids.indexOf(id) !== i), []);
+// '~' separates URL state segments; '.' and '_' split addedMeds entries
+check('ids are kebab-case (no ~ . _)', ids.filter(id => !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(id)), []);
+check('byId finds every id', ids.filter(id => !MedsData.byId(id) || MedsData.byId(id).id !== id), []);
+check('intake rows point at catalog ids', Object.values(Constants.MEDICATION_CATALOG_IDS).flat().filter(id => !MedsData.byId(id)), []);
+
+// ==========================================
+// Calc specs and units
+// ==========================================
+
+// The unit a calc spec doses in, or null when the unit can't be inferred
+function specUnit(calc) {
+    switch (calc.type) {
+        case 'linear':
+            if (calc.mlPerLb !== undefined) return 'mL';
+            return calc.concMgPerMl !== undefined ? 'mL' : 'mg';
+        case 'outputRange':
+            return 'mL';
+        case 'weightTable':
+            return calc.rows.every(row => typeof row.value === 'string') ? 'tablet' : 'mL';
+        default:
+            return null;
+    }
+}
+
+for (const med of meds) {
+    const calc = med.calc || {};
+    check(`${med.id}: calc type`, CALC_TYPES.includes(calc.type), true);
+    check(`${med.id}: calc spec`, MedCalculator.validateSpec(calc), []);
+    check(`${med.id}: unit`, UNITS.includes(med.unit), true);
+    check(`${med.id}: unit matches calc`, med.unit, specUnit(calc));
+
+    if (calc.type === 'weightTable') {
+        const rows = calc.rows;
+        const problems = [];
+        rows.forEach((row, i) => {
+            if (!(row.maxLb > row.minLb)) problems.push(`row ${i + 1} ends at or before it starts`);
+            const valueOk = med.unit === 'tablet'
+                ? typeof row.value === 'string' && TABLET_TEXT.test(row.value)
+                : typeof row.value === 'number' && row.value > 0;
+            if (!valueOk) problems.push(`row ${i + 1} value ${JSON.stringify(row.value)}`);
+            const next = rows[i + 1];
+            if (!next) return;
+            if (next.minLb < row.maxLb) problems.push(`rows ${i + 1} and ${i + 2} overlap or are unsorted`);
+            if (next.minLb === row.maxLb && row.maxInclusive) problems.push(`rows ${i + 1} and ${i + 2} share ${row.maxLb} lb`);
+            if (next.minLb > row.maxLb) problems.push(`gap between rows ${i + 1} and ${i + 2}`);
+            if (row.maxLb === Infinity) problems.push(`row ${i + 1} is unbounded but not last`);
+        });
+        check(`${med.id}: weight table rows`, problems, []);
+    }
+}
+
+// ==========================================
+// Weight sweep
+// ==========================================
+
+const isAmount = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0;
+
+// Why a compute() result is unusable, or null
+function problemWith(med, result) {
+    if (!result || typeof result !== 'object') return 'no result';
+    const { value, displayValue } = result;
+    if (value === undefined || value === null) return 'value is missing';
+    if (typeof value === 'number' && !isAmount(value)) return `value ${value}`;
+    if (Array.isArray(value) && !(value.length === 2 && value.every(isAmount) && value[0] <= value[1])) return `range ${JSON.stringify(value)}`;
+    if (typeof value === 'string' && !MESSAGES.includes(value) && !TABLET_TEXT.test(value)) return `value "${value}"`;
+    if (typeof displayValue !== 'string' || /NaN|undefined|null|Infinity|-\d/.test(displayValue)) return `display "${displayValue}"`;
+    if (typeof result.isOutOfRange !== 'boolean') return 'isOutOfRange is not a boolean';
+    if (result.isOutOfRange !== MESSAGES.includes(value)) return `isOutOfRange ${result.isOutOfRange} for "${value}"`;
+    for (const entry of result.breakdown || []) {
+        if (!isAmount(entry.mg) || !isAmount(entry.mgPerKg)) return `breakdown ${JSON.stringify(entry)}`;
+    }
+    for (const key of ['syringe', 'tablets', 'suspension']) {
+        const part = result[key];
+        if (!part) continue;
+        const numbers = ['ml', 'mg', 'mgPerKg', 'count', 'mgPerMl'].filter(k => k in part).map(k => part[k]);
+        if (!numbers.every(isAmount)) return `${key} ${JSON.stringify(part)}`;
+    }
+    if (result.range && !(isAmount(result.range.low) && isAmount(result.range.high) && result.range.low <= result.range.high)) {
+        return `range ${JSON.stringify(result.range)}`;
+    }
+    return null;
+}
+
+const weights = [];
+for (let tenth = 0; tenth <= 300; tenth++) weights.push(tenth / 10);
+
+const sweeps = [
+    { label: 'sweep', options: {} },
+    { label: 'sweep with syringe rounding', options: { syringe: 'auto' } },
+    { label: 'sweep at the top of a dose range', options: { rangePercent: 100 } },
+    { label: 'sweep for a 3-week-old', options: { ageWeeks: 3 } }
+];
+
+for (const med of meds) {
+    for (const { label, options } of sweeps) {
+        const problems = [];
+        for (const w of weights) {
+            let problem;
+            try {
+                problem = problemWith(med, MedCalculator.compute(med, w, options));
+            } catch (e) {
+                problem = `threw ${e.message}`;
+            }
+            if (problem) problems.push(`${w} lb: ${problem}`);
+        }
+        // The first few are enough to go on
+        check(`${med.id}: ${label}`, problems.slice(0, 3), []);
+    }
+}
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
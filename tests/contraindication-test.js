@@ -0,0 +1,106 @@
+/**
+ * Node-runnable checks for catalog age/weight constraints.
+ *
+ * Run: node tests/contraindication-test.js
+ *
+ * Loads the catalog, dose engine and ScheduleManager with a minimal
+ * `window` shim, then checks that meds below their minimum age or weight
+ * are blocked or flagged, and that blocked meds drop out of the schedule.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/app-state.js',
+    'js/meds-data.js',
+    'js/med-calculator.js',
+    'js/dose-calculator.js',
+    'js/schedule-manager.js',
+];
+
+const sandbox = { window: {}, console };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { AppState, Constants, MedsData, MedCalculator, DoseCalculator, IntakeProtocol, ScheduleManager } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+const revolution = MedsData.byId('revolution');
+const cerenia = MedsData.byId('cerenia');
+
+// Blocking constraint: dose withheld with a reason
+const young = MedCalculator.compute(revolution, 2, { ageWeeks: 6 });
+check('under min age is blocked', [young.isOutOfRange, young.value, young.displayValue],
+    [true, Constants.MESSAGES.CONTRAINDICATED, Constants.MESSAGES.CONTRAINDICATED]);
+check('block reason', young.contraindication, { severity: 'block', reason: 'Not for kittens under 8 weeks' });
+check('at min age is dosed', MedCalculator.compute(revolution, 2, { ageWeeks: 8 }).value, 0.05);
+const advantage = MedsData.byId('advantage-ii');
+check('advantage ii label minimum', [7, 8].map(ageWeeks => MedCalculator.compute(advantage, 2, { ageWeeks }).value),
+    [Constants.MESSAGES.CONTRAINDICATED, 0.23]);
+check('unknown age is not blocked', MedCalculator.compute(revolution, 2).contraindication, null);
+check('no constraints, no contraindication', MedCalculator.compute(MedsData.byId('panacur'), 2, { ageWeeks: 1 }).contraindication, null);
+
+// Weight minimums: outside the dosing table stays out of range, with the reason
+const light = MedCalculator.compute(MedsData.byId('capstar'), 1.5, { ageWeeks: 10 });
+check('under min weight keeps out of range', light.value, Constants.MESSAGES.OUT_OF_RANGE);
+check('weight reason', light.contraindication.reason, 'Not for kittens under 2 lb');
+
+// Caution constraint: still dosed, flagged
+const caution = MedCalculator.compute(cerenia, 2, { ageWeeks: 9 });
+check('caution still doses', caution.isOutOfRange, false);
+check('caution reason', caution.contraindication, { severity: 'caution', reason: 'Use with caution in kittens under 11 weeks' });
+
+// Protocol rows and the schedule
+const flea = IntakeProtocol.byKey('flea');
+const fleaDose = DoseCalculator.resolveProtocolDose(flea, 'revolution', 2, 6);
+check('protocol row shows contraindicated', fleaDose.display, Constants.MESSAGES.CONTRAINDICATED);
+check('protocol row carries reason', fleaDose.contraindication.reason, 'Not for kittens under 8 weeks');
+check('contraindicated is not a valid dose', DoseCalculator.isDoseValid(fleaDose.value), false);
+
+const kitten = DoseCalculator.addDosesToKitten({
+    id: 'kitten-1',
+    name: 'Tom',
+    weightLb: 2,
+    ageWeeks: 5,
+    topical: 'revolution',
+    drontalType: 'droncit',
+    panacurDays: 3,
+    ponazurilDays: 3,
+    medicationStatus: {
+        flea: 'todo', capstar: 'skip', drontal: 'todo', panacur: 'todo',
+        ponazuril: 'skip', nexgard: 'skip', pyrantel: 'skip'
+    },
+    addedMeds: [{ medId: 'cerenia', status: 'todo' }]
+});
+const [schedule] = new ScheduleManager(new AppState()).generateSchedule([kitten]);
+check('blocked meds left off the schedule', Object.keys(schedule.medications), ['panacur', 'cerenia']);
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
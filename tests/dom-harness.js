@@ -0,0 +1,124 @@
+/**
+ * Headless DOM harness for the app's pages, for tests that drive the form
+ * the way a person would (see intake-form-dom-test.js).
+ *
+ * Needs jsdom, which this repo doesn't vendor: run `npm install --no-save
+ * jsdom` in the repo root, or point NODE_PATH at a node_modules that has it.
+ *
+ * loadPage() parses a page's HTML with jsdom and runs its local <script
+ * src> files in order in the page's window, as the browser would (CDN
+ * scripts are skipped), then fires DOMContentLoaded so main-app.js starts.
+ * Each page gets a fresh window and localStorage. Uncaught errors from the
+ * app's event handlers are collected in `errors` instead of being printed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let jsdom;
+try {
+    jsdom = require('jsdom');
+} catch (e) {
+    console.log('jsdom is not installed: run `npm install --no-save jsdom` in the repo root');
+    process.exit(1);
+}
+const { JSDOM, VirtualConsole } = jsdom;
+
+const root = path.join(__dirname, '..');
+
+/**
+ * @param {string} [page='index.html'] - Page path from the repo root
+ * @param {Object} [options]
+ * @param {string} [options.search=''] - Query string, e.g. '?s=...' for URL state
+ * @param {Object} [options.storage] - localStorage entries to set before the app loads
+ * @returns {Object} The page: window, document, errors, and helpers that fire
+ *   the same events as typing, ticking and clicking
+ */
+function loadPage(page = 'index.html', { search = '', storage = {} } = {}) {
+    const htmlPath = path.join(root, page);
+    const scripts = [];
+    const html = fs.readFileSync(htmlPath, 'utf8').replace(/<script src="([^"]+)"><\/script>/g, (tag, src) => {
+        if (!/^(?:[a-z]+:)?\/\//i.test(src)) scripts.push(src.split('?')[0]);
+        return '';
+    });
+
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', (error) => errors.push(error.message));
+    virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+
+    const url = `https://kitten-intake.test/${page.replace(/index\.html$/, '')}${search}`;
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    const window = dom.window;
+    const document = window.document;
+
+    // Browser APIs jsdom doesn't implement
+    window.alert = () => {};
+    window.confirm = () => true;
+    window.matchMedia = () => ({ matches: false, addListener() {}, removeListener() {} });
+    window.scrollTo = () => {};
+    window.Element.prototype.scrollIntoView = function () {};
+    window.Element.prototype.scrollTo = function () {};
+
+    for (const [key, value] of Object.entries(storage)) {
+        window.localStorage.setItem(key, value);
+    }
+
+    for (const src of scripts) {
+        const file = path.join(path.dirname(htmlPath), src);
+        window.eval(`${fs.readFileSync(file, 'utf8')}\n//# sourceURL=${file}`);
+    }
+    document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    // jsdom fires its own DOMContentLoaded once parsing settles; the app
+    // has already started, so keep it from starting twice
+    document.addEventListener('DOMContentLoaded', (e) => e.stopImmediatePropagation(), true);
+
+    const byId = (id) => {
+        const el = document.getElementById(id);
+        if (!el) throw new Error(`No #${id} on ${page}`);
+        return el;
+    };
+
+    return {
+        window,
+        document,
+        errors,
+        byId,
+
+        /** Type into a field (fires input, as typing does) */
+        type(id, value) {
+            const el = byId(id);
+            el.value = value;
+            el.dispatchEvent(new window.Event('input', { bubbles: true }));
+        },
+
+        /** Pick a select option or set a date field (fires change) */
+        choose(id, value) {
+            const el = byId(id);
+            el.value = value;
+            el.dispatchEvent(new window.Event('change', { bubbles: true }));
+        },
+
+        /** Tick or untick a checkbox, or select a radio (fires change) */
+        check(id, checked = true) {
+            const el = byId(id);
+            el.checked = checked;
+            el.dispatchEvent(new window.Event('change', { bubbles: true }));
+        },
+
+        click(id) {
+            byId(id).click();
+        },
+
+        /** Text content with whitespace collapsed */
+        text(id) {
+            return byId(id).textContent.replace(/\s+/g, ' ').trim();
+        },
+
+        close() {
+            window.close();
+        }
+    };
+}
+
+module.exports = { loadPage };
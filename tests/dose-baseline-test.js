@@ -17,7 +17,9 @@ const vm = require('vm');
 
 const root = path.join(__dirname, '..');
 const files = [
+    'js/intake-protocol.js',
     'js/constants.js',
+    'js/app-state.js',
     'js/meds-data.js',
     'js/med-calculator.js',
     'js/dose-calculator.js',
@@ -28,7 +30,7 @@ vm.createContext(sandbox);
 for (const rel of files) {
     vm.runInContext(fs.readFileSync(path.join(root, rel), 'utf8'), sandbox, { filename: rel });
 }
-const { Constants, DoseCalculator } = sandbox.window;
+const { Constants, DoseCalculator, IntakeProtocol } = sandbox.window;
 const OOR = Constants.MESSAGES.OUT_OF_RANGE;
 
 const baseline = [
@@ -98,6 +100,29 @@ for (const [method, weight, expected] of baseline) {
     else { fail++; failures.push({ method, weight, expected, actual }); }
 }
 
+// Intake form rows (resolveProtocolDose) below each flea row's first
+// weight band, against what the form showed before the protocol rows.
+// Advantage II's first band starts at 0 lb, so it still doses 0.05 mL.
+// Capstar changed on purpose: the old form printed "1 tablet" at any
+// weight, but the label is for cats 2 lb and up (minWeightLb), so the
+// row now reads Out of range and nothing is dispensed.
+const intakeBaseline = [
+    // [row key, variant, weightLb, expected display]
+    ['flea',    'advantage', 0.5, '0.05 mL'],
+    ['flea',    'advantage', 1,   '0.05 mL'],
+    ['flea',    'advantage', 2,   '0.23 mL'],
+    ['capstar', undefined,   1,   OOR],        // was '1 tablet'
+    ['capstar', undefined,   1.9, OOR],        // was '1 tablet'
+    ['capstar', undefined,   2,   '1 tablet'],
+];
+
+for (const [key, variant, weight, expected] of intakeBaseline) {
+    const method = `resolveProtocolDose(${key}${variant ? `, ${variant}` : ''})`;
+    const actual = DoseCalculator.resolveProtocolDose(IntakeProtocol.byKey(key), variant, weight).display;
+    if (actual === expected) pass++;
+    else { fail++; failures.push({ method, weight, expected, actual }); }
+}
+
 console.log(`${pass} passing, ${fail} failing (baseline)`);
 if (failures.length) {
     console.log('\nFailures:');
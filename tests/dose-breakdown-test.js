@@ -0,0 +1,81 @@
+/**
+ * Node-runnable checks for the mg and mg/kg dose breakdown.
+ *
+ * Run: node tests/dose-breakdown-test.js
+ *
+ * Loads the catalog and dose engine with a minimal `window` shim, then
+ * checks the mg delivered and effective mg/kg that MedCalculator derives
+ * from each med's structured strength.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/app-state.js',
+    'js/meds-data.js',
+    'js/med-calculator.js',
+    'js/dose-calculator.js',
+];
+
+const sandbox = { window: {}, console };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { MedsData, MedCalculator, DoseCalculator, IntakeProtocol } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+const text = (medId, weightLb) => MedCalculator.breakdownText(MedCalculator.compute(MedsData.byId(medId), weightLb).breakdown);
+
+// mL doses: mg from mg/mL strength
+check('panacur 2 lb', text('panacur', 2), '40 mg · 44.1 mg/kg');
+check('droncit weight-table dose', text('droncit', 2), '11.36 mg · 12.5 mg/kg');
+check('azithromycin 200 mg/5 mL', text('azithromycin', 2), '8 mg · 8.8 mg/kg');
+
+// Tablet fractions, per ingredient for combination products
+check('drontal half tablet', text('drontal', 2), 'praziquantel 9.1 mg · 10 mg/kg; pyrantel pamoate 36.3 mg · 40 mg/kg');
+const drontal = MedCalculator.compute(MedsData.byId('drontal'), 10).breakdown;
+check('drontal 1½ tablets', drontal.map(b => Math.round(b.mg * 100) / 100), [27.3, 108.9]);
+
+// mg doses need no strength
+check('cerenia mg dose', text('cerenia', 2), '0.91 mg · 1 mg/kg');
+
+// No breakdown without an mg strength, a weight or an in-range dose
+check('no strength', MedCalculator.compute(MedsData.byId('revolution'), 2).breakdown, null);
+check('range dose', MedCalculator.compute(MedsData.byId('sq-fluids'), 2).breakdown, null);
+check('out of range', MedCalculator.compute(MedsData.byId('drontal'), 1).breakdown, null);
+check('no weight', MedCalculator.compute(MedsData.byId('panacur'), 0).breakdown, null);
+check('empty text', MedCalculator.breakdownText(null), '');
+
+// Passed through for intake protocol rows
+const panacur = DoseCalculator.resolveProtocolDose(IntakeProtocol.byKey('panacur'), undefined, 2);
+check('protocol row breakdown', MedCalculator.breakdownText(panacur.breakdown), '40 mg · 44.1 mg/kg');
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
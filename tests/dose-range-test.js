@@ -0,0 +1,100 @@
+/**
+ * Node-runnable checks for label dose ranges on linear meds.
+ *
+ * Run: node tests/dose-range-test.js
+ *
+ * Loads the catalog and dose engine with a minimal `window` shim, then
+ * checks the low/high doses of a ranged med, dosing at a picked point,
+ * that the low end stays the default, and range spec validation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/app-state.js',
+    'js/meds-data.js',
+    'js/med-calculator.js',
+    'js/dose-calculator.js',
+];
+
+const sandbox = { window: {}, console };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { MedsData, MedCalculator, DoseCalculator } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+const round = (n) => Math.round(n * 1000) / 1000;
+const clavamox = MedsData.byId('clavamox');
+
+// Which meds have a range
+check('clavamox has a range', MedCalculator.hasRange(clavamox), true);
+check('panacur has none', MedCalculator.hasRange(MedsData.byId('panacur')), false);
+check('outputRange is not a label range', MedCalculator.hasRange(MedsData.byId('sq-fluids')), false);
+
+// Low end is the default, so existing doses don't change
+const low = MedCalculator.compute(clavamox, 2);
+check('default dose is the low end', round(low.value), 0.2);
+check('range ends', [round(low.range.low), round(low.range.high), low.range.unit], [0.2, 0.32, 'mL']);
+check('range text', MedCalculator.rangeText(low.range), '0.20–0.32 mL (0.1–0.16 mL/lb), dosed at low');
+
+// Picked points
+check('mid dose', round(MedCalculator.compute(clavamox, 2, { rangePercent: 50 }).value), 0.26);
+check('high dose', MedCalculator.compute(clavamox, 2, { rangePercent: 100 }).displayValue, '0.32 mL');
+check('high mg/kg', MedCalculator.breakdownText(MedCalculator.compute(clavamox, 2, { rangePercent: 100 }).breakdown), '20 mg · 22 mg/kg');
+check('picked point text', MedCalculator.rangeText(MedCalculator.compute(clavamox, 2, { rangePercent: 75 }).range), '0.20–0.32 mL (0.1–0.16 mL/lb), dosed at 75%');
+check('point clamped to the range', round(MedCalculator.compute(clavamox, 2, { rangePercent: 150 }).value), 0.32);
+check('no range without a weight', MedCalculator.compute(clavamox, 0).range, null);
+check('no range for fixed-rate meds', MedCalculator.compute(MedsData.byId('panacur'), 2).range, null);
+
+// mg/kg ranges
+const mgRange = { ...MedsData.byId('ondansetron-tablets'), calc: { type: 'linear', mgPerKg: 0.5, mgPerKgMax: 1 } };
+const mgDose = MedCalculator.compute(mgRange, 2.2046226, { rangePercent: 100 });
+check('mg/kg high end', [mgDose.displayValue, mgDose.range.unit, mgDose.range.rateText], ['1.00 mg', 'mg', '0.5–1 mg/kg']);
+
+// Kitten state: the point picked per added med
+const kitten = DoseCalculator.addDosesToKitten({
+    id: 'kitten-1',
+    weightLb: 2,
+    topical: 'revolution',
+    drontalType: 'droncit',
+    addedMeds: [{ medId: 'clavamox', status: 'todo', rangePercent: 50 }]
+});
+check('added med dosed at its point', round(kitten.doses.added.clavamox.value), 0.26);
+check('added med range', kitten.doses.added.clavamox.range.percent, 50);
+
+// Validation
+check('clavamox spec is valid', MedCalculator.validateSpec(clavamox.calc), []);
+check('max below base', MedCalculator.validateSpec({ type: 'linear', mlPerLb: 0.2, mlPerLbMax: 0.1 }), ['mlPerLbMax must not be below mlPerLb']);
+check('max without its base', MedCalculator.validateSpec({ type: 'linear', mlPerLb: 0.1, mgPerKgMax: 2 }), ['mgPerKgMax needs mgPerKg as the low end of the range']);
+check('non-numeric max', MedCalculator.validateSpec({ type: 'linear', mgPerKg: 1, mgPerKgMax: 'x' }), ['mgPerKgMax must be a positive number']);
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
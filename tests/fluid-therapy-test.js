@@ -0,0 +1,111 @@
+/**
+ * Node-runnable checks for SQ fluid plans.
+ *
+ * Run: node tests/fluid-therapy-test.js
+ *
+ * Loads the catalog, FluidTherapy and the dose/schedule code with a minimal
+ * `window` shim, then checks maintenance + deficit volumes, how a day is
+ * split into SQ doses, and that an SQ Fluids row with a dehydration
+ * estimate is dosed and scheduled from its plan.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/app-state.js',
+    'js/meds-data.js',
+    'js/med-calculator.js',
+    'js/fluid-therapy.js',
+    'js/dose-calculator.js',
+    'js/schedule-manager.js',
+];
+
+const sandbox = { window: {}, console };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { AppState, FluidTherapy, DoseCalculator, ScheduleManager } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+// Levels
+check('known level', FluidTherapy.isLevel(7), true);
+check('unknown level', FluidTherapy.isLevel(6), false);
+check('string is not a level', FluidTherapy.isLevel('7'), false);
+check('level text', FluidTherapy.levelText(7), '7% — Skin tent slow to return, dry gums');
+
+// Plans
+const plan = FluidTherapy.plan(2, 5);
+check('2 lb 5% maintenance', plan.maintenanceMl, 54);
+check('2 lb 5% deficit', plan.deficitMl, 45);
+check('2 lb 5% daily', plan.dailyMl, 100);
+check('2 lb 5% split', [plan.dosesPerDay, plan.everyHours, plan.perDoseMl], [3, 8, 33]);
+check('2 lb 5% over the SQ limit', /over the 18 mL SQ limit/.test(plan.warning), true);
+check('plan text', FluidTherapy.planText(plan), '100 mL/day (54 maintenance + 45 deficit) as 3 × 33 mL');
+
+const light = FluidTherapy.plan(4, 0);
+check('4 lb maintenance only', [light.dailyMl, light.dosesPerDay, light.perDoseMl], [109, 3, 36]);
+check('4 lb maintenance needs no vet', light.warning, null);
+
+const shock = FluidTherapy.plan(3, 12);
+check('12% warns of shock', /Signs of shock/.test(shock.warning), true);
+check('no weight, no plan', FluidTherapy.plan(0, 5), null);
+check('unknown level, no plan', FluidTherapy.plan(2, 6), null);
+
+// Dose results
+check('planned dose', DoseCalculator.calculateCatalogDose('sq-fluids', 2, null, { dehydration: 5 }).displayValue, '33 mL');
+check('plain range without a plan', DoseCalculator.calculateCatalogDose('sq-fluids', 2).displayValue, '11.80–18.00 mL');
+check('catalog med follows the plan', DoseCalculator.catalogMed('sq-fluids', FluidTherapy.dose(2, 5)).frequency, { everyHours: 8 });
+check('catalog med without a plan', DoseCalculator.catalogMed('sq-fluids', null).frequency, undefined);
+
+// Schedule
+const manager = new ScheduleManager(new AppState());
+const kitten = DoseCalculator.addDosesToKitten({
+    id: 'kitten-1',
+    name: 'Tom',
+    weightLb: 2,
+    topical: 'revolution',
+    drontalType: 'droncit',
+    panacurDays: 3,
+    ponazurilDays: 3,
+    medicationStatus: {
+        flea: 'skip', capstar: 'skip', drontal: 'skip', panacur: 'skip',
+        ponazuril: 'skip', nexgard: 'skip', pyrantel: 'skip'
+    },
+    addedMeds: [{ medId: 'sq-fluids', status: 'todo', dehydration: 5 }]
+});
+const [schedule] = manager.generateSchedule([kitten]);
+const fluids = schedule.medications['sq-fluids'];
+check('fluids dose', fluids.dose, 33);
+check('fluids slots today', fluids.doses.map(d => d.slot), ['morning', 'afternoon', 'night']);
+check('fluids frequency label', fluids.frequency, 'every 8h');
+check('fluids doses left', manager.calculateRemainingMedications(kitten).added[0].doses, 3);
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
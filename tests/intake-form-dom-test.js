@@ -0,0 +1,292 @@
+/**
+ * End-to-end checks for the intake form, in a headless DOM.
+ *
+ * Run: node tests/intake-form-dom-test.js (needs jsdom, see dom-harness.js)
+ *
+ * Loads index.html with every js/ module through dom-harness.js, then adds
+ * cats, enters weights and toggles meds and statuses the way a person
+ * would, checking the rendered Foster Checklist and Dispense Summary after
+ * each step. Covers form-manager, form-renderer, results-display and
+ * schedule-manager together, which the other tests load one at a time,
+ * and which intake history record the cats are archived to across reloads.
+ */
+
+const { loadPage } = require('./dom-harness');
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A fixed intake date so the checklist dates don't move with the clock
+const INTAKE = '2026-03-02T09:00';
+
+// Dispense Summary as { name: total }
+function dispense(page) {
+    const totals = {};
+    page.document.querySelectorAll('#dispense-summary-content .total-item').forEach(item => {
+        totals[item.querySelector('span').textContent] = item.querySelector('strong').textContent;
+    });
+    return totals;
+}
+
+// localStorage entries, to load the page again with
+function storageOf(page) {
+    const storage = {};
+    for (let i = 0; i < page.window.localStorage.length; i++) {
+        const key = page.window.localStorage.key(i);
+        storage[key] = page.window.localStorage.getItem(key);
+    }
+    return storage;
+}
+
+// Stands in for IndexedDB, which jsdom doesn't have: records are kept in
+// `records` by id, built the way IntakeHistory.archive builds them
+function useHistory(page, records) {
+    const { IntakeHistory } = page.window;
+    const history = {
+        isAvailable: true,
+        fail: false,
+        async archive(formData, kittens, id = null) {
+            if (this.fail) throw new Error('QuotaExceededError');
+            const record = { ...IntakeHistory.buildRecord(formData, kittens), id: id || records.size + 1 };
+            records.set(record.id, record);
+            return record;
+        }
+    };
+    page.window.KittenApp.mainApp.intakeHistory = history;
+    return history;
+}
+
+function addCat(page, name, lb) {
+    page.choose('kitten-1-weight-unit', 'lb');
+    page.type('kitten-1-name', name);
+    page.type('kitten-1-weight-entry', lb);
+}
+
+// Foster Checklist as cat headers, med headers and one line per day: the
+// date, then 'x' for a dose checkbox or '-' for no dose, in column order
+function checklist(page) {
+    const table = page.document.querySelector('#foster-checklist-content .checklist-table');
+    if (!table) return { empty: page.text('foster-checklist-content') };
+    const headerText = (th) => Array.from(th.childNodes)
+        .filter(node => node.nodeName !== 'BR')
+        .map(node => node.textContent.trim())
+        .join(' | ');
+    return {
+        cats: Array.from(table.querySelectorAll('.kitten-header')).map(th => th.textContent.replace(/\s+/g, ' ').trim()),
+        meds: Array.from(table.querySelectorAll('.med-header')).map(headerText),
+        days: Array.from(table.querySelectorAll('tbody tr')).map(tr => {
+            const [date, ...cells] = Array.from(tr.cells);
+            return `${date.textContent} ${cells.map(td => (td.querySelector('input[type="checkbox"]') ? 'x' : '-')).join('')}`;
+        })
+    };
+}
+
+async function main() {
+    // ==========================================
+    // One cat
+    // ==========================================
+
+    const page = loadPage('index.html');
+    const results = page.byId('results-section');
+
+    check('starts with one cat', page.document.querySelectorAll('#kittens-container .kitten-form').length, 1);
+    check('results hidden before a weight', results.style.display, 'none');
+
+    page.choose('intake-datetime', INTAKE);
+    page.type('kitten-1-name', 'Tom');
+    page.choose('kitten-1-weight-unit', 'lb');
+    page.type('kitten-1-weight-entry', '2');
+
+    check('weight entry stored as grams', page.byId('kitten-1-weight').value, '907.2');
+    check('results shown after a weight', results.style.display, 'block');
+    check('no meds: nothing to dispense', dispense(page), {});
+    check('no meds: checklist empty', checklist(page).empty.startsWith('No medications needed for foster care.'), true);
+
+    page.check('kitten-1-flea-enabled');
+    page.check('kitten-1-panacur-enabled');
+    page.check('kitten-1-ponazuril-enabled');
+
+    check('panacur dose on the form', page.text('kitten-1-panacur-dose'), '0.40 mL/day');
+    check('all to do: dispense summary', dispense(page), {
+        Revolution: '0.05 mL',
+        Panacur: '2.00 mL',
+        Ponazuril: '1.38 mL'
+    });
+    check('all to do: checklist', checklist(page), {
+        cats: ['Tom 907 g (2.00 lb)'],
+        meds: [
+            'Revolution | 0.05 mL | 0.5 mL syringe',
+            'Panacur | 0.40 mL | 0.5 mL syringe',
+            'Ponazuril | 0.46 mL | 0.5 mL syringe'
+        ],
+        days: ['3/2 xxx', '3/3 -xx', '3/4 -xx', '3/5 -x-', '3/6 -x-']
+    });
+
+    // Given at intake: the first day is done, the rest starts tomorrow
+    page.check('kitten-1-panacur-status-done');
+    check('panacur done: status light', page.byId('kitten-1-panacur-status-light').className, 'status-light done');
+    check('panacur done: dispense summary', dispense(page).Panacur, '1.60 mL');
+    check('panacur done: checklist', checklist(page).days, ['3/2 x-x', '3/3 -xx', '3/4 -xx', '3/5 -x-', '3/6 -x-']);
+
+    // Delayed topical moves out to the protocol's delay
+    page.check('kitten-1-flea-status-delay');
+    check('flea delayed: checklist', checklist(page).days, ['3/2 --x', '3/3 -xx', '3/4 xxx', '3/5 -x-', '3/6 -x-']);
+    check('flea delayed: still dispensed', dispense(page).Revolution, '0.05 mL');
+
+    page.check('kitten-1-flea-status-done');
+    check('flea done: dispense summary', dispense(page), { Panacur: '1.60 mL', Ponazuril: '1.38 mL' });
+    check('flea done: checklist columns', checklist(page).meds, [
+        'Panacur | 0.40 mL | 0.5 mL syringe',
+        'Ponazuril | 0.46 mL | 0.5 mL syringe'
+    ]);
+
+    // Switching the topical changes what's dispensed, not what's scheduled
+    page.check('kitten-1-flea-status-todo');
+    page.check('kitten-1-topical-advantage');
+    check('advantage: dispense summary', Object.keys(dispense(page)), ['Advantage II', 'Panacur', 'Ponazuril']);
+    page.check('kitten-1-topical-revolution');
+    page.check('kitten-1-flea-status-done');
+
+    // ==========================================
+    // A second cat
+    // ==========================================
+
+    page.click('add-kitten-btn');
+    check('second cat added', page.document.querySelectorAll('#kittens-container .kitten-form').length, 2);
+    check('second cat copies the first cat\'s meds', ['flea', 'panacur', 'ponazuril', 'drontal'].map(med => page.byId(`kitten-2-${med}-enabled`).checked), [true, true, true, false]);
+    check('second cat copies statuses', page.byId('kitten-2-panacur-status-done').checked, true);
+    check('second cat without a weight adds nothing', dispense(page), { Panacur: '1.60 mL', Ponazuril: '1.38 mL' });
+
+    page.type('kitten-2-name', 'Jerry');
+    page.choose('kitten-2-weight-unit', 'lb');
+    page.type('kitten-2-weight-entry', '3');
+
+    check('two cats: dispense summary', dispense(page), { Panacur: '4.00 mL', Ponazuril: '3.45 mL' });
+    check('two cats: checklist', checklist(page), {
+        cats: ['Tom 907 g (2.00 lb)', 'Jerry 1,361 g (3.00 lb)'],
+        meds: [
+            'Panacur | 0.40 mL | 0.5 mL syringe',
+            'Ponazuril | 0.46 mL | 0.5 mL syringe',
+            'Panacur | 0.60 mL | 1 mL syringe',
+            'Ponazuril | 0.69 mL | 1 mL syringe'
+        ],
+        days: ['3/2 -x-x', '3/3 xxxx', '3/4 xxxx', '3/5 x-x-', '3/6 x-x-']
+    });
+
+    page.check('kitten-2-ponazuril-enabled', false);
+    check('second cat off ponazuril: dispense summary', dispense(page), { Panacur: '4.00 mL', Ponazuril: '1.38 mL' });
+    check('second cat off ponazuril: checklist', checklist(page).days, ['3/2 -x-', '3/3 xxx', '3/4 xxx', '3/5 x-x', '3/6 x-x']);
+
+    // Ponazuril given to the first cat too: only Panacur is left, and the
+    // checklist starts the day after intake
+    page.check('kitten-1-ponazuril-status-done');
+    check('ponazuril done: dispense summary', dispense(page), { Panacur: '4.00 mL', Ponazuril: '0.92 mL' });
+    page.check('kitten-1-ponazuril-enabled', false);
+    check('only panacur left: checklist', checklist(page).days, ['3/3 xx', '3/4 xx', '3/5 xx', '3/6 xx']);
+
+    check('no errors from the page', page.errors, []);
+
+    // ==========================================
+    // Reload
+    // ==========================================
+
+    // Edits are saved after a short debounce; a reload restores them
+    await wait(700);
+    const storage = storageOf(page);
+    const expected = { dispense: dispense(page), checklist: checklist(page) };
+    page.close();
+
+    const reloaded = loadPage('index.html', { storage });
+    // main-app.js draws restored results after a short timeout
+    await wait(200);
+    check('reload: names', [reloaded.byId('kitten-1-name').value, reloaded.byId('kitten-2-name').value], ['Tom', 'Jerry']);
+    check('reload: dispense summary', dispense(reloaded), expected.dispense);
+    check('reload: checklist', checklist(reloaded), expected.checklist);
+    check('reload: no errors', reloaded.errors, []);
+    reloaded.close();
+
+    // ==========================================
+    // Edited catalog names
+    // ==========================================
+
+    // Names edited on /calc/ are shown as typed, not read as markup
+    const edited = loadPage('index.html');
+    const { MedCatalog, MedsData } = edited.window;
+    MedCatalog.save({ ...MedCatalog.editable(MedsData.byId('panacur')), name: 'Panacur &amp; Co' });
+    edited.choose('intake-datetime', INTAKE);
+    addCat(edited, 'Tom', '2');
+    edited.check('kitten-1-panacur-enabled');
+    check('edited name on the result', edited.document.querySelector('#kitten-1-result-content .result-item strong').textContent, 'Panacur &amp; Co');
+    check('edited name on the checklist', checklist(edited).meds, ['Panacur &amp; Co | 0.40 mL | 0.5 mL syringe']);
+    edited.close();
+
+    // ==========================================
+    // Intake history record
+    // ==========================================
+
+    const records = new Map();
+    const first = loadPage('index.html');
+    const firstApp = first.window.KittenApp.mainApp;
+    useHistory(first, records);
+    addCat(first, 'Tom', '2');
+    await firstApp.archiveCurrentIntake();
+    check('saved to history', [...records.keys()], [1]);
+    await firstApp.archiveCurrentIntake();
+    check('saving unchanged cats adds nothing', records.size, 1);
+
+    // Clear All archives the cats (already there), then re-open them over new ones
+    await firstApp.clearAllData();
+    addCat(first, 'Jerry', '3');
+    await firstApp.openArchivedIntake(records.get(1));
+    check('new cats archived before re-opening', records.get(2).kittens.map(k => k.name), ['Jerry']);
+    check('re-opened cats', first.byId('kitten-1-name').value, 'Tom');
+    const reopenedStorage = storageOf(first);
+    first.close();
+
+    // After a reload, archiving the re-opened cats updates their record
+    const second = loadPage('index.html', { storage: reopenedStorage });
+    const secondApp = second.window.KittenApp.mainApp;
+    const history = useHistory(second, records);
+    await wait(200);
+    check('reload: history record kept', second.window.KittenApp.appState.getHistoryId(), 1);
+    second.type('kitten-1-name', 'Tommy');
+    await secondApp.archiveCurrentIntake();
+    check('reload: record updated, not duplicated', [records.size, records.get(1).kittens[0].name], [2, 'Tommy']);
+
+    // A failed archive leaves the current cats in place
+    const alerts = [];
+    second.window.alert = (message) => alerts.push(message);
+    history.fail = true;
+    second.type('kitten-1-name', 'Thomas');
+    await secondApp.openArchivedIntake(records.get(2));
+    check('failed archive: not opened', [second.byId('kitten-1-name').value, alerts.length], ['Thomas', 1]);
+    check('history: no errors', second.errors, []);
+    second.close();
+
+    console.log(`${pass} passing, ${fail} failing`);
+    if (failures.length) {
+        console.log('\nFailures:');
+        for (const f of failures) {
+            console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+        }
+        process.exit(1);
+    }
+}
+
+main().catch(e => {
+    console.log(`Error: ${e.stack}`);
+    process.exit(1);
+});
@@ -0,0 +1,94 @@
+/**
+ * Node-runnable checks for intake history records.
+ *
+ * Run: node tests/intake-history-test.js
+ *
+ * Loads the catalog, dose engine and intake-history.js with a minimal
+ * `window` shim (no IndexedDB), then checks how archive records summarize
+ * an intake and how search matches them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/app-state.js',
+    'js/meds-data.js',
+    'js/med-calculator.js',
+    'js/dose-calculator.js',
+    'js/intake-history.js',
+];
+
+const sandbox = { window: {}, console };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { DoseCalculator, IntakeHistory, Constants } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+const skipAll = Object.fromEntries(Constants.MEDICATIONS.map(med => [med, 'skip']));
+const kitten = DoseCalculator.addDosesToKitten({
+    name: 'Tom',
+    microchip: '985112345678901',
+    weightGrams: 900,
+    weightLb: 900 / 453.592,
+    topical: 'revolution',
+    drontalType: 'droncit',
+    panacurDays: 5,
+    ponazurilDays: 3,
+    medicationStatus: { ...skipAll, flea: 'done', panacur: 'todo' },
+    addedMeds: [{ medId: 'cerenia', status: 'todo' }]
+});
+const formData = {
+    appState: { kittenCounter: 1, activeKittens: ['kitten-1'], intakeDate: '2026-10-18T09:30' },
+    kittens: { 'kitten-1': { name: 'Tom' } }
+};
+
+const record = IntakeHistory.buildRecord(formData, [kitten], new Date('2026-10-19T12:00:00Z'));
+check('intake date from form', record.intakeDate, '2026-10-18T09:30');
+check('archive time', record.archivedAt, '2026-10-19T12:00:00.000Z');
+check('storage version recorded', record.version, Constants.STORAGE.VERSION);
+check('catalog version recorded', record.catalog, sandbox.window.MedsData.version());
+check('form data kept for restore', record.formData, formData);
+check('form data is a copy', record.formData !== formData, true);
+
+const [summary] = record.kittens;
+check('summary identity', [summary.name, summary.microchip, summary.weightGrams], ['Tom', '985112345678901', 900]);
+check('skipped meds left out', summary.doses.map(d => d.medId), ['revolution', 'panacur', 'cerenia']);
+check('statuses kept', summary.doses.map(d => d.status), ['done', 'todo', 'todo']);
+check('dose text as displayed', summary.doses[1].display, kitten.doses.panacur.display);
+
+// Search by name or microchip
+check('empty query matches', IntakeHistory.matches(record, '  '), true);
+check('name match is case-insensitive', IntakeHistory.matches(record, 'tom'), true);
+check('partial microchip match', IntakeHistory.matches(record, '5678901'), true);
+check('no match', IntakeHistory.matches(record, 'whiskers'), false);
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
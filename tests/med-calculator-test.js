@@ -3,7 +3,7 @@
  *
  * Run: node tests/med-calculator-test.js
  *
- * Loads constants.js, dose-calculator.js, meds-data.js, med-calculator.js
+ * Loads intake-protocol.js, constants.js, dose-calculator.js, meds-data.js, med-calculator.js
  * with a minimal `window` shim, then asserts that MedCalculator.compute
  * produces the same raw value as DoseCalculator for every built-in med
  * across sample weights.
@@ -15,6 +15,7 @@ const vm = require('vm');
 
 const root = path.join(__dirname, '..');
 const files = [
+    'js/intake-protocol.js',
     'js/constants.js',
     'js/dose-calculator.js',
     'js/meds-data.js',
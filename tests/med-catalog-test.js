@@ -0,0 +1,162 @@
+/**
+ * Node-runnable checks for local catalog edits and CSV/JSON import/export.
+ *
+ * Run: node tests/med-catalog-test.js
+ *
+ * Loads the catalog, dose engine and med-catalog.js with a minimal `window`
+ * shim (localStorage backed by a Map), then checks calc spec validation,
+ * saving and reverting edits, and round-tripping the catalog through CSV
+ * and JSON.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/meds-data.js',
+    'js/med-calculator.js',
+    'js/med-catalog.js',
+];
+
+const store = new Map();
+let storageFull = false;
+const localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => {
+        if (storageFull) throw new Error('QuotaExceededError');
+        store.set(key, String(value));
+    },
+};
+// persist() warns when storage is full; the checks below cover that
+const sandbox = { window: {}, console: { ...console, warn() {} }, localStorage };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { MedsData, MedCalculator, MedCatalog } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+const dose = (medId, weightLb) => MedCalculator.compute(MedsData.byId(medId), weightLb).displayValue;
+
+// Calc spec validation
+check('every built-in spec is valid', MedsData.all().filter(m => MedCalculator.validateSpec(m.calc).length).map(m => m.id), []);
+check('unknown type', MedCalculator.validateSpec({ type: 'curve' }), ['Unknown calc type: curve']);
+check('linear needs a rate', MedCalculator.validateSpec({ type: 'linear' }), ['A linear spec needs mlPerLb or mgPerKg']);
+check('negative rate', MedCalculator.validateSpec({ type: 'linear', mlPerLb: -1 }), ['mlPerLb must be a positive number']);
+check('unsorted table', MedCalculator.validateSpec({ type: 'weightTable', rows: [
+    { minLb: 2, maxLb: 5, value: '1' }, { minLb: 1, maxLb: 2, value: '½' }
+] }), ['Row 2: rows must be sorted by minLb']);
+check('inverted range', MedCalculator.validateSpec({ type: 'outputRange', mlPerLbMin: 9, mlPerLbMax: 5 }), ['mlPerLbMax must not be below mlPerLbMin']);
+
+// Catalog version
+const builtInVersion = MedsData.version();
+check('version from the change log', [builtInVersion.version, builtInVersion.edited], [MedsData.changelog().slice(-1)[0].version, false]);
+check('version text', MedsData.versionText(), `Catalog v${builtInVersion.version} (${builtInVersion.date}) #${builtInVersion.hash}`);
+check('every med reviewed', MedsData.all().filter(m => !/^\d{4}-\d{2}-\d{2}$/.test(m.reviewed)).map(m => m.id), []);
+
+// Editing a built-in med
+const ponazuril = MedCatalog.editable(MedsData.byId('ponazuril'));
+let result = MedCatalog.save({ ...ponazuril, calc: { type: 'linear', mlPerLb: 0.25 }, notes: 'Shake well' });
+check('edit saved', result.errors, []);
+check('edit doses', dose('ponazuril', 4), '1.00 mL');
+check('edit keeps other fields', MedsData.byId('ponazuril').strength, { per: 'mL', mg: 100 });
+check('built-in kept', MedsData.builtIn('ponazuril').calc.mlPerLb, 0.23);
+check('marked edited', MedCatalog.isEdited('ponazuril'), true);
+check('dose edit changes the hash', [MedsData.version().edited, MedsData.version().hash !== builtInVersion.hash], [true, true]);
+check('edited version text', MedsData.versionText().endsWith(', edited on this device'), true);
+check('bad edit rejected', MedCatalog.save({ ...ponazuril, unit: 'drops', calc: { type: 'linear' } }).errors, [
+    'Unit must be one of: mL, tablet, mg',
+    'Calc spec: A linear spec needs mlPerLb or mgPerKg'
+]);
+MedCatalog.remove('ponazuril');
+check('reverted', [dose('ponazuril', 4), MedCatalog.isEdited('ponazuril')], ['0.92 mL', false]);
+check('reverted hash', MedsData.version().hash, builtInVersion.hash);
+MedCatalog.save({ ...ponazuril, notes: 'Shake well', reviewed: '2026-10-18' });
+check('text edits keep the hash', [MedsData.version().edited, MedsData.byId('ponazuril').reviewed], [false, '2026-10-18']);
+check('markup in a name', MedCatalog.save({ ...ponazuril, name: 'x" autofocus onfocus="alert(1)' }).errors, ['Name can\'t contain < > or "']);
+check('bad review date', MedCatalog.save({ ...ponazuril, reviewed: '18/10/2026' }).errors, ['Reviewed must be a date (YYYY-MM-DD)']);
+MedCatalog.remove('ponazuril');
+MedCatalog.save({ ...ponazuril });
+check('saving the built-in values stores nothing', MedCatalog.load(), []);
+
+// Clearing a built-in med's optional text
+const cerenia = MedCatalog.editable(MedsData.byId('cerenia'));
+check('cleared warning saved', MedCatalog.save({ ...cerenia, warning: '' }).errors, []);
+check('cleared warning stays cleared', [MedsData.byId('cerenia').warning, MedCatalog.isEdited('cerenia')], ['', true]);
+check('cleared warning kept in the editor', MedCatalog.editable(MedsData.byId('cerenia')).warning, '');
+check('other text kept', MedsData.byId('cerenia').notes, MedsData.builtIn('cerenia').notes);
+MedCatalog.remove('cerenia');
+check('cleared warning reverted', MedsData.byId('cerenia').warning, MedsData.builtIn('cerenia').warning);
+check('blank CSV cell clears text', MedCatalog.importText('ID,Notes\ncerenia,\n', 'csv').count, 1);
+check('blank CSV cell cleared', [MedsData.byId('cerenia').notes, MedsData.byId('cerenia').warning], ['', MedsData.builtIn('cerenia').warning]);
+MedCatalog.remove('cerenia');
+
+// Adding a med
+result = MedCatalog.save({ id: 'doxycycline', name: 'Doxycycline', category: 'antibiotic', unit: 'mL', concentration: '10 mg/mL', calc: { type: 'linear', mlPerLb: 0.1 } });
+check('new med', [result.med.name, dose('doxycycline', 3), MedCatalog.isCustom('doxycycline')], ['Doxycycline', '0.30 mL', true]);
+check('new med listed last', MedsData.all()[MedsData.all().length - 1].id, 'doxycycline');
+const reloaded = { window: {}, console, localStorage };
+vm.createContext(reloaded);
+for (const rel of files) {
+    vm.runInContext(fs.readFileSync(path.join(root, rel), 'utf8'), reloaded, { filename: rel });
+}
+check('edits survive a reload', reloaded.window.MedsData.byId('doxycycline').name, 'Doxycycline');
+
+// Export and import
+const csv = MedCatalog.toCSV();
+check('csv header', csv.split('\n')[0], 'Medication,Concentration,Calculation,Notes,Warning,ID,Category,Unit,Calc spec,Reviewed');
+check('csv quotes multi-line cells', csv.includes('"23 mg/lb\n50 mg/kg"'), true);
+check('csv round-trip', MedCatalog.importText(csv, 'csv'), { count: MedsData.all().length, errors: [], saved: true });
+check('round-trip changes nothing', MedCatalog.load().map(e => e.id), ['doxycycline']);
+check('json round-trip', MedCatalog.importText(MedCatalog.toJSON(), 'json').errors, []);
+check('unbounded rows survive json', MedsData.byId('advantage-ii').calc.rows.slice(-1)[0].maxLb === Infinity, true);
+const original = 'Medication,Concentration,Calculation,Notes\nPanacur,100 mg/mL,"20 mg/lb\n44 mg/kg",Give with food\n';
+check('original columns update text', MedCatalog.importText(original, 'csv').count, 1);
+check('imported note', [MedsData.byId('panacur').notes, dose('panacur', 2)], ['Give with food', '0.40 mL']);
+
+const bad = 'Medication,Calc spec\nPanacur,"{""type"": ""linear""}"\nNew Med,\n';
+check('invalid rows import nothing', MedCatalog.importText(bad, 'csv'), { count: 0, errors: [
+    'Row 1 (Panacur): Calc spec: A linear spec needs mlPerLb or mgPerKg',
+    'Row 2 (New Med): Category must be one of: dewormer, antibiotic, antiemetic, flea-tick, fluids, supplement',
+    'Row 2 (New Med): Unit must be one of: mL, tablet, mg',
+    'Row 2 (New Med): Calc spec: Calc spec is missing'
+], saved: false });
+check('bad json', MedCatalog.importText('{', 'json').count, 0);
+
+// Storage full or blocked
+storageFull = true;
+result = MedCatalog.save({ ...ponazuril, notes: 'Shake well' });
+check('unsaved edit reported', [result.errors, result.saved, MedsData.byId('ponazuril').notes], [[], false, 'Shake well']);
+check('unsaved status', MedCatalog.statusText('Saved Ponazuril', result.saved), 'Saved Ponazuril until this page reloads: this device\'s storage is full or blocked');
+check('unsaved import reported', MedCatalog.importText(original, 'csv').saved, false);
+check('unsaved revert reported', MedCatalog.remove('ponazuril'), false);
+storageFull = false;
+check('saved status', MedCatalog.statusText('Saved Ponazuril', MedCatalog.save({ ...ponazuril }).saved), 'Saved Ponazuril');
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
@@ -0,0 +1,88 @@
+/**
+ * Node-runnable checks for medication interaction and duplicate-therapy
+ * warnings.
+ *
+ * Run: node tests/med-interactions-test.js
+ *
+ * Loads the catalog and med-interactions.js with a minimal `window` shim,
+ * then checks which selected meds are flagged and which intake rows a
+ * 'block' rule locks out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/meds-data.js',
+    'js/med-interactions.js',
+];
+
+const sandbox = { window: {}, console };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { MedInteractions } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+// Selected meds from kitten data: enabled rows resolved to their variant
+const kitten = {
+    medicationStatus: { flea: 'todo', capstar: 'skip', drontal: 'done', panacur: 'skip', ponazuril: 'skip', nexgard: 'delay', pyrantel: 'skip' },
+    topical: 'revolution',
+    drontalType: 'droncit',
+    addedMeds: [{ medId: 'ondansetron-tablets', status: 'todo' }, { medId: 'ondansetron-injectable', status: 'todo' }]
+};
+const selected = MedInteractions.selectedMedIds(kitten);
+check('selected meds', selected, ['revolution', 'droncit', 'nexgard-combo', 'ondansetron-tablets', 'ondansetron-injectable']);
+
+const findings = MedInteractions.check(selected);
+check('rule and duplicate ingredients flagged', findings.map(f => f.meds), [
+    ['nexgard-combo', 'revolution'],
+    ['droncit', 'nexgard-combo'],
+    ['ondansetron-tablets', 'ondansetron-injectable'],
+]);
+check('rule reason', MedInteractions.describe(findings[0]), 'NexGard Combo + Revolution: Both treat fleas and ear mites');
+check('shared ingredient reason', findings[1].reason, 'Both contain praziquantel');
+check('duplicate ingredient is a warning', findings[2].severity, 'warn');
+
+// A rule wins over the shared ingredient for the same pair
+const drontal = MedInteractions.check(['drontal', 'pyrantel']);
+check('one finding per pair', drontal.length, 1);
+check('block rule', [drontal[0].severity, drontal[0].reason], ['block', 'Drontal tablets already contain pyrantel']);
+
+check('no findings for unrelated meds', MedInteractions.check(['panacur', 'ponazuril', 'revolution']), []);
+check('same med listed twice is not a pair', MedInteractions.check(['panacur', 'panacur']), []);
+check('unknown ids ignored', MedInteractions.check(['panacur', 'not-a-med']), []);
+
+// Row lockouts
+check('drontal locks pyrantel', [...MedInteractions.locks(['drontal']).keys()], ['pyrantel']);
+check('lock label', MedInteractions.locks(['drontal']).get('pyrantel').lockLabel, 'Included in Drontal');
+check('droncit locks nothing', MedInteractions.locks(['droncit', 'pyrantel']).size, 0);
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
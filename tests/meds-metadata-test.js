@@ -0,0 +1,68 @@
+/**
+ * Node-runnable checks for the catalog's descriptive metadata.
+ *
+ * Run: node tests/meds-metadata-test.js
+ *
+ * Loads meds-data.js with a minimal `window` shim, then checks the category
+ * and ingredient lookups and the one-line explanation shown beside a med.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/meds-data.js',
+];
+
+const sandbox = { window: {}, console };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { MedsData } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+const ids = (meds) => meds.map(m => m.id);
+
+// Lookups
+check('by category', ids(MedsData.byCategory('antiemetic')), ['cerenia', 'ondansetron-tablets', 'ondansetron-injectable']);
+check('unknown category', ids(MedsData.byCategory('nope')), []);
+check('by ingredient', ids(MedsData.byIngredient('praziquantel')), ['drontal', 'droncit', 'nexgard-combo']);
+check('ingredient is case-insensitive', ids(MedsData.byIngredient('Praziquantel')), ['drontal', 'droncit', 'nexgard-combo']);
+
+// Every med is described
+const routes = Object.keys(MedsData.routes());
+for (const med of MedsData.all()) {
+    check(`${med.id} has a category`, MedsData.categories().some(c => c.id === med.category), true);
+    check(`${med.id} has a known route`, routes.includes(med.route), true);
+    check(`${med.id} has indications`, med.indications.length > 0, true);
+}
+
+// Explanation
+check('explain', MedsData.explain(MedsData.byId('ponazuril')), 'Triazine antiprotozoal · By mouth · for coccidia');
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
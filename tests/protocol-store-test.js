@@ -0,0 +1,110 @@
+/**
+ * Node-runnable checks for named intake protocols.
+ *
+ * Run: node tests/protocol-store-test.js
+ *
+ * Loads intake-protocol.js, constants.js and protocol-store.js with a
+ * minimal `window` shim and an in-memory localStorage, then checks
+ * settings normalization and save / switch / delete / reload round trips.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/protocol-store.js',
+];
+
+const storage = new Map();
+const localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key),
+};
+
+// Expected warnings (corrupt storage) are silenced
+const sandbox = { window: {}, console: { ...console, warn: () => {} }, localStorage };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { IntakeProtocol, Constants, ProtocolStore } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+// Normalization: defaults fill gaps, invalid values fall back, unknown keys drop
+const defaults = IntakeProtocol.defaultSettings();
+check('defaults cover every row', Object.keys(defaults), Constants.MEDICATIONS);
+check('empty settings normalize to defaults', IntakeProtocol.normalizeSettings({}), defaults);
+
+const normalized = IntakeProtocol.normalizeSettings({
+    flea: { enabled: true, status: 'delay', variant: 'advantage' },
+    capstar: { enabled: 'yes', status: 'delay' },
+    panacur: { enabled: true, days: '3' },
+    ponazuril: { days: 7 },
+    bogus: { enabled: true },
+});
+check('valid flea values kept', normalized.flea, { enabled: true, status: 'delay', variant: 'advantage' });
+check('capstar has no delay status', normalized.capstar, defaults.capstar);
+check('panacur days parsed', normalized.panacur.days, 3);
+check('ponazuril days outside options fall back', normalized.ponazuril.days, defaults.ponazuril.days);
+check('unknown rows dropped', 'bogus' in normalized, false);
+
+// Store round trip
+let store = new ProtocolStore();
+check('standard active when nothing saved', store.getActiveId(), Constants.STANDARD_PROTOCOL.ID);
+check('standard settings are the row defaults', store.getActiveSettings(), defaults);
+
+const saved = store.save({ name: '  Partner A ', settings: { panacur: { enabled: true, days: 3 } } });
+check('name trimmed', saved.name, 'Partner A');
+check('saving does not switch', store.getActiveId(), Constants.STANDARD_PROTOCOL.ID);
+check('setActive on saved protocol', store.setActive(saved.id), true);
+check('setActive on unknown protocol', store.setActive('nope'), false);
+
+store = new ProtocolStore();
+check('active survives reload', store.getActiveId(), saved.id);
+check('settings survive reload', store.getActiveSettings().panacur, { enabled: true, status: 'todo', days: 3 });
+check('list has standard first', store.list().map(p => p.name), ['Standard', 'Partner A']);
+
+let threw = false;
+try {
+    store.save({ id: Constants.STANDARD_PROTOCOL.ID, name: 'Mine', settings: {} });
+} catch (e) {
+    threw = true;
+}
+check('standard cannot be overwritten', threw, true);
+
+check('remove active protocol', store.remove(saved.id), true);
+check('standard active after removing active', store.getActiveId(), Constants.STANDARD_PROTOCOL.ID);
+check('remove unknown protocol', store.remove(saved.id), false);
+
+storage.set(Constants.STORAGE.PROTOCOLS, '{not json');
+store = new ProtocolStore();
+check('corrupt storage falls back to standard', store.list().length, 1);
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
@@ -0,0 +1,118 @@
+/**
+ * Node-runnable checks for foster schedule dose slots.
+ *
+ * Run: node tests/schedule-test.js
+ *
+ * Loads the catalog, dose engine and ScheduleManager with a minimal
+ * `window` shim, then checks doses-per-day from catalog frequency and how
+ * regimens are laid out over days and slots.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/app-state.js',
+    'js/meds-data.js',
+    'js/med-calculator.js',
+    'js/dose-calculator.js',
+    'js/schedule-manager.js',
+];
+
+const sandbox = { window: {}, console };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { AppState, MedsData, MedCalculator, DoseCalculator, ScheduleManager } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+// Doses per day from catalog frequency
+check('ondansetron every 8h', MedCalculator.dosesPerDay(MedsData.byId('ondansetron-tablets')), 3);
+check('cerenia every 24h', MedCalculator.dosesPerDay(MedsData.byId('cerenia')), 1);
+check('no frequency is once a day', MedCalculator.dosesPerDay(MedsData.byId('panacur')), 1);
+check('frequency text', MedCalculator.frequencyText(MedsData.byId('ondansetron-injectable')), 'every 8h');
+check('slots for 2/day', ScheduleManager.slotsForDay(2), ['morning', 'night']);
+check('numbered slots past 3/day', ScheduleManager.slotsForDay(4), ['dose-1', 'dose-2', 'dose-3', 'dose-4']);
+
+// Slot layout
+const manager = new ScheduleManager(new AppState());
+const days = manager.generateDaysFromToday(3);
+const slotsOf = (doses) => doses.map(d => `${days.indexOf(d.date)}:${d.slot}`);
+
+check('once daily, 3 days', slotsOf(manager.generateDoseSlots(3, 1)), ['0:daily', '1:daily', '2:daily']);
+check('given at intake starts tomorrow', slotsOf(manager.generateDoseSlots(3, 1, 0, 1)), ['1:daily', '2:daily']);
+check('three a day, intake dose given', slotsOf(manager.generateDoseSlots(1, 3, 0, 1)), ['0:afternoon', '0:night']);
+check('single dose given leaves nothing', manager.generateDoseSlots(1, 1, 0, 1).length, 0);
+
+// Whole schedule and dispense counts for an added every-8h med
+const kitten = DoseCalculator.addDosesToKitten({
+    id: 'kitten-1',
+    name: 'Tom',
+    weightLb: 2,
+    topical: 'revolution',
+    drontalType: 'droncit',
+    panacurDays: 3,
+    ponazurilDays: 3,
+    medicationStatus: {
+        flea: 'skip', capstar: 'skip', drontal: 'skip', panacur: 'done',
+        ponazuril: 'skip', nexgard: 'skip', pyrantel: 'skip'
+    },
+    addedMeds: [{ medId: 'ondansetron-tablets', status: 'todo' }]
+});
+const [schedule] = manager.generateSchedule([kitten]);
+check('scheduled meds', Object.keys(schedule.medications), ['panacur', 'ondansetron-tablets']);
+check('panacur days', schedule.medications.panacur.days.length, 2);
+check('ondansetron slots today', schedule.medications['ondansetron-tablets'].doses.map(d => d.slot), ['morning', 'afternoon', 'night']);
+check('ondansetron frequency label', schedule.medications['ondansetron-tablets'].frequency, 'every 8h');
+
+// Backdated intake: schedule days start from the intake date, not today
+const backdated = new AppState();
+backdated.setIntakeDate('2026-03-01T18:30');
+const backdatedDays = new ScheduleManager(backdated).generateDaysFromToday(2);
+check('intake date anchors days', backdatedDays, [AppState.formatDate(new Date(2026, 2, 1)), AppState.formatDate(new Date(2026, 2, 2))]);
+backdated.setIntakeDate('not a date');
+check('invalid intake date falls back to now', backdated.getIntakeDate().toDateString(), new Date().toDateString());
+
+const remaining = manager.calculateRemainingMedications(kitten);
+check('panacur doses left', remaining.panacur.doses, 2);
+check('ondansetron doses left', remaining.added[0].doses, 3);
+
+// An added every-8h med given over a course of days
+const course = DoseCalculator.addDosesToKitten({
+    ...kitten,
+    addedMeds: [{ medId: 'ondansetron-tablets', status: 'done', days: 3 }]
+});
+const [courseSchedule] = manager.generateSchedule([course]);
+check('three-day course slots', slotsOf(courseSchedule.medications['ondansetron-tablets'].doses), [
+    '0:afternoon', '0:night', '1:morning', '1:afternoon', '1:night', '2:morning', '2:afternoon', '2:night'
+]);
+check('three-day course doses left', manager.calculateRemainingMedications(course).added[0].doses, 8);
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
@@ -0,0 +1,97 @@
+/**
+ * Node-runnable checks for syringe choice and dose rounding.
+ *
+ * Run: node tests/syringes-test.js
+ *
+ * Loads the catalog, dose engine and syringes.js with a minimal `window`
+ * shim (localStorage backed by a Map), then checks which syringe a dose is
+ * drawn in, its rounding to the syringe's marks and the rounding warning.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/app-state.js',
+    'js/syringes.js',
+    'js/meds-data.js',
+    'js/med-calculator.js',
+    'js/dose-calculator.js',
+];
+
+const store = new Map();
+const localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+};
+const sandbox = { window: {}, console, localStorage };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { Syringes, MedsData, MedCalculator, DoseCalculator, IntakeProtocol } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+// Picking a syringe
+check('auto picks the smallest that fits', Syringes.pick(0.7, 'auto').id, '1');
+check('chosen size when the dose fits', Syringes.pick(0.7, '3').id, '3');
+check('chosen size too small', Syringes.pick(2.4, '1').id, '3');
+check('bigger than any syringe', Syringes.pick(12, 'auto').id, '5');
+
+// Rounding to the graduation
+const onThree = Syringes.fit(1.98, '3');
+check('3 mL rounds to 0.1', [onThree.ml, onThree.decimals], [2, 1]);
+check('small error, no warning', onThree.warning, null);
+check('1 mL keeps hundredths', Syringes.fit(0.456, '1').ml, 0.46);
+check('5 mL rounds to 0.2', Syringes.fit(4.5, '5').ml, 4.6);
+check('round down', Syringes.fit(0.29, '1', { roundDown: true }).ml, 0.29);
+const coarse = Syringes.fit(0.14, '3');
+check('rounding warning', coarse.warning, '0.1 mL on a 3 mL syringe is 29% off the calculated 0.14 mL');
+check('rounding error percent', Math.round(coarse.errorPercent), 29);
+
+// Through MedCalculator
+const panacur = MedCalculator.compute(MedsData.byId('panacur'), 2, { syringe: '3' });
+check('panacur on a 3 mL syringe', [panacur.value, panacur.displayValue, panacur.syringe.label], [0.4, '0.4 mL', '3 mL']);
+check('breakdown from the rounded dose', MedCalculator.breakdownText(panacur.breakdown), '40 mg · 44.1 mg/kg');
+const revolution = MedCalculator.compute(MedsData.byId('revolution'), 2, { syringe: '3' });
+check('med syringe wins over the setting', [revolution.syringe.id, revolution.displayValue], ['0.5', '0.05 mL']);
+check('no setting, no rounding', MedCalculator.compute(MedsData.byId('panacur'), 2).syringe, null);
+check('tablets are not drawn by syringe', MedCalculator.compute(MedsData.byId('drontal'), 2, { syringe: 'auto' }).syringe, null);
+check('out of range has no syringe', MedCalculator.compute(MedsData.byId('drontal'), 1, { syringe: 'auto' }).syringe, null);
+
+// Site setting, used by DoseCalculator
+check('default setting', Syringes.loadPreferred(), 'auto');
+Syringes.savePreferred('5');
+check('saved setting', Syringes.loadPreferred(), '5');
+Syringes.savePreferred('2');
+check('unknown size not saved', Syringes.loadPreferred(), '5');
+const ponazuril = DoseCalculator.resolveProtocolDose(IntakeProtocol.byKey('ponazuril'), undefined, 6);
+check('protocol dose on the site syringe', [ponazuril.display, ponazuril.syringe.label], ['1.4 mL', '5 mL']);
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
@@ -0,0 +1,90 @@
+/**
+ * Node-runnable checks for tablet splitting and dissolved-tablet doses.
+ *
+ * Run: node tests/tablet-splitting-test.js
+ *
+ * Loads the catalog and dose engine with a minimal `window` shim, then
+ * checks how mg doses of tablet meds (Cerenia, Ondansetron) are given as
+ * tablet pieces or from a suspension, and the error each introduces.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/syringes.js',
+    'js/meds-data.js',
+    'js/med-calculator.js',
+];
+
+const sandbox = { window: {}, console };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { MedsData, MedCalculator } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+const compute = (medId, weightLb, options) => MedCalculator.compute(MedsData.byId(medId), weightLb, options);
+
+// Nearest practical piece
+check('mg display unchanged', compute('cerenia', 8).displayValue, '3.63 mg');
+check('quarter tablet', MedCalculator.tabletText(compute('cerenia', 8).tablets), '¼ tablet (4 mg · 1.1 mg/kg, +10%)');
+check('whole tablets', MedCalculator.tabletText(compute('cerenia', 35).tablets), '1 tablet (16 mg · 1 mg/kg, +1%)');
+check('under-dose', MedCalculator.tabletText(compute('ondansetron-tablets', 10).tablets), '½ tablet (2 mg · 0.4 mg/kg, −12%)');
+check('mixed number', compute('ondansetron-tablets', 30).tablets.text, '1¾');
+check('plural', MedCalculator.tabletText(compute('ondansetron-tablets', 40).tablets), '2¼ tablets (9 mg · 0.5 mg/kg, −1%)');
+
+// Never less than one piece; far-off pieces are flagged
+const tiny = compute('cerenia', 2).tablets;
+check('smallest piece', [tiny.text, tiny.mg], ['¼', 4]);
+check('split warning', tiny.warning, '¼ tablet gives 4 mg, 341% over the 0.91 mg dose');
+check('close enough, no warning', compute('cerenia', 35).tablets.warning, null);
+
+// Dissolved tablets
+const suspension = compute('cerenia', 2).suspension;
+check('suspension concentration', suspension.mgPerMl, 2);
+check('suspension text', MedCalculator.suspensionText(suspension), '0.45 mL of 1 tablet in 8 mL water (2 mg/mL)');
+check('suspension on a syringe', MedCalculator.suspensionText(compute('cerenia', 8, { syringe: '3' }).suspension), '1.8 mL of 1 tablet in 8 mL water (2 mg/mL)');
+check('no recipe, no suspension', compute('ondansetron-tablets', 2).suspension, null);
+
+// Any recipe (the /calc/ suspension panel)
+const batch = MedCalculator.suspension({ tabletMg: 4, tablets: 1, waterMl: 4 }, 0.45, 2);
+check('custom recipe', [batch.mgPerMl, +batch.ml.toFixed(2)], [1, 0.45]);
+check('doses per batch', batch.dosesPerBatch, 8);
+check('doses per batch on a syringe', MedCalculator.suspension({ tabletMg: 16, tablets: 1, waterMl: 8 }, 0.9, 2, 'auto').dosesPerBatch, 17);
+check('incomplete recipe', MedCalculator.suspension({ tabletMg: 16, tablets: 1 }, 0.9, 2), null);
+
+// Only mg doses of tablet meds
+check('mL med', compute('panacur', 2).tablets, null);
+check('tablet-unit med', compute('drontal', 2).tablets, null);
+check('injectable form', compute('ondansetron-injectable', 2).tablets, null);
+check('no weight', compute('cerenia', 0).tablets, null);
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
@@ -0,0 +1,112 @@
+/**
+ * Node-runnable checks for weight-table band checks.
+ *
+ * Run: node tests/weight-bands-test.js
+ *
+ * Loads the catalog and WeightBands with a minimal `window` shim, then
+ * checks gap/overlap detection between rows, calculationText parsing and
+ * where the built-in weight tables knowingly differ from their text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/meds-data.js',
+    'js/med-calculator.js',
+    'js/weight-bands.js',
+];
+
+const sandbox = { window: {}, console };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { MedsData, WeightBands } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+const messages = (list) => list.map(item => item.message);
+
+check('weight-table meds', WeightBands.meds().map(med => med.id),
+    ['drontal', 'droncit', 'nexgard-combo', 'revolution', 'advantage-ii', 'capstar']);
+check('row text', [
+    WeightBands.rowText({ minLb: 1.5, maxLb: 2 }),
+    WeightBands.rowText({ minLb: 13, maxLb: 16, maxInclusive: true }),
+    WeightBands.rowText({ minLb: 9, maxLb: Infinity })
+], ['1.5 to under 2 lb', '13 to 16 lb', '9 lb and up']);
+check('amounts', ['¼', '1½', '2', 0.45, 'x'].map(v => WeightBands.amount(v)), [0.25, 1.5, 2, 0.45, null]);
+
+// Gaps and overlaps
+check('built-in rows are contiguous', WeightBands.meds().filter(med => WeightBands.issues(med.calc.rows).length).map(med => med.id), []);
+check('gap', WeightBands.issues([{ minLb: 1, maxLb: 2 }, { minLb: 2.5, maxLb: 4 }]),
+    [{ type: 'gap', fromLb: 2, toLb: 2.5, message: 'No dose from 2 to 2.5 lb, between rows 1 and 2' }]);
+check('overlap', messages(WeightBands.issues([{ minLb: 1, maxLb: 3 }, { minLb: 2.5, maxLb: 4 }])),
+    ['Rows 1 and 2 both cover 2.5–3 lb; row 2 is used']);
+check('shared inclusive boundary', messages(WeightBands.issues([{ minLb: 1, maxLb: 2, maxInclusive: true }, { minLb: 2, maxLb: 4 }])),
+    ['Rows 1 and 2 both include 2 lb; row 2 is used']);
+
+// calculationText parsing
+check('parse bands', WeightBands.parseText('1.5–1.9 lb: ¼ tab\n9–12.9 lb: 1½ tabs\n>11 lb: 0.6 mL\nGive with food'), [
+    { line: '1.5–1.9 lb: ¼ tab', minLb: 1.5, maxLb: 1.9, value: '¼' },
+    { line: '9–12.9 lb: 1½ tabs', minLb: 9, maxLb: 12.9, value: '1½' },
+    { line: '>11 lb: 0.6 mL', minLb: 11, maxLb: null, value: '0.6' }
+]);
+check('parse sentence', WeightBands.parseText('1 tablet for cats 2–25 lb')[0].value, '1');
+
+// Text vs rows for the built-in meds
+const findings = (id) => messages(WeightBands.compareText(MedsData.byId(id)));
+check('drontal agrees', findings('drontal'), []);
+check('capstar agrees', findings('capstar'), []);
+check('nexgard agrees', findings('nexgard-combo'), []);
+check('revolution boundary', findings('revolution'), ['Text includes 4.4 lb; the row is 2.2 to under 4.4 lb']);
+check('advantage boundary', findings('advantage-ii'), ['Text includes 9 lb; the row is 5 to under 9 lb']);
+check('droncit', findings('droncit'), [
+    'Text includes 5 lb; the row is 1.5 to under 5 lb',
+    'Text includes 11 lb; the row is 5 to under 11 lb',
+    'Text has no upper weight; the row is 11 to 20 lb'
+]);
+
+// Edited rows
+const edited = {
+    ...MedsData.byId('drontal'),
+    calc: { type: 'weightTable', rows: [
+        { minLb: 1.5, maxLb: 2, value: '¼' },
+        { minLb: 2, maxLb: 4, value: '1' },
+        { minLb: 4, maxLb: 9, value: '1' },
+        { minLb: 9, maxLb: 13, value: '1½' }
+    ] }
+};
+check('edited rows', messages(WeightBands.compareText(edited)), [
+    'Text gives ½; the row gives 1 tab',
+    'No row covers 13 lb'
+]);
+const extra = { ...edited, calc: { type: 'weightTable', rows: [...MedsData.byId('drontal').calc.rows, { minLb: 16, maxLb: 20, value: '2' }] } };
+check('row missing from text', messages(WeightBands.compareText(extra)), ['Row 16 to under 20 lb (2 tab) isn\'t in the text']);
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
@@ -0,0 +1,98 @@
+/**
+ * Node-runnable checks for per-kitten weight logs.
+ *
+ * Run: node tests/weight-log-test.js
+ *
+ * Loads weight-log.js with a minimal `window` shim, then checks log
+ * normalization, weight-loss flags, expected weight for age and the growth
+ * chart markup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/weight-log.js',
+];
+
+const sandbox = { window: {}, console };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { WeightLog } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+// Normalization: sorted by date, one entry per day, invalid entries dropped
+const log = WeightLog.normalize([
+    { date: '2026-10-20', grams: '880' },
+    { date: '2026-10-18', grams: 900 },
+    { date: '2026-10-20', grams: 870 },
+    { date: '10/21/2026', grams: 950 },
+    { date: '2026-10-22', grams: 0 },
+    null,
+]);
+check('sorted, same day replaced, invalid dropped', log, [
+    { date: '2026-10-18', grams: 900 },
+    { date: '2026-10-20', grams: 870 },
+]);
+check('latest entry', WeightLog.latest(log), { date: '2026-10-20', grams: 870 });
+check('latest of empty log', WeightLog.latest([]), null);
+
+const grown = WeightLog.add(log, { date: '2026-10-25', grams: 960 });
+check('add keeps order', grown.map(e => e.date), ['2026-10-18', '2026-10-20', '2026-10-25']);
+check('add does not mutate', log.length, 2);
+
+// Loss flags between consecutive weighings only
+const losses = WeightLog.losses(grown);
+check('one loss', losses.length, 1);
+check('loss amount and dates', [losses[0].lostGrams, losses[0].from.date, losses[0].to.date], [30, '2026-10-18', '2026-10-20']);
+check('steady gain has no losses', WeightLog.losses(WeightLog.normalize([
+    { date: '2026-10-18', grams: 500 },
+    { date: '2026-10-19', grams: 500 },
+    { date: '2026-10-20', grams: 520 },
+])).length, 0);
+
+// Expected weight for age
+check('range at a table row', WeightLog.expectedRange(3), { min: 250, max: 430 });
+check('range interpolated', WeightLog.expectedRange(7), { min: 525, max: 900 });
+check('no range past the table', WeightLog.expectedRange(30), null);
+check('no range without an age', WeightLog.expectedRange(null), null);
+check('2000 g at 3 weeks is flagged heavy', /^Heavy for 3 weeks/.test(WeightLog.ageWeightWarning(3, 2000)), true);
+check('underweight flagged', WeightLog.ageWeightWarning(8, 450), 'Underweight for 8 weeks (expected at least 600 g)');
+check('in range has no warning', WeightLog.ageWeightWarning(8, 800), null);
+check('no warning without weight', WeightLog.ageWeightWarning(8, 0), null);
+
+// Chart and display helpers
+check('short date', WeightLog.formatDate('2026-01-05'), '1/5');
+check('no chart for a single weighing', WeightLog.chartSvg(log.slice(0, 1)), '');
+const svg = WeightLog.chartSvg(grown);
+check('one segment per interval', (svg.match(/<line /g) || []).length, 2);
+check('losing segment marked', (svg.match(/weight-chart-line loss/g) || []).length, 1);
+check('one point per weighing', (svg.match(/<circle /g) || []).length, 3);
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}
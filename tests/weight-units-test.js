@@ -0,0 +1,89 @@
+/**
+ * Node-runnable checks for weight unit parsing and formatting.
+ *
+ * Run: node tests/weight-units-test.js
+ *
+ * Loads constants.js and weight-units.js with a minimal `window` shim
+ * (localStorage backed by a Map), then checks conversion to grams, the
+ * entry text for each unit and the saved unit preference.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const files = [
+    'js/intake-protocol.js',
+    'js/constants.js',
+    'js/weight-units.js',
+];
+
+const store = new Map();
+const localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+};
+const sandbox = { window: {}, console, localStorage };
+vm.createContext(sandbox);
+for (const rel of files) {
+    const code = fs.readFileSync(path.join(root, rel), 'utf8');
+    vm.runInContext(code, sandbox, { filename: rel });
+}
+
+const { WeightUnits } = sandbox.window;
+
+let pass = 0, fail = 0;
+const failures = [];
+
+function check(label, actual, expected) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a === e) {
+        pass++;
+    } else {
+        fail++;
+        failures.push({ label, expected: e, actual: a });
+    }
+}
+
+// Parsing to grams
+check('grams', WeightUnits.parse('900', 'g'), 900);
+check('grams, trailing dot while typing', WeightUnits.parse('900.', 'g'), 900);
+check('kilograms', WeightUnits.parse('1.25', 'kg'), 1250);
+check('pounds', WeightUnits.parse('2', 'lb'), 907.2);
+check('lb oz, bare numbers', WeightUnits.parse('2 4', 'lb-oz'), 1020.6);
+check('lb oz, with units', WeightUnits.parse('2 lb 4 oz', 'lb-oz'), 1020.6);
+check('lb oz, compact', WeightUnits.parse('2lb 4.5oz', 'lb-oz'), 1034.8);
+check('lb oz, pounds only', WeightUnits.parse('2 lb', 'lb-oz'), 907.2);
+check('lb oz, ounces only', WeightUnits.parse('36 oz', 'lb-oz'), 1020.6);
+check('empty is NaN', Number.isNaN(WeightUnits.parse('', 'g')), true);
+check('garbage is NaN', Number.isNaN(WeightUnits.parse('2 lb x', 'lb-oz')), true);
+
+// Formatting for the entry field
+check('format grams', WeightUnits.format(900, 'g'), '900');
+check('format kg', WeightUnits.format(1250, 'kg'), '1.25');
+check('format lb', WeightUnits.format(907.2, 'lb'), '2');
+check('format lb oz', WeightUnits.format(1020.6, 'lb-oz'), '2 lb 4 oz');
+check('format no weight', WeightUnits.format(0, 'kg'), '');
+check('lb oz to the nearest tenth oz', WeightUnits.format(1234, 'lb-oz'), '2 lb 11.5 oz');
+
+// Input filtering
+check('numeric units keep digits and one dot', WeightUnits.filterInput('1.2.3kg', 'kg'), '1.23');
+check('lb oz keeps spaces and unit letters', WeightUnits.filterInput('2 lb, 4 oz!', 'lb-oz'), '2 lb 4 oz');
+
+// Preferred unit
+check('default unit', WeightUnits.loadPreferred(), 'g');
+WeightUnits.savePreferred('lb-oz');
+check('saved unit', WeightUnits.loadPreferred(), 'lb-oz');
+WeightUnits.savePreferred('stone');
+check('unknown unit not saved', WeightUnits.loadPreferred(), 'lb-oz');
+
+console.log(`${pass} passing, ${fail} failing`);
+if (failures.length) {
+    console.log('\nFailures:');
+    for (const f of failures) {
+        console.log(`  ${f.label} — expected ${f.expected}, got ${f.actual}`);
+    }
+    process.exit(1);
+}